@@ -1,10 +1,25 @@
 import express from 'express';
 import { feishuService, INTERN_TYPE_ID } from '../services/feishu.js';
-import { didiService } from '../services/didi.js';
+import { didiService, didiErrorFields } from '../services/didi.js';
 import { emailService } from '../services/email.js';
+import { namingPolicy } from '../services/naming.js';
+import { pinyinOverrideService } from '../services/overrides.js';
+import { emailBlocklistService } from '../services/blocklist.js';
+import { emailReservationService } from '../services/reservations.js';
+import { mailService } from '../services/mail.js';
+import { offboardingService, OFFBOARD_ACTIONS, OffboardingBusyError } from '../services/offboarding.js';
+import { regulationSyncService } from '../services/regulations.js';
+import { budgetCenterService } from '../services/budgets.js';
+import { didiProfileService } from '../services/profiles.js';
+import { didiDirectoryService } from '../services/directory.js';
+import { reconcileService, RECONCILE_CATEGORIES } from '../services/reconcile.js';
 import { matcherService } from '../services/matcher.js';
+import { regulationRuleService } from '../services/rules.js';
 import { logger } from '../services/logger.js';
 import { botService } from '../services/bot.js';
+import { auditService } from '../services/audit.js';
+import { jobService } from '../services/jobs.js';
+import { idempotencyService, IdempotencyConflictError } from '../services/idempotency.js';
 
 const router = express.Router();
 
@@ -30,6 +45,35 @@ async function getDidiRules() {
   }
 }
 
+/**
+ * 获取 REST 请求的操作人标识
+ * Dashboard 无登录体系，优先取 X-Operator 请求头，其次 body.operator，最后回退到 IP
+ */
+function getOperator(req) {
+  return req.get('X-Operator') || req.body?.operator || `dashboard@${req.ip}`;
+}
+
+/**
+ * 获取请求的幂等键：优先 Idempotency-Key 请求头，其次 body.idempotency_key
+ */
+function getIdempotencyKey(req) {
+  return req.get('Idempotency-Key') || req.body?.idempotency_key || null;
+}
+
+/**
+ * 操作失败的 HTTP 状态码：幂等键已用于内容不同的请求时 409，其他 500
+ */
+function failureStatus(error) {
+  return error instanceof IdempotencyConflictError ? 409 : 500;
+}
+
+/**
+ * 是否为预演请求：body.dryRun / body.dry_run 或 ?dry_run=true
+ */
+function isDryRun(req) {
+  return !!(req.body?.dryRun || req.body?.dry_run || req.query.dry_run === 'true');
+}
+
 /**
  * GET /api/hires
  * Query params: 
@@ -61,6 +105,19 @@ router.get('/hires', async (req, res) => {
       logger.warn('Didi rules matching skipped', { error: err.message });
     }
 
+    // 标注已在滴滴中的人员（只读员工目录缓存，列表不逐人实时查询）
+    if (didiService.configured) {
+      enriched = enriched.map(hire => {
+        const member = hire.phone
+          ? didiDirectoryService.find({ phone: hire.phone }, 'active') || didiDirectoryService.find({ phone: hire.phone }, 'dismissed')
+          : null;
+        return {
+          ...hire,
+          didiMember: member ? { id: member.id, status: member.status, regulationIds: member.regulationIds } : null
+        };
+      });
+    }
+
     logger.success(`Hires list enriched successfully`);
 
     res.json({
@@ -74,6 +131,140 @@ router.get('/hires', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/email/policy
+ * 当前邮箱命名策略（域名、模板、后缀字符、分隔符）
+ */
+router.get('/email/policy', (req, res) => {
+  res.json({ success: true, data: namingPolicy.describe() });
+});
+
+/**
+ * GET /api/email/pinyin-overrides
+ * 拼音人工修正列表
+ */
+router.get('/email/pinyin-overrides', (req, res) => {
+  res.json({ success: true, data: pinyinOverrideService.list() });
+});
+
+/**
+ * PUT /api/email/pinyin-overrides
+ * 新增或更新拼音修正
+ * Body: { pre_hire_id?, name?, pinyin: "shan tian fang", note? }
+ *   pre_hire_id 只对该人生效；name 对同名的所有人生效（pre_hire_id 优先）
+ */
+router.put('/email/pinyin-overrides', (req, res) => {
+  const { pre_hire_id, name, pinyin, note } = req.body;
+  const operator = getOperator(req);
+
+  try {
+    const entry = pinyinOverrideService.set(
+      { preHireId: pre_hire_id, name },
+      pinyin,
+      { note, operatorId: operator }
+    );
+    auditService.record('pinyin_override_set', {
+      source: 'rest', operatorId: operator, name, preHireId: pre_hire_id,
+      pinyin: entry.pinyin, success: true
+    });
+    res.json({
+      success: true,
+      data: {
+        ...entry,
+        preview: name ? emailService.generateLocalPart(name, '', pre_hire_id).localPart : undefined
+      }
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/email/pinyin-overrides?pre_hire_id=xxx 或 ?name=xxx
+ */
+router.delete('/email/pinyin-overrides', (req, res) => {
+  const { pre_hire_id, name } = req.query;
+  const operator = getOperator(req);
+
+  try {
+    const removed = pinyinOverrideService.remove({ preHireId: pre_hire_id, name });
+    if (!removed) {
+      return res.status(404).json({ success: false, error: '未找到对应的拼音修正' });
+    }
+    auditService.record('pinyin_override_remove', {
+      source: 'rest', operatorId: operator, name, preHireId: pre_hire_id, success: true
+    });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/email/blocklist
+ * 邮箱保留名/屏蔽词规则
+ */
+router.get('/email/blocklist', (req, res) => {
+  res.json({ success: true, data: emailBlocklistService.list() });
+});
+
+/**
+ * POST /api/email/blocklist
+ * Body: { type: 'exact'|'pattern', value, reason? }
+ *   exact 完全匹配邮箱前缀（含后缀），pattern 为正则（不区分大小写）
+ */
+router.post('/email/blocklist', (req, res) => {
+  const { type, value, reason } = req.body;
+  const operator = getOperator(req);
+
+  try {
+    const entry = emailBlocklistService.add({ type, value, reason }, { operatorId: operator });
+    auditService.record('email_blocklist_add', {
+      source: 'rest', operatorId: operator, ruleType: entry.type, value: entry.value, success: true
+    });
+    res.json({ success: true, data: entry });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/email/blocklist/:id
+ */
+router.delete('/email/blocklist/:id', (req, res) => {
+  const entry = emailBlocklistService.remove(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ success: false, error: '规则不存在' });
+  }
+  auditService.record('email_blocklist_remove', {
+    source: 'rest', operatorId: getOperator(req), ruleType: entry.type, value: entry.value, success: true
+  });
+  res.json({ success: true, data: entry });
+});
+
+/**
+ * GET /api/email/reservations
+ * 邮箱预占台账：开通中（provisioning）和已分配（assigned）的邮箱
+ */
+router.get('/email/reservations', (req, res) => {
+  res.json({ success: true, data: emailReservationService.list() });
+});
+
+/**
+ * DELETE /api/email/reservations/:email
+ * 手动释放预占（如 offer 撤回后回收邮箱）
+ */
+router.delete('/email/reservations/:email', (req, res) => {
+  const { email } = req.params;
+  if (!emailReservationService.release(email)) {
+    return res.status(404).json({ success: false, error: '该邮箱没有预占' });
+  }
+  auditService.record('email_reservation_release', {
+    source: 'rest', operatorId: getOperator(req), email, success: true
+  });
+  res.json({ success: true });
+});
+
 /**
  * GET /api/didi/rules
  */
@@ -87,32 +278,248 @@ router.get('/didi/rules', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/didi/budget-centers
+ * 滴滴成本中心列表
+ *
+ * Query: type?（1 部门 / 2 项目）、name?
+ */
+router.get('/didi/budget-centers', async (req, res) => {
+  if (!didiService.configured) {
+    return res.status(400).json({ success: false, error: '滴滴企业版未配置' });
+  }
+
+  try {
+    const centers = await didiService.fetchBudgetCenters({ type: req.query.type, name: req.query.name });
+    res.json({ success: true, data: centers });
+  } catch (error) {
+    logger.error('Failed to fetch Didi budget centers', { error: error.message });
+    res.status(500).json({ success: false, ...didiErrorFields(error) });
+  }
+});
+
+/**
+ * GET /api/didi/budget-map
+ * 飞书部门 -> 滴滴成本中心映射（附部门名称和路径）
+ */
+router.get('/didi/budget-map', async (req, res) => {
+  res.json({ success: true, data: await budgetCenterService.list() });
+});
+
+/**
+ * GET /api/didi/budget-map/resolve/:departmentId
+ * 查看某个部门实际使用的成本中心（含继承自上级部门的）
+ */
+router.get('/didi/budget-map/resolve/:departmentId', async (req, res) => {
+  const { departmentId } = req.params;
+  try {
+    const [department, resolved] = await Promise.all([
+      budgetCenterService.describeDepartment(departmentId),
+      budgetCenterService.resolve(departmentId)
+    ]);
+    res.json({ success: true, data: { department, ...(resolved || { budgetCenterId: null }) } });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/didi/budget-map/:departmentId
+ * 设置部门的成本中心（子部门没有单独设置时继承；'*' 表示默认）
+ *
+ * Body: { budget_center_id, budget_center_name? }
+ */
+router.put('/didi/budget-map/:departmentId', (req, res) => {
+  const { departmentId } = req.params;
+  const { budget_center_id, budget_center_name } = req.body;
+  const operator = getOperator(req);
+
+  try {
+    const entry = budgetCenterService.set(departmentId, budget_center_id, {
+      budgetCenterName: budget_center_name,
+      operatorId: operator
+    });
+    auditService.record('didi_budget_map_set', {
+      source: 'rest', operatorId: operator, departmentId, budgetCenterId: entry.budgetCenterId, success: true
+    });
+    res.json({ success: true, data: { departmentId, ...entry } });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/didi/budget-map/:departmentId
+ * 删除部门的成本中心映射（之后继承上级部门）
+ */
+router.delete('/didi/budget-map/:departmentId', (req, res) => {
+  const { departmentId } = req.params;
+  if (!budgetCenterService.remove(departmentId)) {
+    return res.status(404).json({ success: false, error: `部门 ${departmentId} 没有成本中心映射` });
+  }
+  auditService.record('didi_budget_map_remove', {
+    source: 'rest', operatorId: getOperator(req), departmentId, success: true
+  });
+  res.json({ success: true });
+});
+
+/**
+ * 请求体 -> 制度映射规则（snake_case 转为 regulationRuleService 的字段）
+ */
+function parseRegulationRule(body = {}) {
+  return {
+    priority: body.priority,
+    city: body.city,
+    locationId: body.location_id,
+    employeeTypeId: body.employee_type_id,
+    departmentId: body.department_id,
+    jobLevelId: body.job_level_id,
+    regulationIds: body.regulation_ids,
+    note: body.note
+  };
+}
+
+/**
+ * 校验规则中的制度 ID 在滴滴中存在（拿不到制度列表时不校验）
+ */
+async function findUnknownRegulationIds(regulationIds) {
+  const didiRules = await getDidiRules();
+  if (didiRules.length === 0) return [];
+  const known = new Set(didiRules.map(r => String(r.id)));
+  return [].concat(regulationIds || []).map(String).filter(id => !known.has(id));
+}
+
+/**
+ * GET /api/didi/regulation-rules
+ * 用车制度映射规则（按匹配顺序：priority 高的在前）
+ */
+router.get('/didi/regulation-rules', (req, res) => {
+  res.json({ success: true, data: regulationRuleService.list() });
+});
+
+/**
+ * POST /api/didi/regulation-rules
+ * Body: { regulation_ids, priority?, city?, location_id?, employee_type_id?, department_id?, job_level_id?, note? }
+ *   条件可以是单个值或数组，不填表示不限；都满足时分配 regulation_ids
+ */
+router.post('/didi/regulation-rules', async (req, res) => {
+  const operator = getOperator(req);
+  const unknown = await findUnknownRegulationIds(req.body.regulation_ids);
+  if (unknown.length > 0) {
+    return res.status(400).json({ success: false, error: `滴滴中不存在的制度 ID: ${unknown.join('、')}` });
+  }
+
+  try {
+    const rule = regulationRuleService.add(parseRegulationRule(req.body), { operatorId: operator });
+    auditService.record('didi_regulation_rule_add', {
+      source: 'rest', operatorId: operator, ruleId: rule.id, regulationIds: rule.regulationIds, success: true
+    });
+    res.json({ success: true, data: rule });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/didi/regulation-rules/:id
+ * Body: 同 POST（整体替换）
+ */
+router.put('/didi/regulation-rules/:id', async (req, res) => {
+  const operator = getOperator(req);
+  const unknown = await findUnknownRegulationIds(req.body.regulation_ids);
+  if (unknown.length > 0) {
+    return res.status(400).json({ success: false, error: `滴滴中不存在的制度 ID: ${unknown.join('、')}` });
+  }
+
+  try {
+    const rule = regulationRuleService.update(req.params.id, parseRegulationRule(req.body), { operatorId: operator });
+    if (!rule) {
+      return res.status(404).json({ success: false, error: '规则不存在' });
+    }
+    auditService.record('didi_regulation_rule_update', {
+      source: 'rest', operatorId: operator, ruleId: rule.id, regulationIds: rule.regulationIds, success: true
+    });
+    res.json({ success: true, data: rule });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/didi/regulation-rules/:id
+ */
+router.delete('/didi/regulation-rules/:id', (req, res) => {
+  const rule = regulationRuleService.remove(req.params.id);
+  if (!rule) {
+    return res.status(404).json({ success: false, error: '规则不存在' });
+  }
+  auditService.record('didi_regulation_rule_remove', {
+    source: 'rest', operatorId: getOperator(req), ruleId: rule.id, regulationIds: rule.regulationIds, success: true
+  });
+  res.json({ success: true, data: rule });
+});
+
 /**
  * POST /api/provision/email
  * Single email provisioning with auto-retry for duplicates
  * 支持前端传入指定邮箱，开通时才做真正的去重检查
+ * 支持 Idempotency-Key 请求头：重复请求直接返回第一次的结果（idempotent_replay: true）
+ * 支持预演（dry_run: true）：只检查通讯录，不写入飞书，返回将要使用的邮箱和被跳过的候选
  */
 router.post('/provision/email', async (req, res) => {
-  const { id, name, email } = req.body;
+  const { id, name, email, preferredName } = req.body;
 
   if (!id || !name) {
     return res.status(400).json({ success: false, error: 'id and name are required' });
   }
 
+  if (isDryRun(req)) {
+    try {
+      const result = await emailService.provisionEmailWithRetry(id, name, email || null, { preferredName, dryRun: true });
+      return res.json({
+        success: true,
+        dry_run: true,
+        email: result.email,
+        strategy: result.strategy,
+        skipped: result.skipped
+      });
+    } catch (error) {
+      return res.status(500).json({ success: false, dry_run: true, error: error.message });
+    }
+  }
+
   try {
     logger.info(`Provisioning email for ${name}`, { preferredEmail: email });
-    const result = await emailService.provisionEmailWithRetry(id, name, email || null);
+    const result = await idempotencyService.run('provision_email', id, getIdempotencyKey(req), () =>
+      emailService.provisionEmailWithRetry(id, name, email || null, { preferredName }),
+      { name, email: email || null, preferredName: preferredName || null }
+    );
     logger.success(`Email provisioned: ${result.email}`, { attempts: result.attempts });
-    res.json({ success: true, email: result.email, attempts: result.attempts });
+    auditService.record('provision_email', {
+      source: 'rest', operatorId: getOperator(req), name, preHireId: id, email: result.email, success: true,
+      ...(result.idempotentReplay && { idempotentReplay: true })
+    });
+    res.json({
+      success: true,
+      email: result.email,
+      attempts: result.attempts,
+      skipped: result.skipped,
+      idempotent_replay: !!result.idempotentReplay
+    });
   } catch (error) {
     logger.error(`Email provisioning failed for ${name}`, { error: error.message });
-    res.status(500).json({ success: false, error: error.message });
+    auditService.record('provision_email', {
+      source: 'rest', operatorId: getOperator(req), name, preHireId: id, success: false, error: error.message
+    });
+    res.status(failureStatus(error)).json({ success: false, error: error.message });
   }
 });
 
 /**
  * POST /api/provision/email/batch
  * Batch email provisioning with auto-retry for duplicates
+ * 创建后台任务后立即返回 job，进度通过 GET /api/jobs/:id 或 /api/jobs/:id/stream 获取
+ * 预演（dry_run: true）时不建任务，直接返回每个人将要使用的邮箱
  */
 router.post('/provision/email/batch', async (req, res) => {
   const { users } = req.body;
@@ -121,49 +528,122 @@ router.post('/provision/email/batch', async (req, res) => {
     return res.status(400).json({ success: false, error: 'users array is required' });
   }
 
-  logger.info(`Batch email provisioning for ${users.length} users`);
-
-  const results = [];
-  let successful = 0;
-
-  for (const user of users) {
+  if (isDryRun(req)) {
+    logger.info(`Batch email preview for ${users.length} users`);
     try {
-      logger.info(`Provisioning email for ${user.name}`);
-      const result = await emailService.provisionEmailWithRetry(user.id, user.name, user.email || null);
-      results.push({ 
-        id: user.id, 
-        name: user.name, 
-        success: true, 
-        email: result.email,
-        attempts: result.attempts
+      const results = await emailService.previewEmailBatch(users);
+      const successful = results.filter(r => r.success).length;
+      return res.json({
+        success: true,
+        dry_run: true,
+        summary: { total: results.length, successful, failed: results.length - successful },
+        data: results
       });
-      successful++;
-      logger.success(`Email provisioned for ${user.name}: ${result.email}`, { attempts: result.attempts });
     } catch (error) {
-      results.push({ id: user.id, name: user.name, success: false, error: error.message });
-      logger.error(`Email failed for ${user.name}`, { error: error.message });
+      return res.status(500).json({ success: false, dry_run: true, error: error.message });
     }
   }
 
-  res.json({
-    success: true,
-    data: results,
-    summary: { total: users.length, successful, failed: users.length - successful }
-  });
+  logger.info(`Batch email provisioning for ${users.length} users`);
+
+  try {
+    const { job, idempotentReplay } = await enqueueBatch(req, 'provision_email', users);
+    res.status(202).json({ success: true, jobId: job.id, job, idempotent_replay: !!idempotentReplay });
+  } catch (error) {
+    res.status(failureStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * 创建批量任务；带幂等键时重复请求返回第一次创建的任务，同一个键换了 users 时抛 IdempotencyConflictError
+ * （每个人的开通本身在任务内另有按人员的幂等保护）
+ */
+async function enqueueBatch(req, type, users) {
+  const meta = { source: 'rest', operatorId: getOperator(req) };
+  const idempotencyKey = getIdempotencyKey(req);
+  if (!idempotencyKey) {
+    return { job: jobService.enqueue(type, users, meta) };
+  }
+
+  const result = await idempotencyService.run(`${type}_batch`, 'rest', idempotencyKey, async () => ({
+    jobId: jobService.enqueue(type, users, meta).id
+  }), users);
+  return { job: jobService.getJob(result.jobId), idempotentReplay: result.idempotentReplay };
+}
+
+/**
+ * POST /api/provision/mailbox
+ * 为已入职员工开通邮箱并加入部门邮件组（机器人开启 MAIL_PROVISION_ENABLED 后会自动处理）
+ * Body: { id, name, phone, email, departmentId? }
+ */
+router.post('/provision/mailbox', async (req, res) => {
+  const { id, name, phone, email, departmentId } = req.body;
+
+  if (!id || !name || !phone || !email) {
+    return res.status(400).json({ success: false, error: 'id、name、phone、email 是必填字段' });
+  }
+
+  const result = await mailService.provisionMailbox({ id, name, phone, workEmail: email, departmentId });
+  if (!result.pending) {
+    auditService.record('provision_mailbox', {
+      source: 'rest', operatorId: getOperator(req), name, preHireId: id, email,
+      mailbox: result.mailbox, groups: result.groups, success: result.success,
+      ...(result.error && { error: result.error })
+    });
+  }
+
+  const { repeated, ...data } = result;
+  res.status(result.success ? 200 : (result.pending ? 409 : 500)).json({ ...data });
+});
+
+/**
+ * GET /api/mail/groups
+ * 部门 -> 邮件组映射（'*' 表示所有部门）
+ */
+router.get('/mail/groups', (req, res) => {
+  res.json({ success: true, data: mailService.getGroupMap() });
+});
+
+/**
+ * PUT /api/mail/groups/:departmentId
+ * Body: { mailgroups: ['tech@guanghe.tv', ...] }，空数组删除映射
+ */
+router.put('/mail/groups/:departmentId', (req, res) => {
+  const { departmentId } = req.params;
+  const operator = getOperator(req);
+
+  try {
+    const groups = mailService.setDepartmentGroups(departmentId, req.body.mailgroups);
+    auditService.record('mail_groups_set', {
+      source: 'rest', operatorId: operator, departmentId, mailgroups: groups, success: true
+    });
+    res.json({ success: true, data: { departmentId, mailgroups: groups } });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
 });
 
 /**
  * POST /api/provision/didi
  * 开通单人滴滴账号
+ * 支持 Idempotency-Key 请求头，同一手机号的开通串行执行
  * 
- * Body: { name, phone, didi_rule_id?, email?, residentsname? }
+ * Body: { name, phone, didi_rule_ids?, didi_rule_id?, email?, employee_number?, residentsname?, department_id? }
+ * didi_rule_ids 为制度 ID 数组（可同时分配多个制度），didi_rule_id 为单个 ID 或用 _ 分隔的多个 ID
+ * 传 department_id 时按部门映射自动填写成本中心；员工已存在时补全缺少的工号和邮箱
  */
 router.post('/provision/didi', async (req, res) => {
-  const { name, phone, didi_rule_id, email, residentsname, employeeTypeId } = req.body;
+  const { name, phone, didi_rule_ids, didi_rule_id, email, residentsname, employeeTypeId } = req.body;
+  const departmentId = req.body.department_id || req.body.departmentId;
+  const employeeNumber = req.body.employee_number || req.body.employeeNumber;
 
   if (!name || !phone) {
     return res.status(400).json({ success: false, error: 'name 和 phone 是必填字段' });
   }
+  if (didi_rule_ids !== undefined && !Array.isArray(didi_rule_ids)) {
+    return res.status(400).json({ success: false, error: 'didi_rule_ids 必须是数组' });
+  }
+  const ruleId = matcherService.buildRegulationIdStr([].concat(didi_rule_ids || didi_rule_id || [])) || null;
 
   if (!didiService.configured) {
     return res.status(400).json({ success: false, error: '滴滴企业版未配置' });
@@ -175,23 +655,38 @@ router.post('/provision/didi', async (req, res) => {
   }
 
   try {
-    logger.info(`Provisioning Didi for ${name}`, { phone, ruleId: didi_rule_id });
-    const result = await didiService.provisionMember(name, phone, didi_rule_id || null, {
-      email,
-      residentsname
+    logger.info(`Provisioning Didi for ${name}`, { phone, ruleId });
+    const result = await idempotencyService.run('provision_didi', phone, getIdempotencyKey(req), () =>
+      didiService.provisionMember(name, phone, ruleId, {
+        email,
+        employeeNumber,
+        residentsname,
+        departmentId
+      }),
+      { name, ruleId, email, employeeNumber, residentsname, departmentId }
+    );
+    auditService.record('provision_didi', {
+      source: 'rest', operatorId: getOperator(req), name, phone, ruleId, success: true,
+      alreadyExists: !!result.alreadyExists,
+      ...(result.reactivated && { reactivated: true }),
+      ...(result.idempotentReplay && { idempotentReplay: true })
     });
-    res.json({ success: true, ...result });
+    res.json({ success: true, ...result, idempotent_replay: !!result.idempotentReplay });
   } catch (error) {
-    logger.error(`Didi provisioning failed for ${name}`, { error: error.message });
-    res.status(500).json({ success: false, error: error.message });
+    logger.error(`Didi provisioning failed for ${name}`, { error: error.message, requestId: error.requestId });
+    auditService.record('provision_didi', {
+      source: 'rest', operatorId: getOperator(req), name, phone, ruleId, success: false,
+      error: error.reason || error.message, requestId: error.requestId
+    });
+    res.status(failureStatus(error)).json({ success: false, ...didiErrorFields(error) });
   }
 });
 
 /**
  * POST /api/provision/didi/batch
- * 批量开通滴滴账号
+ * 批量开通滴滴账号（后台任务，立即返回 job）
  * 
- * Body: { users: [{ name, phone, didi_rule_id?, email?, residentsname? }] }
+ * Body: { users: [{ name, phone, didi_rule_ids?, didi_rule_id?, email?, employee_number?, residentsname?, department_id? }] }
  */
 router.post('/provision/didi/batch', async (req, res) => {
   const { users } = req.body;
@@ -204,34 +699,363 @@ router.post('/provision/didi/batch', async (req, res) => {
     return res.status(400).json({ success: false, error: '滴滴企业版未配置' });
   }
 
+  const invalid = users.filter(u => u.didi_rule_ids !== undefined && !Array.isArray(u.didi_rule_ids));
+  if (invalid.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: `didi_rule_ids 必须是数组: ${invalid.map(u => u.name || u.phone).join('、')}`
+    });
+  }
+
   logger.info(`Batch Didi provisioning for ${users.length} users`);
 
-  const results = [];
-  let successful = 0;
+  try {
+    const { job, idempotentReplay } = await enqueueBatch(req, 'provision_didi', users);
+    res.status(202).json({ success: true, jobId: job.id, job, idempotent_replay: !!idempotentReplay });
+  } catch (error) {
+    res.status(failureStatus(error)).json({ success: false, error: error.message });
+  }
+});
 
-  for (const user of users) {
-    try {
-      logger.info(`Provisioning Didi for ${user.name}`, { phone: user.phone });
-      const result = await didiService.provisionMember(
-        user.name,
-        user.phone,
-        user.didi_rule_id || null,
-        { email: user.email, residentsname: user.residentsname }
-      );
-      results.push({ name: user.name, success: true, ...result });
-      if (result.success) successful++;
-      logger.success(`Didi provisioned for ${user.name}`);
-    } catch (error) {
-      results.push({ name: user.name, success: false, error: error.message });
-      logger.error(`Didi failed for ${user.name}`, { error: error.message });
+/**
+ * GET /api/didi/members
+ * 滴滴员工目录（本地缓存）
+ *
+ * Query: phone? | email? | employee_number? - 查单人（缓存没有时实时查询）；status?（active / dismissed，默认 active）
+ *   不带查询条件时返回缓存概况
+ */
+router.get('/didi/members', async (req, res) => {
+  if (!didiService.configured) {
+    return res.status(400).json({ success: false, error: '滴滴企业版未配置' });
+  }
+
+  const { phone, email, employee_number, status } = req.query;
+  if (!phone && !email && !employee_number) {
+    return res.json({ success: true, data: didiDirectoryService.stats() });
+  }
+
+  try {
+    const { member, source } = await didiDirectoryService.lookup(
+      { phone, email, employeeNumber: employee_number },
+      status === 'dismissed' ? 'dismissed' : 'active'
+    );
+    res.json({ success: true, data: member, source });
+  } catch (error) {
+    logger.error('Didi member lookup failed', { error: error.message });
+    res.status(500).json({ success: false, ...didiErrorFields(error) });
+  }
+});
+
+/**
+ * POST /api/didi/members/sync
+ * 立即全量同步滴滴员工目录
+ */
+router.post('/didi/members/sync', async (req, res) => {
+  if (!didiService.configured) {
+    return res.status(400).json({ success: false, error: '滴滴企业版未配置' });
+  }
+
+  try {
+    const summary = await didiDirectoryService.sync();
+    res.json({ success: true, data: summary });
+  } catch (error) {
+    logger.error('Didi directory sync failed', { error: error.message });
+    res.status(500).json({ success: false, ...didiErrorFields(error) });
+  }
+});
+
+/**
+ * POST /api/didi/backfill-profiles
+ * 按飞书在职员工补全滴滴员工缺少的工号和工作邮箱（已有的值不覆盖）
+ *
+ * Body: { dry_run? } - dry_run 为 true 时只列出需要补全的员工
+ */
+router.post('/didi/backfill-profiles', async (req, res) => {
+  if (!didiService.configured) {
+    return res.status(400).json({ success: false, error: '滴滴企业版未配置' });
+  }
+
+  const dryRun = isDryRun(req);
+  try {
+    const summary = await didiProfileService.backfill({ dryRun });
+    if (!dryRun) {
+      auditService.record('didi_backfill_profiles', {
+        source: 'rest', operatorId: getOperator(req), total: summary.total,
+        updated: summary.updated.length, failed: summary.failed.length, success: summary.failed.length === 0
+      });
     }
+    res.json({ success: true, data: summary });
+  } catch (error) {
+    logger.error('Didi profile backfill failed', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
   }
+});
 
-  res.json({
-    success: true,
-    data: results,
-    summary: { total: users.length, successful, failed: users.length - successful }
-  });
+/**
+ * GET /api/didi/regulation-sync
+ * 滴滴用车制度变更建议（员工工作地点与制度不一致）
+ *
+ * Query: status?（pending | applied | failed | dismissed）
+ */
+router.get('/didi/regulation-sync', (req, res) => {
+  res.json({ success: true, data: regulationSyncService.listProposals(req.query.status || null) });
+});
+
+/**
+ * POST /api/didi/regulation-sync/scan
+ * 立即校准滴滴员工的用车制度；机器人已配置时推送确认卡片
+ */
+router.post('/didi/regulation-sync/scan', async (req, res) => {
+  if (!didiService.configured) {
+    return res.status(400).json({ success: false, error: '滴滴企业版未配置' });
+  }
+
+  try {
+    const proposals = await regulationSyncService.scan();
+    let notified = false;
+    if (proposals.length > 0 && botService.enabled) {
+      await botService.sendRegulationCard(proposals);
+      notified = true;
+    }
+    res.json({ success: true, data: proposals, notified });
+  } catch (error) {
+    logger.error('Regulation sync scan failed', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/didi/regulation-sync/:memberId/apply
+ * 按建议更换员工的滴滴用车制度
+ */
+router.post('/didi/regulation-sync/:memberId/apply', async (req, res) => {
+  const { memberId } = req.params;
+  const operator = getOperator(req);
+
+  const existing = regulationSyncService.getProposal(memberId);
+  if (!existing) {
+    return res.status(404).json({ success: false, error: `未找到制度变更建议: ${memberId}` });
+  }
+
+  try {
+    const result = await idempotencyService.run('didi_regulation', `${memberId}:${matcherService.buildRegulationIdStr(existing.targetIds)}`, getIdempotencyKey(req), () =>
+      regulationSyncService.apply(memberId, { operatorId: operator }),
+      { targetIds: existing.targetIds }
+    );
+    if (!result.alreadyResolved && !result.idempotentReplay) {
+      auditService.record('didi_regulation_update', {
+        source: 'rest', operatorId: operator, name: result.name, memberId, phone: result.phone,
+        from: result.currentNames, ruleName: result.targetName, success: true
+      });
+    }
+    res.json({ success: true, data: result });
+  } catch (error) {
+    auditService.record('didi_regulation_update', {
+      source: 'rest', operatorId: operator, name: existing.name, memberId, phone: existing.phone,
+      ruleName: existing.targetName, success: false, error: error.reason || error.message, requestId: error.requestId
+    });
+    res.status(failureStatus(error)).json({ success: false, ...didiErrorFields(error) });
+  }
+});
+
+/**
+ * POST /api/didi/regulation-sync/:memberId/dismiss
+ * 忽略制度变更建议（匹配结果变化前不再提出）
+ */
+router.post('/didi/regulation-sync/:memberId/dismiss', (req, res) => {
+  const { memberId } = req.params;
+  const operator = getOperator(req);
+
+  try {
+    const result = regulationSyncService.dismiss(memberId, { operatorId: operator });
+    if (!result.alreadyResolved) {
+      auditService.record('didi_regulation_dismiss', {
+        source: 'rest', operatorId: operator, name: result.name, memberId, ruleName: result.targetName, success: true
+      });
+    }
+    res.json({ success: true, data: result });
+  } catch (error) {
+    res.status(404).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/reconcile
+ * 飞书在职员工 ↔ 滴滴员工对账报告
+ *
+ * Query: category?（missing_in_didi | not_employee | regulation_mismatch）只返回一类差异
+ */
+router.get('/reconcile', async (req, res) => {
+  if (!didiService.configured) {
+    return res.status(400).json({ success: false, error: '滴滴企业版未配置' });
+  }
+
+  const { category } = req.query;
+  if (category && !RECONCILE_CATEGORIES[category]) {
+    return res.status(400).json({ success: false, error: `category 只能是 ${Object.keys(RECONCILE_CATEGORIES).join(' / ')}` });
+  }
+
+  try {
+    const report = await reconcileService.run();
+    res.json({
+      success: true,
+      data: category
+        ? { generatedAt: report.generatedAt, summary: report.summary, [category]: report[category] }
+        : report
+    });
+  } catch (error) {
+    logger.error('Reconcile failed', { error: error.message });
+    res.status(500).json({ success: false, ...didiErrorFields(error) });
+  }
+});
+
+/**
+ * GET /api/offboarding
+ * 离职员工滴滴账号回收记录
+ *
+ * Query: status?（pending | failed | removed | disabled | ignored | no_account）
+ */
+router.get('/offboarding', (req, res) => {
+  res.json({ success: true, data: offboardingService.listCases(req.query.status || null) });
+});
+
+/**
+ * POST /api/offboarding/check
+ * 立即检测离职员工的滴滴账号；机器人已配置时推送确认卡片
+ */
+router.post('/offboarding/check', async (req, res) => {
+  if (!didiService.configured) {
+    return res.status(400).json({ success: false, error: '滴滴企业版未配置' });
+  }
+
+  try {
+    const cases = await offboardingService.detect();
+    let notified = false;
+    if (cases.length > 0 && botService.enabled) {
+      await botService.sendOffboardingCard(cases);
+      notified = true;
+    }
+    res.json({ success: true, data: cases, notified });
+  } catch (error) {
+    logger.error('Offboarding check failed', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/offboarding/:employmentId/resolve
+ * 处理离职员工的滴滴账号
+ *
+ * Body: { action: 'remove' | 'disable' | 'ignore' }
+ */
+router.post('/offboarding/:employmentId/resolve', async (req, res) => {
+  const { employmentId } = req.params;
+  const { action } = req.body;
+  const operator = getOperator(req);
+
+  if (!OFFBOARD_ACTIONS[action]) {
+    return res.status(400).json({ success: false, error: `action 只能是 ${Object.keys(OFFBOARD_ACTIONS).join(' / ')}` });
+  }
+
+  const existing = offboardingService.getCase(employmentId);
+  if (!existing) {
+    return res.status(404).json({ success: false, error: `未找到离职记录: ${employmentId}` });
+  }
+
+  try {
+    const result = await idempotencyService.run('didi_offboard', employmentId, getIdempotencyKey(req), () =>
+      offboardingService.resolve(employmentId, action, { operatorId: operator }),
+      { action }
+    );
+    if (!result.alreadyResolved && !result.idempotentReplay) {
+      auditService.record('didi_offboard', {
+        source: 'rest', operatorId: operator, name: result.name, employmentId,
+        phone: result.phone, memberId: result.memberId, offboardAction: action, success: true
+      });
+    }
+    res.json({ success: true, data: result });
+  } catch (error) {
+    if (error instanceof OffboardingBusyError) {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+    auditService.record('didi_offboard', {
+      source: 'rest', operatorId: operator, name: existing.name, employmentId,
+      phone: existing.phone, memberId: existing.memberId, offboardAction: action, success: false,
+      error: error.reason || error.message, requestId: error.requestId
+    });
+    res.status(failureStatus(error)).json({ success: false, ...didiErrorFields(error) });
+  }
+});
+
+/**
+ * GET /api/jobs
+ * 最近的批量开通任务
+ */
+router.get('/jobs', (req, res) => {
+  const count = parseInt(req.query.count || '20', 10);
+  const jobs = jobService.listJobs(count);
+  res.json({ success: true, data: jobs, total: jobs.length });
+});
+
+/**
+ * GET /api/jobs/:id
+ * 查询任务进度和逐人结果
+ */
+router.get('/jobs/:id', (req, res) => {
+  const job = jobService.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: '任务不存在' });
+  }
+  res.json({ success: true, data: job });
+});
+
+/**
+ * GET /api/jobs/:id/stream
+ * SSE 推送任务进度：每完成一人推送一次任务快照，任务结束后关闭连接
+ */
+router.get('/jobs/:id/stream', (req, res) => {
+  const job = jobService.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: '任务不存在' });
+  }
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  const send = (event, snapshot) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(snapshot)}\n\n`);
+  };
+
+  send('progress', job);
+  if (jobService.isFinished(job)) {
+    send('completed', job);
+    return res.end();
+  }
+
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, 30000);
+
+  const onProgress = (snapshot) => {
+    if (snapshot.id === job.id) send('progress', snapshot);
+  };
+  const onCompleted = (snapshot) => {
+    if (snapshot.id !== job.id) return;
+    send('completed', snapshot);
+    cleanup();
+    res.end();
+  };
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    jobService.off('progress', onProgress);
+    jobService.off('completed', onCompleted);
+  };
+
+  jobService.on('progress', onProgress);
+  jobService.on('completed', onCompleted);
+  req.on('close', cleanup);
 });
 
 /**
@@ -306,14 +1130,44 @@ router.post('/bot/summary', async (req, res) => {
 });
 
 /**
- * GET /api/bot/audit
- * 获取操作审计日志
+ * GET /api/audit
+ * 查询操作审计日志（REST / 卡片回调 / MCP 三个入口的所有开通记录）
+ * Query params:
+ *   operator=xxx        操作人
+ *   action=a,b          操作类型（如 provision_email,provision_didi）
+ *   source=rest|bot|mcp 入口
+ *   name=张三           人员姓名（模糊匹配）
+ *   id=xxx              pre_hire_id
+ *   success=true|false  结果
+ *   from=YYYY-MM-DD     起始时间（含）
+ *   to=YYYY-MM-DD       结束时间（含当天）
+ *   count=50            最多返回条数（format=csv 时默认导出全部）
+ *   format=csv          导出 CSV
  */
-router.get('/bot/audit', (req, res) => {
-  const count = parseInt(req.query.count || '50', 10);
-  const logs = botService.getAuditLog(count);
+function handleAuditQuery(req, res) {
+  const { operator, action, source, name, id, success, from, to, format } = req.query;
+  const isCsv = format === 'csv';
+  const count = req.query.count || (isCsv ? undefined : '50');
+
+  const logs = auditService.query({ operator, action, source, name, id, success, from, to, count });
+
+  if (isCsv) {
+    const filename = `audit-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.send(auditService.toCsv(logs));
+  }
+
   res.json({ success: true, data: logs, total: logs.length });
-});
+}
+
+router.get('/audit', handleAuditQuery);
+
+/**
+ * GET /api/bot/audit
+ * 兼容旧地址，参数同 /api/audit
+ */
+router.get('/bot/audit', handleAuditQuery);
 
 /**
  * POST /api/bot/callback
@@ -342,6 +1196,7 @@ router.post('/bot/callback', async (req, res) => {
     // body.action.tag = 组件类型
     const action = {
       ...(body.action || {}),
+      messageId: body.open_message_id,
       operator: {
         open_id: body.open_id,
         user_id: body.user_id,
@@ -7,6 +7,7 @@ import { fileURLToPath } from 'url';
 import apiRoutes from './api/routes.js';
 import { logger } from './services/logger.js';
 import { botService } from './services/bot.js';
+import { jobService } from './services/jobs.js';
 
 // Load environment variables
 dotenv.config();
@@ -58,6 +59,9 @@ app.listen(PORT, () => {
 
   // 启动飞书机器人定时检查
   botService.start();
+
+  // 恢复重启前未完成的批量开通任务
+  jobService.resume();
 });
 
 // Graceful shutdown
@@ -15,8 +15,10 @@ import {
   provisionDidi,
   getDidiRules,
   sendBotNotification,
-  getAuditLog
+  getAuditLog,
+  reconcileDidi
 } from './tools.js';
+import { jobService } from '../services/jobs.js';
 
 // Load environment variables
 dotenv.config();
@@ -67,6 +69,9 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       case 'get_audit_log':
         result = await getAuditLog(args);
         break;
+      case 'reconcile_didi':
+        result = await reconcileDidi(args);
+        break;
       default:
         throw new Error(`Unknown tool: ${name}`);
     }
@@ -90,6 +95,10 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
 // Start the server
 async function main() {
+  // MCP Server 使用独立的任务队列文件，并恢复上次未完成的批量任务
+  jobService.useStore('jobs-mcp');
+  jobService.resume();
+
   const transport = new StdioServerTransport();
   await server.connect(transport);
   console.error('Feishu-Didi Onboarding MCP Server v2.0 running on stdio');
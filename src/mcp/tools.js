@@ -1,8 +1,15 @@
 import { feishuService } from '../services/feishu.js';
-import { didiService } from '../services/didi.js';
+import { didiService, didiErrorFields } from '../services/didi.js';
 import { emailService } from '../services/email.js';
 import { matcherService } from '../services/matcher.js';
 import { logger } from '../services/logger.js';
+import { auditService } from '../services/audit.js';
+import { jobService } from '../services/jobs.js';
+import { idempotencyService } from '../services/idempotency.js';
+import { reconcileService, RECONCILE_CATEGORIES } from '../services/reconcile.js';
+
+// MCP 调用没有用户身份，统一记为 mcp
+const MCP_OPERATOR = 'mcp';
 
 /**
  * MCP Tool: list_hires
@@ -49,16 +56,30 @@ export async function listHires({ location, date, status } = {}) {
       data: enriched.map(h => ({
         id: h.id,
         name: h.name,
+        preferred_name: h.preferredName,
         phone: h.phone,
         city: h.city,
         department_id: h.departmentId,
+        department_path: h.departmentPath,
+        employee_number: h.employeeNumber,
+        work_email: h.workEmail,
         employee_type: h.employeeType,
         is_intern: h.isIntern,
         onboarding_date: h.onboardingDate,
         suggested_email: h.suggested_email,
+        suggested_aliases: h.suggested_aliases,
+        email_strategy: h.email_strategy,
+        email_needs_review: h.email_needs_review,
+        email_note: h.email_note,
         email_task_status: h.emailTaskStatus,
+        suggested_didi_rule_ids: h.suggested_didi_rule_ids,
+        suggested_didi_rule_names: h.suggested_didi_rule_names,
         suggested_didi_rule_id: h.suggested_didi_rule_id,
-        suggested_didi_rule_name: h.suggested_didi_rule_name
+        suggested_didi_rule_name: h.suggested_didi_rule_name,
+        didi_match_reason: h.didi_match_reason,
+        didi_match_confidence: h.didi_match_confidence,
+        didi_match_note: h.didi_match_note,
+        didi_rule_needs_review: h.didi_rule_needs_review
       }))
     };
   } catch (error) {
@@ -69,54 +90,100 @@ export async function listHires({ location, date, status } = {}) {
 
 /**
  * MCP Tool: provision_email
- * 为单个员工开通工作邮箱
+ * 为单个员工开通工作邮箱（幂等：同一个人或同一个 idempotency_key 只开通一次）
+ * dry_run 时只预演，不写入飞书
  */
-export async function provisionEmail({ id, name, email }) {
+export async function provisionEmail({ id, name, email, preferred_name, idempotency_key, dry_run }) {
+  if (dry_run) {
+    try {
+      const result = await emailService.provisionEmailWithRetry(id, name, email || null, {
+        preferredName: preferred_name,
+        dryRun: true
+      });
+      return { success: true, dry_run: true, name, email: result.email, strategy: result.strategy, skipped: result.skipped };
+    } catch (error) {
+      return { success: false, dry_run: true, name, error: error.message };
+    }
+  }
+
   try {
     logger.info(`MCP: 开通邮箱 ${name}`, { id, email });
-    const result = await emailService.provisionEmailWithRetry(id, name, email || null);
+    const result = await idempotencyService.run('provision_email', id, idempotency_key || null, () =>
+      emailService.provisionEmailWithRetry(id, name, email || null, { preferredName: preferred_name }),
+      { name, email: email || null, preferredName: preferred_name || null }
+    );
     logger.success(`MCP: 邮箱开通成功 ${name} -> ${result.email}`);
+    auditService.record('provision_email', {
+      source: 'mcp', operatorId: MCP_OPERATOR, name, preHireId: id, email: result.email, success: true,
+      ...(result.idempotentReplay && { idempotentReplay: true })
+    });
     return {
       success: true,
       name,
       email: result.email,
-      attempts: result.attempts
+      attempts: result.attempts,
+      skipped: result.skipped,
+      idempotent_replay: !!result.idempotentReplay
     };
   } catch (error) {
     logger.error(`MCP: 邮箱开通失败 ${name}`, { error: error.message });
+    auditService.record('provision_email', {
+      source: 'mcp', operatorId: MCP_OPERATOR, name, preHireId: id, success: false, error: error.message
+    });
     return { success: false, name, error: error.message };
   }
 }
 
 /**
  * MCP Tool: provision_email_batch
- * 批量开通工作邮箱
+ * 批量开通工作邮箱（创建后台任务并等待完成）
+ * dry_run 时不建任务，只返回每个人将要使用的邮箱
  */
-export async function provisionEmailBatch({ users }) {
+export async function provisionEmailBatch({ users, idempotency_key, dry_run }) {
   if (!users || users.length === 0) {
     return { success: false, error: 'users 数组不能为空' };
   }
 
-  logger.info(`MCP: 批量开通邮箱 ${users.length} 人`);
-  const results = [];
-  let successful = 0;
-
-  for (const user of users) {
+  if (dry_run) {
+    logger.info(`MCP: 预演批量开通邮箱 ${users.length} 人`);
     try {
-      const result = await emailService.provisionEmailWithRetry(user.id, user.name, user.email || null);
-      results.push({ name: user.name, success: true, email: result.email, attempts: result.attempts });
-      successful++;
-      logger.success(`MCP: ${user.name} -> ${result.email}`);
+      const results = await emailService.previewEmailBatch(users);
+      const successful = results.filter(r => r.success).length;
+      return {
+        success: true,
+        dry_run: true,
+        summary: { total: results.length, successful, failed: results.length - successful },
+        data: results.map(r => ({
+          name: r.name,
+          success: r.success,
+          ...(r.success ? { email: r.email, strategy: r.strategy, skipped: r.skipped } : { error: r.error })
+        }))
+      };
     } catch (error) {
-      results.push({ name: user.name, success: false, error: error.message });
-      logger.error(`MCP: ${user.name} 失败`, { error: error.message });
+      logger.error(`MCP: 预演批量开通邮箱失败`, { error: error.message });
+      return { success: false, dry_run: true, error: error.message };
     }
   }
 
+  logger.info(`MCP: 批量开通邮箱 ${users.length} 人`);
+  const meta = { source: 'mcp', operatorId: MCP_OPERATOR };
+  // 带 idempotency_key 时重复调用等待同一个任务，而不是再建一个
+  const { jobId } = idempotency_key
+    ? await idempotencyService.run('provision_email_batch', 'mcp', idempotency_key, async () => ({
+      jobId: jobService.enqueue('provision_email', users, meta).id
+    }), users)
+    : { jobId: jobService.enqueue('provision_email', users, meta).id };
+  const finished = await jobService.waitFor(jobId);
+
   return {
     success: true,
-    summary: { total: users.length, successful, failed: users.length - successful },
-    data: results
+    job_id: finished.id,
+    summary: { total: finished.total, successful: finished.successful, failed: finished.failed },
+    data: finished.results.map(r => ({
+      name: r.name,
+      success: r.success,
+      ...(r.success ? { email: r.email, attempts: r.attempts } : { error: r.error })
+    }))
   };
 }
 
@@ -124,20 +191,37 @@ export async function provisionEmailBatch({ users }) {
  * MCP Tool: provision_didi
  * 为单个员工开通滴滴企业账号
  */
-export async function provisionDidi({ name, phone, didi_rule_id, email, residentsname }) {
+export async function provisionDidi({ name, phone, didi_rule_ids, didi_rule_id, email, employee_number, residentsname, department_id, idempotency_key }) {
+  const ruleId = matcherService.buildRegulationIdStr([].concat(didi_rule_ids || didi_rule_id || [])) || null;
   try {
     if (!didiService.configured) {
       return { success: false, error: '滴滴企业版未配置' };
     }
-    logger.info(`MCP: 开通滴滴 ${name}`, { phone, didi_rule_id });
-    const result = await didiService.provisionMember(name, phone, didi_rule_id || null, {
-      email, residentsname
-    });
+    if (!ruleId) {
+      return { success: false, error: '需要 didi_rule_ids 或 didi_rule_id' };
+    }
+    logger.info(`MCP: 开通滴滴 ${name}`, { phone, ruleId });
+    const result = await idempotencyService.run('provision_didi', phone, idempotency_key || null, () =>
+      didiService.provisionMember(name, phone, ruleId, {
+        email, employeeNumber: employee_number, residentsname, departmentId: department_id
+      }),
+      { name, ruleId, email, employeeNumber: employee_number, residentsname, departmentId: department_id }
+    );
     logger.success(`MCP: 滴滴开通 ${name}`, result);
-    return { success: true, name, ...result };
+    auditService.record('provision_didi', {
+      source: 'mcp', operatorId: MCP_OPERATOR, name, phone, ruleId, success: true,
+      alreadyExists: !!result.alreadyExists,
+      ...(result.reactivated && { reactivated: true }),
+      ...(result.idempotentReplay && { idempotentReplay: true })
+    });
+    return { success: true, name, ...result, idempotent_replay: !!result.idempotentReplay };
   } catch (error) {
-    logger.error(`MCP: 滴滴开通失败 ${name}`, { error: error.message });
-    return { success: false, name, error: error.message };
+    logger.error(`MCP: 滴滴开通失败 ${name}`, { error: error.message, requestId: error.requestId });
+    auditService.record('provision_didi', {
+      source: 'mcp', operatorId: MCP_OPERATOR, name, phone, ruleId, success: false,
+      error: error.reason || error.message, requestId: error.requestId
+    });
+    return { success: false, name, ...didiErrorFields(error) };
   }
 }
 
@@ -150,7 +234,7 @@ export async function getDidiRules() {
     const rules = await didiService.fetchRegulations();
     return { success: true, total: rules.length, data: rules };
   } catch (error) {
-    return { success: false, error: error.message };
+    return { success: false, ...didiErrorFields(error) };
   }
 }
 
@@ -179,24 +263,49 @@ export async function sendBotNotification({ type }) {
 
 /**
  * MCP Tool: get_audit_log
- * 获取操作审计日志
+ * 查询操作审计日志，支持按操作人、操作类型、人员、结果、时间范围过滤
  */
-export async function getAuditLog({ count }) {
+export async function getAuditLog({ count, operator, action, source, name, id, success, from, to } = {}) {
   try {
-    const { botService } = await import('../services/bot.js');
-    const logs = botService.getAuditLog(count || 20);
+    const logs = auditService.query({
+      operator, action, source, name, id, success, from, to,
+      count: count || 20
+    });
     return { success: true, total: logs.length, data: logs };
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 
+/**
+ * MCP Tool: reconcile_didi
+ * 飞书在职员工 ↔ 滴滴员工对账：未开通滴滴、非在职员工、制度与城市不符
+ */
+export async function reconcileDidi({ category } = {}) {
+  try {
+    if (!didiService.configured) {
+      return { success: false, error: '滴滴企业版未配置' };
+    }
+    if (category && !RECONCILE_CATEGORIES[category]) {
+      return { success: false, error: `category 只能是 ${Object.keys(RECONCILE_CATEGORIES).join(' / ')}` };
+    }
+
+    const report = await reconcileService.run();
+    if (category) {
+      return { success: true, generatedAt: report.generatedAt, summary: report.summary, category, data: report[category] };
+    }
+    return { success: true, ...report };
+  } catch (error) {
+    return { success: false, ...didiErrorFields(error) };
+  }
+}
+
 // ==================== Tool Definitions ====================
 
 export const toolDefinitions = [
   {
     name: 'list_hires',
-    description: '列出待入职/已入职人员。返回姓名、城市、入职日期、建议邮箱、滴滴规则等信息。默认只显示需要开通邮箱的 preboarding 人员。',
+    description: '列出待入职/已入职人员。返回姓名、城市、入职日期、建议邮箱、滴滴规则及其匹配依据（didi_match_note，didi_rule_needs_review 为 true 表示是低可信度的回退匹配，开通前需确认）等信息。默认只显示需要开通邮箱的 preboarding 人员。',
     inputSchema: {
       type: 'object',
       properties: {
@@ -224,7 +333,10 @@ export const toolDefinitions = [
       properties: {
         id: { type: 'string', description: '飞书 pre_hire_id' },
         name: { type: 'string', description: '员工中文姓名' },
-        email: { type: 'string', description: '指定邮箱（可选，不填则自动生成拼音邮箱）' }
+        email: { type: 'string', description: '指定邮箱（可选，不填则按命名策略自动生成）' },
+        preferred_name: { type: 'string', description: '英文名（可选，命名模板含 {preferred} 时使用）' },
+        idempotency_key: { type: 'string', description: '幂等键（可选），相同键的重复调用直接返回第一次的结果' },
+        dry_run: { type: 'boolean', description: '只预演不开通：返回将要使用的邮箱和被跳过的候选及原因' }
       },
       required: ['id', 'name']
     }
@@ -243,26 +355,34 @@ export const toolDefinitions = [
             properties: {
               id: { type: 'string', description: '飞书 pre_hire_id' },
               name: { type: 'string', description: '员工中文姓名' },
-              email: { type: 'string', description: '指定邮箱（可选）' }
+              email: { type: 'string', description: '指定邮箱（可选）' },
+              preferredName: { type: 'string', description: '英文名（可选）' }
             },
             required: ['id', 'name']
           }
-        }
+        },
+        idempotency_key: { type: 'string', description: '幂等键（可选），相同键的重复调用返回同一个批量任务的结果' },
+        dry_run: { type: 'boolean', description: '只预演不开通：返回每个人将要使用的邮箱和被跳过的候选及原因' }
       },
       required: ['users']
     }
   },
   {
     name: 'provision_didi',
-    description: '为员工开通企业滴滴账号。需要姓名、手机号和用车规则ID。',
+    description: '为员工开通企业滴滴账号。需要姓名、手机号和用车规则 ID（didi_rule_ids 可传多个）。离职员工再入职时重新启用账号（返回 reactivated: true）。失败时返回 error（原因）、error_type 和滴滴的 request_id。',
     inputSchema: {
       type: 'object',
       properties: {
         name: { type: 'string', description: '员工姓名' },
         phone: { type: 'string', description: '手机号（不含+86）' },
-        didi_rule_id: { type: 'string', description: '滴滴用车规则 ID' }
+        didi_rule_ids: { type: 'array', items: { type: 'string' }, description: '滴滴用车规则 ID 数组（可同时分配多个，list_hires 返回的 suggested_didi_rule_ids）' },
+        didi_rule_id: { type: 'string', description: '滴滴用车规则 ID（只分配一个时可用，与 didi_rule_ids 二选一）' },
+        email: { type: 'string', description: '工作邮箱（可选，list_hires 返回的 work_email）' },
+        employee_number: { type: 'string', description: '工号（可选，list_hires 返回的 employee_number），用于财务对账' },
+        department_id: { type: 'string', description: '飞书部门 ID（可选，list_hires 返回的 department_id），按部门映射自动填写成本中心' },
+        idempotency_key: { type: 'string', description: '幂等键（可选），相同键的重复调用直接返回第一次的结果' }
       },
-      required: ['name', 'phone', 'didi_rule_id']
+      required: ['name', 'phone']
     }
   },
   {
@@ -289,11 +409,33 @@ export const toolDefinitions = [
   },
   {
     name: 'get_audit_log',
-    description: '获取最近的操作审计日志，包括邮箱开通记录、操作人等。',
+    description: '查询操作审计日志（REST、飞书卡片、MCP 三个入口的所有开通记录），支持按操作人、操作类型、人员、结果、日期过滤。',
     inputSchema: {
       type: 'object',
       properties: {
-        count: { type: 'number', description: '返回条数（默认20）' }
+        count: { type: 'number', description: '返回条数（默认20）' },
+        operator: { type: 'string', description: '操作人（飞书 open_id、mcp 或 dashboard@IP）' },
+        action: { type: 'string', description: '操作类型，多个用逗号分隔（如 provision_email,provision_didi）' },
+        source: { type: 'string', description: '入口', enum: ['rest', 'bot', 'mcp'] },
+        name: { type: 'string', description: '人员姓名（模糊匹配）' },
+        id: { type: 'string', description: '飞书 pre_hire_id' },
+        success: { type: 'boolean', description: '只看成功（true）或失败（false）' },
+        from: { type: 'string', description: '起始日期（YYYY-MM-DD，含）' },
+        to: { type: 'string', description: '结束日期（YYYY-MM-DD，含）' }
+      }
+    }
+  },
+  {
+    name: 'reconcile_didi',
+    description: '飞书在职员工与滴滴员工对账（按手机号/工号对应），列出未开通滴滴的员工、不是在职员工的滴滴账号、用车制度与工作城市不符的员工。',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        category: {
+          type: 'string',
+          description: '只看某一类差异（可选，不填返回全部）',
+          enum: ['missing_in_didi', 'not_employee', 'regulation_mismatch']
+        }
       }
     }
   }
@@ -0,0 +1,222 @@
+import fs from 'fs';
+import path from 'path';
+import { getDataDir, isMemoryStore } from './store.js';
+import { logger } from './logger.js';
+
+/**
+ * 操作审计服务
+ *
+ * 只追加（append-only）的审计日志，每条记录一行 JSON，写入 DATA_DIR/audit.jsonl。
+ * 所有入口（REST API、飞书卡片回调、MCP 工具）的开通操作都记录在这里，
+ * 支持按操作人、操作类型、人员、结果、时间范围过滤，以及导出 CSV。
+ *
+ * 记录字段：
+ *   timestamp  - ISO 时间
+ *   source     - 入口：rest | bot | mcp
+ *   action     - 操作类型（如 provision_email、provision_didi）
+ *   operatorId - 操作人（飞书 open_id / 请求方标识）
+ *   name       - 人员姓名
+ *   preHireId  - 飞书 pre_hire_id
+ *   success    - 是否成功
+ *   error      - 失败原因
+ *   其余字段原样保留（email、phone、ruleName 等）
+ */
+
+// CSV 导出的固定列（其余字段合并到 details 列）
+const CSV_COLUMNS = ['timestamp', 'source', 'action', 'operatorId', 'name', 'preHireId', 'success', 'error'];
+
+/**
+ * 按时间排序（稳定排序，同一时间保持写入顺序）
+ */
+function sortByTime(entries) {
+  return entries.sort((a, b) => (a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0));
+}
+
+class AuditService {
+  constructor() {
+    this.entries = [];
+    this.offset = 0; // 已读取到的文件字节位置
+  }
+
+  get filePath() {
+    return path.join(getDataDir(), 'audit.jsonl');
+  }
+
+  /**
+   * 读取文件中新追加的记录（损坏的行跳过）
+   * MCP Server 是独立进程，也往同一个文件追加，因此每次查询前都读取增量；
+   * 文件变短（被替换）时从头重新读取
+   */
+  _load() {
+    if (isMemoryStore()) return this.entries;
+
+    let size;
+    try {
+      if (!fs.existsSync(this.filePath)) return this.entries;
+      size = fs.statSync(this.filePath).size;
+      if (size < this.offset) {
+        this.entries = [];
+        this.offset = 0;
+      }
+      if (size === this.offset) return this.entries;
+
+      const buffer = Buffer.alloc(size - this.offset);
+      const fd = fs.openSync(this.filePath, 'r');
+      try {
+        fs.readSync(fd, buffer, 0, buffer.length, this.offset);
+      } finally {
+        fs.closeSync(fd);
+      }
+
+      // 只处理完整的行，另一个进程写了一半的行留到下次
+      const end = buffer.lastIndexOf(0x0a);
+      if (end === -1) return this.entries;
+      this.offset += end + 1;
+
+      let outOfOrder = false;
+      for (const line of buffer.subarray(0, end).toString('utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          const entry = JSON.parse(line);
+          const last = this.entries[this.entries.length - 1];
+          if (last && entry.timestamp < last.timestamp) outOfOrder = true;
+          this.entries.push(entry);
+        } catch {
+          logger.warn('Audit: 跳过无法解析的记录', { line: line.slice(0, 200) });
+        }
+      }
+      // 追加导入的旧记录比已有记录早，按时间重新排序
+      if (outOfOrder) sortByTime(this.entries);
+    } catch (err) {
+      logger.error('Audit: 读取审计日志失败', { error: err.message });
+    }
+
+    return this.entries;
+  }
+
+  /**
+   * 追加一条审计记录
+   * @param {string} action - 操作类型
+   * @param {Object} data - 记录内容（source、operatorId、name、preHireId、success、error 等）
+   * @returns {Object} - 写入的记录
+   */
+  record(action, data = {}) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      action,
+      ...data
+    };
+
+    if (isMemoryStore()) {
+      this.entries.push(entry);
+      return entry;
+    }
+
+    // 写入文件，下次查询时随增量读取进入内存
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+    } catch (err) {
+      logger.error('Audit: 写入审计日志失败', { error: err.message });
+    }
+
+    return entry;
+  }
+
+  /**
+   * 导入旧版机器人状态中的审计记录（bot-state.json 的 auditLog，只在升级后导入一次）
+   * 追加到文件末尾（与 MCP Server 的写入一样只追加，不重写文件），读取时按时间排到前面；
+   * 已导入过的（时间和操作相同）跳过
+   * @param {Array} legacyEntries - { timestamp, action, ... }
+   * @returns {number} - 导入的条数
+   */
+  importLegacy(legacyEntries = []) {
+    const existing = new Set(this._load().map(e => `${e.timestamp}|${e.action}`));
+    const imported = legacyEntries
+      .filter(e => e?.timestamp && !existing.has(`${e.timestamp}|${e.action}`))
+      .map(e => ({ source: 'bot', ...e, legacy: true }));
+    if (imported.length === 0) return 0;
+
+    if (isMemoryStore()) {
+      this.entries = sortByTime([...this.entries, ...imported]);
+      return imported.length;
+    }
+
+    // 写入失败时抛出，调用方保留旧记录下次重试
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, imported.map(e => JSON.stringify(e) + '\n').join(''));
+
+    logger.info(`Audit: 导入 ${imported.length} 条旧版机器人审计记录`);
+    return imported.length;
+  }
+
+  /**
+   * 查询审计记录，返回满足条件的最近 count 条（按时间正序）
+   * @param {Object} [filters]
+   * @param {string} [filters.operator] - 操作人（精确匹配）
+   * @param {string} [filters.action] - 操作类型（多个用逗号分隔）
+   * @param {string} [filters.source] - 入口：rest | bot | mcp
+   * @param {string} [filters.name] - 人员姓名（模糊匹配）
+   * @param {string} [filters.id] - pre_hire_id（精确匹配）
+   * @param {boolean|string} [filters.success] - true / false
+   * @param {string} [filters.from] - 起始时间（ISO 或 YYYY-MM-DD，含）
+   * @param {string} [filters.to] - 结束时间（ISO 或 YYYY-MM-DD，YYYY-MM-DD 时含当天）
+   * @param {number} [filters.count] - 最多返回条数（不传返回全部）
+   */
+  query(filters = {}) {
+    const { operator, action, source, name, id, success, from, to, count } = filters;
+    const actions = action ? String(action).split(',').map(a => a.trim()).filter(Boolean) : null;
+    const successFilter = success === undefined || success === null || success === ''
+      ? null
+      : String(success) === 'true';
+    const fromTime = from ? new Date(from).getTime() : null;
+    // 纯日期的结束时间包含当天
+    const toTime = to
+      ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to).getTime()
+      : null;
+
+    const matched = this._load().filter(entry => {
+      if (operator && entry.operatorId !== operator) return false;
+      if (actions && !actions.includes(entry.action)) return false;
+      if (source && entry.source !== source) return false;
+      if (name && !(entry.name || '').includes(name)) return false;
+      if (id && entry.preHireId !== id) return false;
+      if (successFilter !== null && entry.success !== successFilter) return false;
+
+      const time = new Date(entry.timestamp).getTime();
+      if (fromTime !== null && time < fromTime) return false;
+      if (toTime !== null && time > toTime) return false;
+      return true;
+    });
+
+    const limit = parseInt(count, 10);
+    return limit > 0 ? matched.slice(-limit) : matched;
+  }
+
+  /**
+   * 导出 CSV（带 BOM，Excel 直接打开不乱码）
+   * @param {Array} entries - query() 返回的记录
+   */
+  toCsv(entries) {
+    const escape = (value) => {
+      if (value === undefined || value === null) return '';
+      const str = typeof value === 'string' ? value : JSON.stringify(value);
+      return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+
+    const header = [...CSV_COLUMNS, 'details'].join(',');
+    const rows = entries.map(entry => {
+      const details = {};
+      for (const [key, value] of Object.entries(entry)) {
+        if (!CSV_COLUMNS.includes(key)) details[key] = value;
+      }
+      const cells = CSV_COLUMNS.map(col => escape(entry[col]));
+      cells.push(Object.keys(details).length > 0 ? escape(details) : '');
+      return cells.join(',');
+    });
+
+    return '\uFEFF' + [header, ...rows].join('\n');
+  }
+}
+
+export const auditService = new AuditService();
@@ -0,0 +1,133 @@
+import { v4 as uuidv4 } from 'uuid';
+import { createStore } from './store.js';
+
+/**
+ * 邮箱保留名 / 屏蔽词
+ *
+ * 生成的邮箱前缀（含重名后缀）命中这里的规则时跳过，换下一个候选：
+ * - exact   完全匹配，如 admin、hr（与职能邮箱冲突）
+ * - pattern 正则匹配（不区分大小写），如 ^sb\d*$（不雅词）
+ *
+ * 首次使用时写入内置规则，之后可通过 API 增删（内置规则也可以删除）。
+ */
+
+const DEFAULT_RESERVED = [
+  'admin', 'administrator', 'root', 'system', 'hr', 'it', 'service', 'support', 'help', 'helpdesk',
+  'info', 'contact', 'sales', 'finance', 'legal', 'security', 'office', 'postmaster', 'webmaster',
+  'hostmaster', 'abuse', 'noreply', 'mail', 'test', 'ceo', 'cto', 'cfo'
+];
+
+const DEFAULT_PATTERNS = [
+  { value: '^sb\\d*$', reason: '不雅词' },
+  { value: 'shabi|caonima|fuck|porn', reason: '不雅词' }
+];
+
+const RULE_TYPES = ['exact', 'pattern'];
+
+class EmailBlocklistService {
+  constructor() {
+    this.store = null;
+    this.entries = []; // [{ id, type, value, reason, operatorId, createdAt }]
+  }
+
+  /**
+   * 读取最新数据（Web 服务修改后，MCP Server 进程下次读取即生效）
+   */
+  _loadState() {
+    if (!this.store) {
+      this.store = createStore('email-blocklist');
+    } else if (!this.store.refresh()) {
+      return;
+    }
+    this.entries = this.store.get('entries', null) || this._defaults();
+  }
+
+  _defaults() {
+    const createdAt = new Date().toISOString();
+    return [
+      ...DEFAULT_RESERVED.map(value => ({ type: 'exact', value, reason: '职能邮箱保留名' })),
+      ...DEFAULT_PATTERNS.map(p => ({ type: 'pattern', ...p }))
+    ].map(entry => ({ id: uuidv4(), ...entry, operatorId: 'builtin', createdAt }));
+  }
+
+  _save() {
+    this.store.set('entries', this.entries);
+  }
+
+  list() {
+    this._loadState();
+    return this.entries;
+  }
+
+  /**
+   * 检查邮箱前缀是否命中保留名/屏蔽词
+   * @param {string} emailOrLocalPart - 完整邮箱或前缀
+   * @returns {Object|null} - 命中的规则
+   */
+  match(emailOrLocalPart) {
+    this._loadState();
+    const localPart = String(emailOrLocalPart || '').split('@')[0].toLowerCase();
+    return this.entries.find(entry => {
+      if (entry.type === 'exact') return entry.value === localPart;
+      try {
+        return new RegExp(entry.value, 'i').test(localPart);
+      } catch {
+        return false;
+      }
+    }) || null;
+  }
+
+  /**
+   * 新增规则
+   * @param {Object} rule - { type: 'exact'|'pattern', value, reason? }
+   * @param {Object} [meta] - { operatorId }
+   */
+  add({ type = 'exact', value, reason }, meta = {}) {
+    this._loadState();
+    if (!RULE_TYPES.includes(type)) {
+      throw new Error(`type 只能是 ${RULE_TYPES.join(' / ')}`);
+    }
+
+    const normalized = type === 'exact' ? String(value || '').trim().toLowerCase() : String(value || '').trim();
+    if (!normalized) {
+      throw new Error('value 不能为空');
+    }
+    if (type === 'pattern') {
+      try {
+        new RegExp(normalized, 'i');
+      } catch (err) {
+        throw new Error(`正则表达式无效: ${err.message}`);
+      }
+    }
+    if (this.entries.some(e => e.type === type && e.value === normalized)) {
+      throw new Error(`规则已存在: ${normalized}`);
+    }
+
+    const entry = {
+      id: uuidv4(),
+      type,
+      value: normalized,
+      reason: reason || '',
+      operatorId: meta.operatorId || null,
+      createdAt: new Date().toISOString()
+    };
+    this.entries.push(entry);
+    this._save();
+    return entry;
+  }
+
+  /**
+   * 删除规则
+   * @returns {Object|null} - 被删除的规则
+   */
+  remove(id) {
+    this._loadState();
+    const index = this.entries.findIndex(e => e.id === id);
+    if (index === -1) return null;
+    const [entry] = this.entries.splice(index, 1);
+    this._save();
+    return entry;
+  }
+}
+
+export const emailBlocklistService = new EmailBlocklistService();
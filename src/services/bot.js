@@ -1,8 +1,17 @@
 import { feishuService } from './feishu.js';
 import { emailService } from './email.js';
-import { didiService } from './didi.js';
+import { didiService, formatDidiError } from './didi.js';
 import { matcherService } from './matcher.js';
 import { logger } from './logger.js';
+import { createStore } from './store.js';
+import { auditService } from './audit.js';
+import { jobService } from './jobs.js';
+import { idempotencyService } from './idempotency.js';
+import { mailService } from './mail.js';
+import { offboardingService, OFFBOARD_ACTIONS, OffboardingBusyError } from './offboarding.js';
+import { regulationSyncService } from './regulations.js';
+import { didiDirectoryService } from './directory.js';
+import { reconcileService, RECONCILE_CATEGORIES } from './reconcile.js';
 
 /**
  * 飞书机器人服务 - 入职自动化的主要交互入口
@@ -14,6 +23,11 @@ import { logger } from './logger.js';
  * 4. 实习生自动标记，不展示滴滴开通按钮
  * 5. 滴滴开通仅对 completed 状态的非实习员工
  * 6. 每日汇总 + 入职倒计时提醒
+ * 7. 员工入职后自动开通邮箱并加入部门邮件组（MAIL_PROVISION_ENABLED=true）
+ * 8. 离职员工滴滴账号回收，IT 在卡片上确认移除/停用（DIDI_OFFBOARDING_ENABLED=true）
+ * 9. 员工调动城市后校准滴滴用车制度，IT 在卡片上确认更换（DIDI_REGULATION_SYNC_ENABLED=true）
+ * 10. 定时全量同步滴滴员工目录到本地缓存（DIDI_DIRECTORY_SYNC_ENABLED=true）
+ * 11. 每周推送飞书 ↔ 滴滴对账汇总（DIDI_RECONCILE_ENABLED=true）
  */
 
 // 城市推送策略
@@ -23,6 +37,20 @@ const CITY_PUSH_RULES = {
 };
 const DEFAULT_PUSH_RULE = { type: 'scheduled', days: [1, 3] }; // 默认跟北京
 
+// 对账卡片每类最多列出的人数
+const RECONCILE_CARD_ROWS = 20;
+
+// 批量任务类型 -> 任务结束时的审计操作类型
+const BATCH_AUDIT_ACTIONS = {
+  provision_email: 'provision_all_email',
+  provision_didi: 'provision_all_didi',
+  didi_regulation: 'didi_regulation_apply_all'
+};
+
+// 邮箱开通结果：邮箱账号状态 / 邮件组、别名状态图标
+const MAILBOX_LABELS = { created: '🆕 已创建', exists: '✅ 已存在' };
+const MAIL_STATUS_ICONS = { added: '🆕', exists: '✅', skipped: '⏭️', failed: '❌' };
+
 class BotService {
   constructor() {
     this.timer = null;
@@ -32,9 +60,20 @@ class BotService {
     this.initialized = false;
     this.completedInitialized = false;
     // 记录已发送的消息 ID，用于后续更新卡片
-    this.sentMessages = new Map(); // messageId -> { hires, timestamp }
-    // 操作审计日志
-    this.auditLog = [];
+    this.sentMessages = new Map(); // messageId -> { kind, city, hires, batch, timestamp }
+    // 持久化存储（start() 时加载，之后每次变更都写盘）
+    this.store = null;
+
+    // 同一张卡片的原地更新串行执行：messageId -> { tail, pending }
+    this.cardRefreshes = new Map();
+
+    // 批量开通由任务队列后台执行，逐人更新原卡片，结束后汇总结果
+    jobService.on('progress', (job, result) => this._onJobProgress(job, result).catch(error => {
+      logger.error('Bot: 处理批量任务进度失败', { jobId: job.id, error: error.message });
+    }));
+    jobService.on('completed', job => this._onJobCompleted(job).catch(error => {
+      logger.error('Bot: 处理批量任务结束失败', { jobId: job.id, error: error.message });
+    }));
   }
 
   get chatId() {
@@ -56,6 +95,8 @@ class BotService {
   // ==================== 生命周期 ====================
 
   start() {
+    this._loadState();
+
     if (!this.enabled) {
       logger.info('Bot: 未配置飞书机器人（FEISHU_BOT_CHAT_ID 或 FEISHU_BOT_WEBHOOK），跳过启动');
       return;
@@ -85,6 +126,63 @@ class BotService {
     logger.info('Bot: 已停止');
   }
 
+  // ==================== 状态持久化 ====================
+
+  /**
+   * 从本地存储恢复去重状态和消息记录（重复调用无副作用）
+   */
+  _loadState() {
+    if (this.store) return;
+
+    this.store = createStore('bot-state');
+    this.lastKnownIds = new Set(this.store.get('lastKnownIds', []));
+    this.lastKnownCompletedIds = new Set(this.store.get('lastKnownCompletedIds', []));
+    this.initialized = this.store.get('initialized', false);
+    this.completedInitialized = this.store.get('completedInitialized', false);
+    this.sentMessages = new Map(this.store.get('sentMessages', []));
+
+    // 旧版本的审计日志存在机器人状态里，导入审计文件后删除（导入失败时保留，下次启动重试）
+    const legacyAudit = this.store.get('auditLog', null);
+    if (legacyAudit) {
+      try {
+        auditService.importLegacy(legacyAudit);
+        this.store.delete('auditLog');
+      } catch (error) {
+        logger.error('Bot: 导入旧版审计日志失败', { error: error.message });
+      }
+    }
+
+    logger.info('Bot: 已加载持久化状态', {
+      knownIds: this.lastKnownIds.size,
+      knownCompletedIds: this.lastKnownCompletedIds.size,
+      sentMessages: this.sentMessages.size
+    });
+  }
+
+  /**
+   * 将指定字段写回存储
+   * @param {...string} keys - lastKnownIds | lastKnownCompletedIds | sentMessages
+   */
+  _saveState(...keys) {
+    this._loadState();
+
+    for (const key of keys) {
+      switch (key) {
+        case 'lastKnownIds':
+          this.store.set('lastKnownIds', [...this.lastKnownIds]);
+          this.store.set('initialized', this.initialized);
+          break;
+        case 'lastKnownCompletedIds':
+          this.store.set('lastKnownCompletedIds', [...this.lastKnownCompletedIds]);
+          this.store.set('completedInitialized', this.completedInitialized);
+          break;
+        case 'sentMessages':
+          this.store.set('sentMessages', [...this.sentMessages.entries()]);
+          break;
+      }
+    }
+  }
+
   // ==================== 城市推送策略 ====================
 
   /**
@@ -129,13 +227,15 @@ class BotService {
   // ==================== 定时检查 ====================
 
   async checkAndNotify(force = false) {
+    this._loadState();
     try {
       logger.info('Bot: 开始检查待入职人员...');
 
-      // 并行获取 preboarding（邮箱）和 completed（滴滴）
+      // 并行获取 preboarding（邮箱）和 completed（滴滴、邮箱开通）
+      const needCompleted = didiService.configured || mailService.enabled;
       const [preHires, completedHires] = await Promise.all([
         feishuService.getEnrichedPreHires('preboarding', false),
-        didiService.configured ? feishuService.getEnrichedPreHires('completed', false) : Promise.resolve([])
+        needCompleted ? feishuService.getEnrichedPreHires('completed', false) : Promise.resolve([])
       ]);
 
       // ===== 处理 preboarding（邮箱开通） =====
@@ -152,12 +252,51 @@ class BotService {
         didiResults = await this._processCompletedHires(completedHires, force);
       }
 
-      const totalSent = (emailResults.sent ? emailResults.count : 0) + (didiResults.sent ? didiResults.count : 0);
+      // ===== 处理 completed（邮箱开通 + 邮件组） =====
+      let mailResults = { sent: false, count: 0 };
+      if (completedHires.length > 0 && mailService.enabled) {
+        mailResults = await this._processMailboxes(completedHires);
+      }
+
+      // ===== 滴滴员工目录同步（离职回收、制度校准、开通都读这份缓存） =====
+      if (didiDirectoryService.enabled && didiDirectoryService.stale) {
+        try {
+          await didiDirectoryService.sync();
+        } catch (error) {
+          logger.error('Bot: 滴滴员工目录同步失败', { error: error.message });
+        }
+      }
+
+      // ===== 离职员工滴滴账号回收 =====
+      let offboardingResults = { sent: false, count: 0 };
+      if (offboardingService.enabled) {
+        offboardingResults = await this._processOffboarding();
+      }
+
+      // ===== 滴滴用车制度校准（每天一次） =====
+      let regulationResults = { sent: false, count: 0 };
+      if (regulationSyncService.enabled && (regulationSyncService.due || force)) {
+        regulationResults = await this._processRegulationSync();
+      }
+
+      // ===== 飞书 ↔ 滴滴对账（每周一次） =====
+      let reconcileResults = { sent: false, count: 0 };
+      if (reconcileService.enabled && (reconcileService.due || force)) {
+        reconcileResults = await this._processReconcile();
+      }
+
+      const totalSent = (emailResults.sent ? emailResults.count : 0) + (didiResults.sent ? didiResults.count : 0)
+        + (mailResults.sent ? mailResults.count : 0);
       return { 
-        sent: emailResults.sent || didiResults.sent, 
+        sent: emailResults.sent || didiResults.sent || mailResults.sent || offboardingResults.sent
+          || regulationResults.sent || reconcileResults.sent, 
         count: totalSent,
         email: emailResults,
-        didi: didiResults
+        didi: didiResults,
+        mail: mailResults,
+        offboarding: offboardingResults,
+        regulation: regulationResults,
+        reconcile: reconcileResults
       };
 
     } catch (error) {
@@ -184,6 +323,7 @@ class BotService {
 
     this.lastKnownIds = new Set(preHires.map(h => h.id));
     this.initialized = true;
+    this._saveState('lastKnownIds');
 
     if (newHires.length === 0 && !force) {
       logger.info('Bot: 没有新增的待入职人员（邮箱）');
@@ -248,6 +388,7 @@ class BotService {
 
     this.lastKnownCompletedIds = new Set(nonInterns.map(h => h.id));
     this.completedInitialized = true;
+    this._saveState('lastKnownCompletedIds');
 
     if (newCompleted.length === 0 && !force) {
       logger.info('Bot: 没有新增 completed 人员需要开通滴滴');
@@ -293,6 +434,135 @@ class BotService {
     return { sent: totalSent > 0, count: totalSent };
   }
 
+  /**
+   * 处理 completed 人员 - 开通邮箱并加入部门邮件组
+   * 账号尚未创建的下次检查再试；同一个失败原因只通知一次
+   * 结果写回原邮箱卡片中该人员的行，原卡片已不在记录中的人才发送结果卡片
+   */
+  async _processMailboxes(completedHires) {
+    const pending = completedHires.filter(h => h.workEmail && !mailService.isCompleted(h.id));
+    if (pending.length === 0) {
+      return { sent: false, reason: 'no_pending_mailboxes', count: 0 };
+    }
+
+    const results = [];
+    for (const hire of pending) {
+      const result = await mailService.provisionMailbox(hire);
+      if (result.pending) continue;
+
+      this._addAudit('provision_mailbox', {
+        operatorId: 'system',
+        name: hire.name,
+        preHireId: hire.id,
+        email: result.email,
+        mailbox: result.mailbox,
+        groups: result.groups,
+        success: result.success,
+        ...(result.error && { error: result.error })
+      });
+      if (!result.repeated) results.push(result);
+    }
+
+    if (results.length === 0) {
+      return { sent: false, reason: 'no_changes', count: 0 };
+    }
+
+    // 原邮箱卡片有记录的人原地更新该行，没有记录的才汇总发送结果卡片
+    const untracked = [];
+    const messageIds = new Set();
+    for (const result of results) {
+      const tracked = this._findTrackedMessages('email', result.id)
+        .filter(messageId => this._updateTrackedHire(messageId, result.id, { mailboxText: this._formatMailboxText(result) }));
+      if (tracked.length === 0) untracked.push(result);
+      tracked.forEach(messageId => messageIds.add(messageId));
+    }
+    await Promise.all([...messageIds].map(messageId => this._refreshTrackedCard(messageId)));
+
+    if (untracked.length > 0) {
+      try {
+        await this._sendCard(this._buildMailboxResultCard(untracked));
+      } catch (error) {
+        logger.error('Bot: 发送邮箱开通结果卡片失败', { error: error.message });
+        return { sent: messageIds.size > 0, reason: 'error', count: results.length - untracked.length };
+      }
+    }
+    return { sent: true, count: results.length };
+  }
+
+  /**
+   * 检测离职员工的滴滴账号，新发现的推送确认卡片
+   * 检测失败不影响入职部分的结果
+   */
+  async _processOffboarding() {
+    let cases;
+    try {
+      cases = await offboardingService.detect();
+    } catch (error) {
+      logger.error('Bot: 离职员工检测失败', { error: error.message });
+      return { sent: false, reason: 'error', count: 0 };
+    }
+
+    if (cases.length === 0) {
+      return { sent: false, reason: 'no_offboarding', count: 0 };
+    }
+
+    try {
+      await this.sendOffboardingCard(cases);
+    } catch (error) {
+      logger.error('Bot: 发送离职回收卡片失败', { error: error.message });
+      return { sent: false, reason: 'error', count: cases.length };
+    }
+    return { sent: true, count: cases.length };
+  }
+
+  /**
+   * 校准滴滴用车制度，有新的变更建议时推送确认卡片
+   */
+  async _processRegulationSync() {
+    let proposals;
+    try {
+      proposals = await regulationSyncService.scan();
+    } catch (error) {
+      logger.error('Bot: 滴滴制度校准失败', { error: error.message });
+      return { sent: false, reason: 'error', count: 0 };
+    }
+
+    if (proposals.length === 0) {
+      return { sent: false, reason: 'no_changes', count: 0 };
+    }
+
+    try {
+      await this.sendRegulationCard(proposals);
+    } catch (error) {
+      logger.error('Bot: 发送制度变更卡片失败', { error: error.message });
+      return { sent: false, reason: 'error', count: proposals.length };
+    }
+    return { sent: true, count: proposals.length };
+  }
+
+  /**
+   * 生成飞书 ↔ 滴滴对账报告并推送汇总卡片（没有差异时也推送，确认对账在正常运行）
+   */
+  async _processReconcile() {
+    let report;
+    try {
+      report = await reconcileService.run();
+    } catch (error) {
+      logger.error('Bot: 飞书滴滴对账失败', { error: error.message });
+      return { sent: false, reason: 'error', count: 0 };
+    }
+
+    const count = Object.keys(RECONCILE_CATEGORIES).reduce((sum, key) => sum + report[key].length, 0);
+    try {
+      await this._sendCard(this._buildReconcileCard(report));
+      reconcileService.markReported();
+    } catch (error) {
+      logger.error('Bot: 发送对账卡片失败', { error: error.message });
+      return { sent: false, reason: 'error', count };
+    }
+    return { sent: true, count };
+  }
+
   // ==================== 每日汇总 ====================
 
   _scheduleDailySummary() {
@@ -351,32 +621,144 @@ class BotService {
   async _sendEmailCard(hires, city) {
     const card = this._buildEmailCard(hires, city);
     const messageId = await this._sendCard(card);
-    this._trackMessage(messageId, hires);
+    this._trackMessage(messageId, hires, { kind: 'email', city });
   }
 
   async _sendDidiCard(hires, city) {
     const card = this._buildDidiCard(hires, city);
     const messageId = await this._sendCard(card);
-    this._trackMessage(messageId, hires);
+    this._trackMessage(messageId, hires, { kind: 'didi', city });
+  }
+
+  /**
+   * 推送离职员工滴滴账号确认卡片
+   * @param {Array} cases - offboardingService 的待处理记录
+   */
+  async sendOffboardingCard(cases) {
+    const items = cases.map(c => ({ ...c, id: c.employmentId }));
+    const messageId = await this._sendCard(this._buildOffboardingCard(items));
+    this._trackMessage(messageId, items, { kind: 'offboard', city: null });
+    return messageId;
+  }
+
+  /**
+   * 推送滴滴制度变更确认卡片
+   * @param {Array} proposals - regulationSyncService 的变更建议
+   */
+  async sendRegulationCard(proposals) {
+    const items = proposals.map(p => ({ ...p, id: p.memberId }));
+    const messageId = await this._sendCard(this._buildRegulationCard(items));
+    this._trackMessage(messageId, items, { kind: 'regulation', city: null });
+    return messageId;
   }
 
   // legacy method for refresh callback
   async sendNewHiresCard(hires) {
     const card = this._buildEmailCard(hires);
     const messageId = await this._sendCard(card);
-    this._trackMessage(messageId, hires);
+    this._trackMessage(messageId, hires, { kind: 'email', city: null });
   }
 
-  _trackMessage(messageId, hires) {
+  /**
+   * 记录已发送的卡片及每个人的开通状态，用于回调后原地更新卡片
+   * @param {string} messageId - 消息 ID
+   * @param {Array} hires - 卡片上的人员
+   * @param {Object} context
+   * @param {string} context.kind - email | didi | offboard | regulation
+   * @param {string|null} context.city - 卡片所属城市
+   */
+  _trackMessage(messageId, hires, { kind, city }) {
+    this._loadState();
     if (messageId) {
       this.sentMessages.set(messageId, {
+        kind,
+        city,
         hires: hires.map(h => ({ ...h, status: 'pending' })),
+        batch: null,
         timestamp: Date.now()
       });
       if (this.sentMessages.size > 50) {
         const oldest = this.sentMessages.keys().next().value;
         this.sentMessages.delete(oldest);
       }
+      this._saveState('sentMessages');
+    }
+  }
+
+  /**
+   * 更新已记录卡片中某个人的开通状态
+   * @param {string} messageId - 消息 ID
+   * @param {string} hireId - pre_hire_id
+   * @param {Object} patch - status（pending | provisioning | success | failed）、provisionedEmail、error 等
+   * @returns {boolean} - 卡片及该人员是否有记录（无记录时调用方回退为发送新卡片）
+   */
+  _updateTrackedHire(messageId, hireId, patch) {
+    const entry = messageId && this.sentMessages.get(messageId);
+    const hire = entry?.hires.find(h => h.id === hireId);
+    if (!hire) return false;
+
+    Object.assign(hire, patch);
+    this._saveState('sentMessages');
+    return true;
+  }
+
+  /**
+   * 查找包含某个人的已记录卡片
+   * @param {string} kind - 卡片类型（email | didi | offboard | regulation）
+   * @param {string} hireId - pre_hire_id
+   * @returns {Array<string>} - messageId 列表
+   */
+  _findTrackedMessages(kind, hireId) {
+    return [...this.sentMessages.entries()]
+      .filter(([, entry]) => entry.kind === kind && entry.hires.some(h => h.id === hireId))
+      .map(([messageId]) => messageId);
+  }
+
+  /**
+   * 按 sentMessages 中的最新状态重建卡片并原地更新
+   * 同一张卡片串行 PATCH（批量进度和单人回调交错时，先发的请求不会晚到覆盖后面的状态）：
+   * 每次都按执行时的最新状态重建，已有一次排队未发时不再追加
+   */
+  _refreshTrackedCard(messageId) {
+    if (!messageId || !this.sentMessages.has(messageId)) return Promise.resolve();
+
+    const queue = this.cardRefreshes.get(messageId) || { tail: Promise.resolve(), pending: false };
+    if (queue.pending) return queue.tail;
+
+    queue.pending = true;
+    const tail = queue.tail
+      .then(() => {
+        queue.pending = false;
+        return this._patchTrackedCard(messageId);
+      })
+      .catch(error => logger.error('Bot: 更新原卡片失败', { messageId, error: error.message }))
+      .finally(() => {
+        if (this.cardRefreshes.get(messageId)?.tail === tail) this.cardRefreshes.delete(messageId);
+      });
+    queue.tail = tail;
+    this.cardRefreshes.set(messageId, queue);
+    return tail;
+  }
+
+  async _patchTrackedCard(messageId) {
+    const entry = this.sentMessages.get(messageId);
+    if (!entry) return;
+
+    let card;
+    if (entry.kind === 'didi') {
+      card = this._buildDidiCard(entry.hires, entry.city, entry.batch);
+    } else if (entry.kind === 'offboard') {
+      card = this._buildOffboardingCard(entry.hires);
+    } else if (entry.kind === 'regulation') {
+      card = this._buildRegulationCard(entry.hires, entry.batch);
+    } else {
+      card = this._buildEmailCard(entry.hires, entry.city, entry.batch);
+    }
+
+    try {
+      await feishuService.updateMessageCard(messageId, card);
+    } catch (error) {
+      logger.error('Bot: 更新原卡片失败', { messageId, error: error.message });
     }
   }
 
@@ -395,11 +777,95 @@ class BotService {
 
   // ==================== 卡片构建 ====================
 
+  /**
+   * 卡片上单个人的开通状态文字（用于表格中的结果列）
+   * @param {Object} hire - sentMessages 中的人员（含 status）
+   * @param {string} pendingText - 未开通时显示的内容
+   */
+  _formatHireStatus(hire, pendingText) {
+    switch (hire.status) {
+      case 'success':
+        return `✅ ${hire.provisionedEmail || hire.resultText || '已开通'}`;
+      case 'failed':
+        return `❌ ${hire.error || '开通失败'}`;
+      case 'provisioning':
+        return '⏳ 开通中';
+      default:
+        return pendingText;
+    }
+  }
+
+  /**
+   * 滴滴开通结果文字：之前已存在、离职员工重新启用分别标注
+   * @param {string} ruleName - 制度名称
+   * @param {Object} result - provisionMember 的结果（alreadyExists、reactivated）
+   */
+  _formatDidiResult(ruleName, result) {
+    const text = ruleName || '已开通';
+    if (result.reactivated) return `${text}（离职员工重新启用）`;
+    if (result.alreadyExists) return `${text}（之前已存在）`;
+    return text;
+  }
+
+  /**
+   * 单人开通按钮：已开通/开通中的人按钮置灰，失败的人可重试
+   * @param {Object} [confirm] - 点击前的确认弹窗（{ title, text }），置灰的按钮不带
+   */
+  _buildHireButton(hire, label, value, confirm = null) {
+    if (hire.status === 'success') {
+      return {
+        tag: 'button',
+        text: { tag: 'plain_text', content: `✅ ${hire.name} 已开通` },
+        type: 'default',
+        disabled: true,
+        value: JSON.stringify({ action: 'noop' })
+      };
+    }
+    if (hire.status === 'provisioning') {
+      return {
+        tag: 'button',
+        text: { tag: 'plain_text', content: `⏳ ${hire.name} 开通中` },
+        type: 'default',
+        disabled: true,
+        value: JSON.stringify({ action: 'noop' })
+      };
+    }
+    return {
+      tag: 'button',
+      text: { tag: 'plain_text', content: hire.status === 'failed' ? `🔁 重试 ${hire.name}` : label },
+      type: 'primary',
+      ...(confirm && {
+        confirm: {
+          title: { tag: 'plain_text', content: confirm.title },
+          text: { tag: 'plain_text', content: confirm.text }
+        }
+      }),
+      value: JSON.stringify(value)
+    };
+  }
+
+  /**
+   * 批量按钮的进度文字，返回 null 表示展示正常的批量按钮
+   * @param {Object|null} batch - sentMessages 中记录的批量任务进度
+   * @param {string} [verb] - 操作名称（开通 / 更换）
+   */
+  _formatBatchProgress(batch, verb = '开通') {
+    if (!batch) return null;
+    const done = batch.successful + batch.failed;
+    if (batch.status === 'running') {
+      return `⏳ 批量${verb}中 (${done}/${batch.total})`;
+    }
+    return `✅ 批量${verb}完成 (成功${batch.successful}/失败${batch.failed})`;
+  }
+
   /**
    * 邮箱开通通知卡片（preboarding 阶段）
    * 只展示邮箱相关操作，不含滴滴
+   * @param {Array} hires - 人员列表（原地更新时带 status）
+   * @param {string|null} [city] - 城市
+   * @param {Object|null} [batch] - 批量任务进度
    */
-  _buildEmailCard(hires, city = null) {
+  _buildEmailCard(hires, city = null, batch = null) {
     const now = new Date().toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' });
     const today = new Date().toISOString().slice(0, 10);
     const cityLabel = city ? ` · ${city}` : '';
@@ -437,9 +903,15 @@ class BotService {
 
       // 人员表格 - 含人员类型
       const rows = users.map(u => {
-        const email = u.suggested_email ? u.suggested_email.replace('@guanghe.tv', '') : '-';
         const typeTag = u.isIntern ? '(实习)' : '';
-        return `| ${u.name}${typeTag} | ${u.city || '-'} | ${email}@guanghe.tv | ${u.phone || '-'} |`;
+        // 非拼音生成的邮箱标注转写方式，提醒 IT 复核
+        const aliases = u.suggested_aliases?.length ? `（别名 ${u.suggested_aliases.join('、')}）` : '';
+        const suggested = u.suggested_email
+          ? `${u.suggested_email}${aliases}${u.email_needs_review ? ` ⚠️${u.email_strategy_label}` : ''}`
+          : `- ${u.email_note || ''}`;
+        // 入职后邮箱账号、邮件组、别名的开通结果追加在同一格
+        const emailCell = `${this._formatHireStatus(u, suggested)}${u.mailboxText ? ` · ${u.mailboxText}` : ''}`;
+        return `| ${u.name}${typeTag} | ${u.city || '-'} | ${emailCell} | ${u.phone || '-'} |`;
       }).join('\n');
 
       elements.push({
@@ -448,16 +920,12 @@ class BotService {
       });
 
       // 每个人的开通按钮
-      const actions = users.map(u => ({
-        tag: 'button',
-        text: { tag: 'plain_text', content: `📧 开通 ${u.name}` },
-        type: 'primary',
-        value: JSON.stringify({
-          action: 'provision_email',
-          pre_hire_id: u.id,
-          name: u.name,
-          email: u.suggested_email
-        })
+      const actions = users.map(u => this._buildHireButton(u, `📧 开通 ${u.name}`, {
+        action: 'provision_email',
+        pre_hire_id: u.id,
+        name: u.name,
+        preferred_name: u.preferredName,
+        email: u.suggested_email
       }));
 
       for (let i = 0; i < actions.length; i += 3) {
@@ -467,23 +935,37 @@ class BotService {
       elements.push({ tag: 'hr' });
     }
 
-    // 底部：批量操作按钮
+    // 底部：批量操作按钮（批量进行中显示进度；已开通的人不再包含在内）
+    const remaining = hires.filter(h => h.status !== 'success');
+    const batchProgress = batch?.status === 'running' || remaining.length === 0
+      ? this._formatBatchProgress(batch) || '✅ 全部已开通'
+      : null;
+    const batchButton = batchProgress
+      ? {
+        tag: 'button',
+        text: { tag: 'plain_text', content: batchProgress },
+        type: 'default',
+        disabled: true,
+        value: JSON.stringify({ action: 'noop' })
+      }
+      : {
+        tag: 'button',
+        text: { tag: 'plain_text', content: `⚡ 一键全部开通邮箱 (${remaining.length}人)` },
+        type: 'danger',
+        confirm: {
+          title: { tag: 'plain_text', content: '确认批量开通' },
+          text: { tag: 'plain_text', content: `将为 ${remaining.length} 名员工自动开通工作邮箱，确定继续？` }
+        },
+        value: JSON.stringify({
+          action: 'provision_all_email',
+          users: remaining.map(h => ({ id: h.id, name: h.name, preferredName: h.preferredName, email: h.suggested_email }))
+        })
+      };
+
     elements.push({
       tag: 'action',
       actions: [
-        {
-          tag: 'button',
-          text: { tag: 'plain_text', content: `⚡ 一键全部开通邮箱 (${hires.length}人)` },
-          type: 'danger',
-          confirm: {
-            title: { tag: 'plain_text', content: '确认批量开通' },
-            text: { tag: 'plain_text', content: `将为 ${hires.length} 名员工自动开通工作邮箱，确定继续？` }
-          },
-          value: JSON.stringify({
-            action: 'provision_all_email',
-            users: hires.map(h => ({ id: h.id, name: h.name, email: h.suggested_email }))
-          })
-        },
+        batchButton,
         {
           tag: 'button',
           text: { tag: 'plain_text', content: '🔄 刷新列表' },
@@ -499,6 +981,7 @@ class BotService {
     });
 
     return {
+      config: { wide_screen_mode: true, update_multi: true },
       header: {
         title: { tag: 'plain_text', content: `📧 邮箱开通提醒${cityLabel} (${hires.length}人)` },
         template: hires.some(h => h.onboardingDate && h.onboardingDate <= today) ? 'red' : 'blue'
@@ -509,8 +992,11 @@ class BotService {
 
   /**
    * 滴滴开通通知卡片（completed 阶段，仅非实习生）
+   * @param {Array} hires - 人员列表（原地更新时带 status）
+   * @param {string|null} [city] - 城市
+   * @param {Object|null} [batch] - 批量任务进度
    */
-  _buildDidiCard(hires, city = null) {
+  _buildDidiCard(hires, city = null, batch = null) {
     const now = new Date().toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' });
     const cityLabel = city ? ` · ${city}` : '';
     const pushRule = city ? this._getCityPushDescription(city) : '';
@@ -523,10 +1009,12 @@ class BotService {
     elements.push({ tag: 'markdown', content: overview.join('\n') });
     elements.push({ tag: 'hr' });
 
-    // 人员表格
+    // 人员表格（规则后标注匹配依据，回退猜测的标 ⚠️ 提醒 IT 确认）
     const rows = hires.map(u => {
-      const ruleName = u.suggested_didi_rule_name || '未匹配';
-      return `| ${u.name} | ${u.city || '-'} | ${u.phone || '-'} | ${ruleName} |`;
+      const ruleName = u.suggested_didi_rule_names?.length > 0
+        ? `${u.suggested_didi_rule_names.join('、')}${u.didi_match_reason_label ? `（${u.didi_rule_needs_review ? '⚠️' : ''}${u.didi_match_reason_label}）` : ''}`
+        : '未匹配';
+      return `| ${u.name} | ${u.city || '-'} | ${u.phone || '-'} | ${this._formatHireStatus(u, ruleName)} |`;
     }).join('\n');
 
     elements.push({
@@ -534,19 +1022,21 @@ class BotService {
       content: `| 姓名 | 城市 | 电话 | 滴滴规则 |\n| --- | --- | --- | --- |\n${rows}`
     });
 
-    // 每个人的开通按钮
-    const actions = hires.filter(u => u.suggested_didi_rule_id).map(u => ({
-      tag: 'button',
-      text: { tag: 'plain_text', content: `🚗 开通 ${u.name}` },
-      type: 'primary',
-      value: JSON.stringify({
-        action: 'provision_didi',
-        name: u.name,
-        phone: u.phone,
-        didi_rule_id: u.suggested_didi_rule_id,
-        didi_rule_name: u.suggested_didi_rule_name
-      })
-    }));
+    // 每个人的开通按钮（回退猜测的规则点击前弹窗说明猜的是哪条、为什么）
+    const actions = hires.filter(u => u.suggested_didi_rule_id).map(u => this._buildHireButton(u, `${u.didi_rule_needs_review ? '⚠️' : '🚗'} 开通 ${u.name}`, {
+      action: 'provision_didi',
+      pre_hire_id: u.id,
+      name: u.name,
+      phone: u.phone,
+      email: u.workEmail,
+      employee_number: u.employeeNumber,
+      department_id: u.departmentId,
+      didi_rule_ids: u.suggested_didi_rule_ids,
+      didi_rule_name: u.suggested_didi_rule_name
+    }, u.didi_rule_needs_review ? {
+      title: '确认开通滴滴',
+      text: `${u.name} 的用车规则「${u.suggested_didi_rule_names?.join('、') || u.suggested_didi_rule_name}」是回退猜测：${u.didi_match_note || u.didi_match_reason_label || '匹配依据未知'}。确认按这个规则开通？`
+    } : null));
 
     for (let i = 0; i < actions.length; i += 3) {
       elements.push({ tag: 'action', actions: actions.slice(i, i + 3) });
@@ -554,30 +1044,57 @@ class BotService {
 
     elements.push({ tag: 'hr' });
 
-    // 批量开通按钮
-    const provisionable = hires.filter(u => u.suggested_didi_rule_id && u.phone);
-    if (provisionable.length > 0) {
+    // 低可信度的匹配需要逐个确认
+    const needsReview = hires.filter(u => u.didi_rule_needs_review && u.status !== 'success');
+    if (needsReview.length > 0) {
+      elements.push({
+        tag: 'markdown',
+        content: `⚠️ **${needsReview.map(u => u.name).join('、')}** 的用车规则是回退猜测，请确认规则后单独开通（一键开通不包含）`
+      });
+      elements.push({ tag: 'hr' });
+    }
+
+    // 批量开通按钮（批量进行中显示进度；已开通的人和需要确认规则的人不包含在内）
+    const provisionable = hires.filter(u => u.suggested_didi_rule_id && u.phone && u.status !== 'success' && !u.didi_rule_needs_review);
+    const batchProgress = batch?.status === 'running' || (batch && provisionable.length === 0)
+      ? this._formatBatchProgress(batch)
+      : null;
+    if (provisionable.length > 0 || batchProgress) {
+      const batchButton = batchProgress
+        ? {
+          tag: 'button',
+          text: { tag: 'plain_text', content: batchProgress },
+          type: 'default',
+          disabled: true,
+          value: JSON.stringify({ action: 'noop' })
+        }
+        : {
+          tag: 'button',
+          text: { tag: 'plain_text', content: `⚡ 一键全部开通滴滴 (${provisionable.length}人)` },
+          type: 'danger',
+          confirm: {
+            title: { tag: 'plain_text', content: '确认批量开通滴滴' },
+            text: { tag: 'plain_text', content: `将为 ${provisionable.length} 名员工开通企业滴滴账号，确定继续？` }
+          },
+          value: JSON.stringify({
+            action: 'provision_all_didi',
+            users: provisionable.map(h => ({
+              id: h.id,
+              name: h.name,
+              phone: h.phone,
+              email: h.workEmail,
+              employee_number: h.employeeNumber,
+              department_id: h.departmentId,
+              didi_rule_ids: h.suggested_didi_rule_ids,
+              didi_rule_name: h.suggested_didi_rule_name
+            }))
+          })
+        };
+
       elements.push({
         tag: 'action',
         actions: [
-          {
-            tag: 'button',
-            text: { tag: 'plain_text', content: `⚡ 一键全部开通滴滴 (${provisionable.length}人)` },
-            type: 'danger',
-            confirm: {
-              title: { tag: 'plain_text', content: '确认批量开通滴滴' },
-              text: { tag: 'plain_text', content: `将为 ${provisionable.length} 名员工开通企业滴滴账号，确定继续？` }
-            },
-            value: JSON.stringify({
-              action: 'provision_all_didi',
-              users: provisionable.map(h => ({
-                name: h.name,
-                phone: h.phone,
-                didi_rule_id: h.suggested_didi_rule_id,
-                didi_rule_name: h.suggested_didi_rule_name
-              }))
-            })
-          },
+          batchButton,
           {
             tag: 'button',
             text: { tag: 'plain_text', content: '🔄 刷新' },
@@ -594,6 +1111,7 @@ class BotService {
     });
 
     return {
+      config: { wide_screen_mode: true, update_multi: true },
       header: {
         title: { tag: 'plain_text', content: `🚗 滴滴开通提醒${cityLabel} (${hires.length}人)` },
         template: 'turquoise'
@@ -645,6 +1163,7 @@ class BotService {
           action: 'provision_email',
           pre_hire_id: u.id,
           name: u.name,
+          preferred_name: u.preferredName,
           email: u.suggested_email
         })
       }));
@@ -701,7 +1220,7 @@ class BotService {
           value: JSON.stringify({
             action: 'provision_all_email',
             users: [...urgent, ...soon, ...thisWeek, ...later].map(h => ({
-              id: h.id, name: h.name, email: h.suggested_email
+              id: h.id, name: h.name, preferredName: h.preferredName, email: h.suggested_email
             }))
           })
         },
@@ -750,6 +1269,69 @@ class BotService {
     };
   }
 
+  /**
+   * 飞书 ↔ 滴滴对账汇总卡片（只读，每类最多列出 RECONCILE_CARD_ROWS 人）
+   * @param {Object} report - reconcileService.run() 的结果
+   */
+  _buildReconcileCard(report) {
+    const now = new Date().toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' });
+    const { summary } = report;
+    const total = Object.keys(RECONCILE_CATEGORIES).reduce((sum, key) => sum + report[key].length, 0);
+
+    const elements = [{
+      tag: 'markdown',
+      content: [
+        `飞书在职员工 **${summary.employees}** 人，滴滴在职账号 **${summary.members}** 个，已对应 **${summary.matched}** 人`,
+        Object.entries(RECONCILE_CATEGORIES).map(([key, label]) => `${label}: **${report[key].length}**`).join(' · ')
+      ].join('\n')
+    }];
+
+    const sections = {
+      missing_in_didi: {
+        header: '| 姓名 | 城市 | 工号 | 电话 |\n| --- | --- | --- | --- |',
+        row: e => `| ${e.name} | ${e.city || '-'} | ${e.employeeNumber || '-'} | ${e.phone || '-'} |`
+      },
+      not_employee: {
+        header: '| 姓名 | 工号 | 电话 | 制度 |\n| --- | --- | --- | --- |',
+        row: m => `| ${m.name || '-'} | ${m.employeeNumber || '-'} | ${m.phone || '-'} | ${m.regulationNames.join('、') || '-'} |`
+      },
+      regulation_mismatch: {
+        header: '| 姓名 | 工作地点 | 当前制度 | 应为 |\n| --- | --- | --- | --- |',
+        row: m => `| ${m.name} | ${m.city || '-'} | ${m.currentNames.join('、') || '（无）'} | ${m.expectedNames.join('、')} |`
+      }
+    };
+
+    for (const [key, label] of Object.entries(RECONCILE_CATEGORIES)) {
+      const items = report[key];
+      if (items.length === 0) continue;
+
+      const shown = items.slice(0, RECONCILE_CARD_ROWS);
+      const more = items.length > shown.length ? `\n…还有 ${items.length - shown.length} 人，完整列表见 GET /api/reconcile` : '';
+      elements.push({ tag: 'hr' });
+      elements.push({
+        tag: 'markdown',
+        content: `**${label}（${items.length}）**\n${sections[key].header}\n${shown.map(sections[key].row).join('\n')}${more}`
+      });
+    }
+
+    elements.push({
+      tag: 'note',
+      elements: [{ tag: 'plain_text', content: `数据来源：飞书 CoreHR 在职员工 × 滴滴员工目录（按手机号/工号对应） · 🕐 ${now}` }]
+    });
+
+    return {
+      config: { wide_screen_mode: true },
+      header: {
+        title: {
+          tag: 'plain_text',
+          content: total > 0 ? `📋 飞书 ↔ 滴滴每周对账 (${total}处差异)` : '📋 飞书 ↔ 滴滴每周对账：无差异'
+        },
+        template: total > 0 ? 'orange' : 'green'
+      },
+      elements
+    };
+  }
+
   /**
    * 邮箱开通结果卡片
    */
@@ -808,6 +1390,254 @@ class BotService {
     };
   }
 
+  /**
+   * 邮箱开通结果的各项文字（邮箱账号、邮件组、别名）
+   * @param {Object} result - mailService.provisionMailbox 的结果
+   */
+  _formatMailboxResult(result) {
+    return {
+      mailbox: result.mailbox ? MAILBOX_LABELS[result.mailbox] : `❌ ${result.error}`,
+      groups: (result.groups || []).map(g => `${MAIL_STATUS_ICONS[g.status]} ${g.id}`).join('、') || '-',
+      aliases: (result.aliases || [])
+        .map(a => `${MAIL_STATUS_ICONS[a.status]} ${a.email || a.error}`)
+        .join('、') || '-'
+    };
+  }
+
+  /**
+   * 邮箱开通结果的单行文字，用于原邮箱卡片中该人员的行
+   */
+  _formatMailboxText(result) {
+    const { mailbox, groups, aliases } = this._formatMailboxResult(result);
+    const text = `邮箱账号 ${mailbox} · 邮件组 ${groups} · 别名 ${aliases}`;
+    return result.success || !result.mailbox ? text : `${text} · ❌ ${result.error}`;
+  }
+
+  /**
+   * 邮箱开通（Mailbox + 邮件组）结果卡片（原邮箱卡片没有记录的人）
+   */
+  _buildMailboxResultCard(results) {
+    const successful = results.filter(r => r.success);
+    const failed = results.filter(r => !r.success);
+    const now = new Date().toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' });
+
+    const rows = results.map(r => {
+      const { mailbox, groups, aliases } = this._formatMailboxResult(r);
+      return `| ${r.name} | ${r.email || '-'} | ${mailbox} | ${groups} | ${aliases} |`;
+    }).join('\n');
+
+    const elements = [
+      {
+        tag: 'markdown',
+        content: `员工入职后自动开通 · 总计 **${results.length}** 人 · 成功 **${successful.length}** · 失败 **${failed.length}**`
+      },
+      { tag: 'hr' },
+      {
+        tag: 'markdown',
+        content: `| 姓名 | 邮箱 | 邮箱账号 | 邮件组 | 别名 |\n| --- | --- | --- | --- | --- |\n${rows}`
+      },
+      {
+        tag: 'note',
+        elements: [{ tag: 'plain_text', content: `🆕 本次新增 · ✅ 之前已存在 · ❌ 失败（下次检查自动重试）· 🕐 ${now}` }]
+      }
+    ];
+
+    const template = failed.length > 0 ? (successful.length > 0 ? 'orange' : 'red') : 'green';
+
+    return {
+      header: {
+        title: {
+          tag: 'plain_text',
+          content: failed.length === 0
+            ? `📬 邮箱已开通 (${successful.length}人)`
+            : `⚠️ 邮箱开通结果 (成功${successful.length}/失败${failed.length})`
+        },
+        template
+      },
+      elements
+    };
+  }
+
+  /**
+   * 离职员工滴滴账号确认卡片：每人一行按钮（移除账号 / 停用企业支付 / 忽略）
+   * @param {Array} cases - 离职记录（id = employment_id，status 为卡片上的处理状态）
+   */
+  _buildOffboardingCard(cases) {
+    const now = new Date().toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' });
+    const pending = cases.filter(c => c.status !== 'success');
+
+    const rows = cases.map(c =>
+      `| ${c.name || '-'} | ${c.phone || '-'} | ${c.offboardingDate || '-'} | ${this._formatHireStatus(c, '待确认')} |`
+    ).join('\n');
+
+    const elements = [
+      {
+        tag: 'markdown',
+        content: `以下 **${cases.length}** 名员工已离职，但企业滴滴账号仍在使用\n移除：删除滴滴账号 · 停用：关闭企业支付，保留账号和行程记录`
+      },
+      { tag: 'hr' },
+      {
+        tag: 'markdown',
+        content: `| 姓名 | 电话 | 离职日期 | 处理结果 |\n| --- | --- | --- | --- |\n${rows}`
+      }
+    ];
+
+    for (const c of cases) {
+      if (c.status === 'success') continue;
+      const value = action => JSON.stringify({
+        action: 'didi_offboard',
+        employment_id: c.id,
+        name: c.name,
+        offboard_action: action
+      });
+      elements.push({
+        tag: 'action',
+        actions: [
+          {
+            tag: 'button',
+            text: { tag: 'plain_text', content: `🗑 移除 ${c.name}` },
+            type: 'danger',
+            confirm: {
+              title: { tag: 'plain_text', content: '确认移除滴滴账号' },
+              text: { tag: 'plain_text', content: `将删除 ${c.name} 的企业滴滴账号，确定继续？` }
+            },
+            value: value('remove')
+          },
+          {
+            tag: 'button',
+            text: { tag: 'plain_text', content: '⏸ 停用企业支付' },
+            type: 'primary',
+            value: value('disable')
+          },
+          {
+            tag: 'button',
+            text: { tag: 'plain_text', content: '忽略' },
+            type: 'default',
+            value: value('ignore')
+          }
+        ]
+      });
+    }
+
+    elements.push({
+      tag: 'note',
+      elements: [{ tag: 'plain_text', content: `数据来源：飞书离职信息 · 🕐 ${now}` }]
+    });
+
+    return {
+      config: { wide_screen_mode: true, update_multi: true },
+      header: {
+        title: {
+          tag: 'plain_text',
+          content: pending.length > 0
+            ? `🚪 离职员工滴滴账号待处理 (${pending.length}人)`
+            : `✅ 离职员工滴滴账号已处理 (${cases.length}人)`
+        },
+        template: pending.length > 0 ? 'orange' : 'green'
+      },
+      elements
+    };
+  }
+
+  /**
+   * 滴滴制度变更确认卡片：每人一行按钮（更换 / 忽略），底部一键全部更换
+   * @param {Array} proposals - 变更建议（id = memberId，status 为卡片上的处理状态）
+   */
+  _buildRegulationCard(proposals, batch = null) {
+    const now = new Date().toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' });
+    const pending = proposals.filter(p => p.status !== 'success');
+    // 批量任务中正在处理的人不再显示单人按钮
+    const actionable = pending.filter(p => p.status !== 'provisioning');
+
+    const rows = proposals.map(p => {
+      const current = p.currentNames?.length ? p.currentNames.join('、') : '（无）';
+      return `| ${p.name} | ${p.city || '-'} | ${current} | ${this._formatHireStatus(p, `➡️ ${p.targetName}`)} |`;
+    }).join('\n');
+
+    const elements = [
+      {
+        tag: 'markdown',
+        content: `以下 **${proposals.length}** 名员工的滴滴用车制度与飞书工作地点不一致\n确认后将整体替换为按当前城市匹配的制度`
+      },
+      { tag: 'hr' },
+      {
+        tag: 'markdown',
+        content: `| 姓名 | 工作地点 | 当前制度 | 新制度 |\n| --- | --- | --- | --- |\n${rows}`
+      }
+    ];
+
+    for (const p of actionable) {
+      elements.push({
+        tag: 'action',
+        actions: [
+          {
+            tag: 'button',
+            text: { tag: 'plain_text', content: p.status === 'failed' ? `🔁 重试 ${p.name}` : `🔄 更换 ${p.name}` },
+            type: 'primary',
+            value: JSON.stringify({ action: 'didi_regulation_apply', member_id: p.id, name: p.name })
+          },
+          {
+            tag: 'button',
+            text: { tag: 'plain_text', content: '忽略' },
+            type: 'default',
+            value: JSON.stringify({ action: 'didi_regulation_dismiss', member_id: p.id, name: p.name })
+          }
+        ]
+      });
+    }
+
+    // 批量按钮（批量进行中或刚结束时显示进度）
+    const batchProgress = batch?.status === 'running' || (batch && actionable.length <= 1)
+      ? this._formatBatchProgress(batch, '更换')
+      : null;
+    if (actionable.length > 1 || batchProgress) {
+      elements.push({ tag: 'hr' });
+      elements.push({
+        tag: 'action',
+        actions: [batchProgress
+          ? {
+            tag: 'button',
+            text: { tag: 'plain_text', content: batchProgress },
+            type: 'default',
+            disabled: true,
+            value: JSON.stringify({ action: 'noop' })
+          }
+          : {
+            tag: 'button',
+            text: { tag: 'plain_text', content: `⚡ 全部更换 (${actionable.length}人)` },
+            type: 'danger',
+            confirm: {
+              title: { tag: 'plain_text', content: '确认批量更换制度' },
+              text: { tag: 'plain_text', content: `将为 ${actionable.length} 名员工更换滴滴用车制度，确定继续？` }
+            },
+            value: JSON.stringify({
+              action: 'didi_regulation_apply_all',
+              members: actionable.map(p => ({ member_id: p.id, name: p.name }))
+            })
+          }]
+      });
+    }
+
+    elements.push({
+      tag: 'note',
+      elements: [{ tag: 'plain_text', content: `数据来源：飞书工作地点 × 滴滴员工制度 · 🕐 ${now}` }]
+    });
+
+    return {
+      config: { wide_screen_mode: true, update_multi: true },
+      header: {
+        title: {
+          tag: 'plain_text',
+          content: pending.length > 0
+            ? `🔄 滴滴用车制度待更换 (${pending.length}人)`
+            : `✅ 滴滴用车制度已处理 (${proposals.length}人)`
+        },
+        template: pending.length > 0 ? 'blue' : 'green'
+      },
+      elements
+    };
+  }
+
   /**
    * 滴滴开通结果卡片
    */
@@ -827,7 +1657,7 @@ class BotService {
 
     if (successful.length > 0) {
       const rows = successful.map(r =>
-        `| ${r.name} | ✅ ${r.ruleName || '已开通'} |`
+        `| ${r.name} | ✅ ${this._formatDidiResult(r.ruleName, r)} |`
       ).join('\n');
       elements.push({
         tag: 'markdown',
@@ -872,6 +1702,7 @@ class BotService {
    * 处理飞书消息卡片回调
    */
   async handleCardCallback(action) {
+    this._loadState();
     let actionValue;
     try {
       actionValue = typeof action.value === 'string' ? JSON.parse(action.value) : action.value;
@@ -884,53 +1715,101 @@ class BotService {
     }
 
     const operatorId = action.operator?.open_id || action.operator?.user_id || 'unknown';
+    const messageId = action.messageId || null;
 
     switch (actionValue.action) {
       case 'provision_email':
-        return await this._handleProvisionEmail(actionValue, operatorId);
+        return await this._handleProvisionEmail(actionValue, operatorId, messageId);
 
       case 'provision_all_email':
-        return await this._handleProvisionAllEmail(actionValue, operatorId);
+        return await this._handleProvisionAllEmail(actionValue, operatorId, messageId);
 
       case 'provision_didi':
-        return await this._handleProvisionDidi(actionValue, operatorId);
+        return await this._handleProvisionDidi(actionValue, operatorId, messageId);
 
       case 'provision_all_didi':
-        return await this._handleProvisionAllDidi(actionValue, operatorId);
+        return await this._handleProvisionAllDidi(actionValue, operatorId, messageId);
+
+      case 'didi_offboard':
+        return await this._handleDidiOffboard(actionValue, operatorId, messageId);
+
+      case 'didi_regulation_apply':
+        return await this._handleRegulationApply(actionValue, operatorId, messageId);
+
+      case 'didi_regulation_dismiss':
+        return await this._handleRegulationDismiss(actionValue, operatorId, messageId);
+
+      case 'didi_regulation_apply_all':
+        return await this._handleRegulationApplyAll(actionValue, operatorId, messageId);
 
       case 'refresh':
         return await this._handleRefresh();
 
+      case 'noop':
+        return { toast: { type: 'info', content: '已处理，无需重复操作' } };
+
       default:
         return { toast: { type: 'info', content: '未知操作' } };
     }
   }
 
+  /**
+   * 卡片回调的幂等键：同一张卡片上同一个人的同一个操作只执行一次（双击按钮、飞书回调重试）
+   * 没有消息 ID 时返回 null，由 idempotencyService 按人员缓存
+   */
+  _cardIdempotencyKey(messageId, action, targetId) {
+    return messageId ? `card:${messageId}:${action}:${targetId}` : null;
+  }
+
   /**
    * 单人开通邮箱
+   * 飞书回调重试、双击按钮都会走幂等保护，同一个人只开通一次
    */
-  async _handleProvisionEmail(data, operatorId) {
-    const { pre_hire_id, name, email } = data;
+  async _handleProvisionEmail(data, operatorId, messageId = null) {
+    const { pre_hire_id, name, preferred_name, email } = data;
     logger.info(`Bot 回调: 开通邮箱 ${name}`, { operator: operatorId });
 
     try {
-      const result = await emailService.provisionEmailWithRetry(pre_hire_id, name, email);
-
-      this._addAudit('provision_email', { name, email: result.email, operatorId, success: true });
+      const result = await idempotencyService.run('provision_email', pre_hire_id, this._cardIdempotencyKey(messageId, 'provision_email', pre_hire_id), () =>
+        emailService.provisionEmailWithRetry(pre_hire_id, name, email, { preferredName: preferred_name }),
+        { name, email: email || null, preferredName: preferred_name || null }
+      );
+
+      this._addAudit('provision_email', {
+        name, preHireId: pre_hire_id, email: result.email, operatorId, success: true,
+        ...(result.idempotentReplay && { idempotentReplay: true })
+      });
 
-      await this._sendCard(this._buildSimpleCard(
-        `✅ ${name} 邮箱已开通`,
-        `**${name}** 的工作邮箱已开通: **${result.email}**\n\n${result.attempts > 1 ? `⚠️ 原邮箱被占用，自动使用了备选邮箱（尝试了 ${result.attempts} 次）` : '一次开通成功'}`,
-        'green'
-      ));
+      // 原卡片有记录时原地更新该行，否则回退为发送结果卡片
+      const tracked = this._updateTrackedHire(messageId, pre_hire_id, {
+        status: 'success', provisionedEmail: result.email, error: null
+      });
+      if (tracked) {
+        await this._refreshTrackedCard(messageId);
+      } else {
+        await this._sendCard(this._buildSimpleCard(
+          `✅ ${name} 邮箱已开通`,
+          `**${name}** 的工作邮箱已开通: **${result.email}**\n\n${result.attempts > 1 ? `⚠️ 原邮箱被占用，自动使用了备选邮箱（尝试了 ${result.attempts} 次）` : '一次开通成功'}`,
+          'green'
+        ));
+      }
 
       return {
-        toast: { type: 'success', content: `✅ ${name} 邮箱已开通: ${result.email}` }
+        toast: {
+          type: 'success',
+          content: result.idempotentReplay
+            ? `✅ ${name} 邮箱之前已开通: ${result.email}`
+            : `✅ ${name} 邮箱已开通: ${result.email}`
+        }
       };
     } catch (error) {
-      this._addAudit('provision_email', { name, operatorId, success: false, error: error.message });
+      this._addAudit('provision_email', { name, preHireId: pre_hire_id, operatorId, success: false, error: error.message });
       logger.error(`Bot 回调: 开通失败 ${name}`, { error: error.message });
 
+      if (this._updateTrackedHire(messageId, pre_hire_id, { status: 'failed', error: error.message })) {
+        await this._refreshTrackedCard(messageId);
+      }
+
       return {
         toast: { type: 'error', content: `❌ ${name} 开通失败: ${error.message}` }
       };
@@ -940,7 +1819,7 @@ class BotService {
   /**
    * 批量开通所有邮箱
    */
-  async _handleProvisionAllEmail(data, operatorId) {
+  async _handleProvisionAllEmail(data, operatorId, messageId = null) {
     const { users } = data;
     if (!users || users.length === 0) {
       return { toast: { type: 'warning', content: '没有需要开通的人员' } };
@@ -948,20 +1827,26 @@ class BotService {
 
     logger.info(`Bot 回调: 批量开通 ${users.length} 人邮箱`, { operator: operatorId });
 
-    // 飞书卡片回调需要 3 秒内返回，所以批量操作异步执行
-    this._executeBatchEmailProvision(users, operatorId);
+    const running = this._getRunningBatch(messageId);
+    if (running) return running;
+
+    // 飞书卡片回调需要 3 秒内返回，所以批量操作交给任务队列后台执行
+    const job = jobService.enqueue('provision_email', users, { source: 'bot', operatorId, messageId });
+    await this._startTrackedBatch(messageId, job, users);
 
     return {
-      toast: { type: 'info', content: `⏳ 正在为 ${users.length} 人开通邮箱，完成后会发送结果通知...` }
+      toast: { type: 'info', content: `⏳ 正在为 ${users.length} 人开通邮箱（任务 ${job.id.slice(0, 8)}），完成后会发送结果通知...` }
     };
   }
 
   /**
    * 单人开通滴滴
    */
-  async _handleProvisionDidi(data, operatorId) {
-    const { name, phone, didi_rule_id, didi_rule_name } = data;
-    logger.info(`Bot 回调: 开通滴滴 ${name}`, { operator: operatorId, phone, ruleId: didi_rule_id });
+  async _handleProvisionDidi(data, operatorId, messageId = null) {
+    const { pre_hire_id, name, phone, email, employee_number, department_id, didi_rule_ids, didi_rule_id, didi_rule_name } = data;
+    // 旧卡片的按钮只带 didi_rule_id
+    const ruleIds = didi_rule_ids || didi_rule_id || null;
+    logger.info(`Bot 回调: 开通滴滴 ${name}`, { operator: operatorId, phone, ruleIds });
 
     if (!didiService.configured) {
       return { toast: { type: 'error', content: '滴滴企业版未配置' } };
@@ -972,25 +1857,54 @@ class BotService {
     }
 
     try {
-      const result = await didiService.provisionMember(name, phone, didi_rule_id || null, {});
-
-      this._addAudit('provision_didi', { name, phone, ruleName: didi_rule_name, operatorId, success: true });
+      const result = await idempotencyService.run('provision_didi', phone, this._cardIdempotencyKey(messageId, 'provision_didi', phone), () =>
+        didiService.provisionMember(name, phone, ruleIds, {
+          email,
+          employeeNumber: employee_number,
+          departmentId: department_id
+        }),
+        { name, ruleId: matcherService.buildRegulationIdStr([].concat(ruleIds || [])), email, employeeNumber: employee_number, departmentId: department_id }
+      );
+
+      this._addAudit('provision_didi', {
+        name, phone, ruleName: didi_rule_name, operatorId, success: true,
+        ...(result.idempotentReplay && { idempotentReplay: true })
+      });
 
-      await this._sendCard(this._buildSimpleCard(
-        `✅ ${name} 滴滴已开通`,
-        `**${name}** 的企业滴滴已开通\n规则: **${didi_rule_name || '默认'}**\n${result.alreadyExists ? '(该员工之前已存在)' : ''}`,
-        'green'
-      ));
+      const tracked = this._updateTrackedHire(messageId, pre_hire_id, {
+        status: 'success',
+        resultText: this._formatDidiResult(didi_rule_name, result),
+        error: null
+      });
+      if (tracked) {
+        await this._refreshTrackedCard(messageId);
+      } else {
+        await this._sendCard(this._buildSimpleCard(
+          `✅ ${name} 滴滴已开通`,
+          `**${name}** 的企业滴滴已开通\n规则: **${didi_rule_name || '默认'}**\n${result.alreadyExists ? '(该员工之前已存在)' : ''}${result.reactivated ? '(离职员工已重新启用)' : ''}`,
+          'green'
+        ));
+      }
 
       return {
-        toast: { type: 'success', content: `✅ ${name} 滴滴已开通` }
+        toast: {
+          type: 'success',
+          content: result.reactivated ? `✅ ${name} 滴滴已重新启用（离职员工再入职）` : `✅ ${name} 滴滴已开通`
+        }
       };
     } catch (error) {
-      this._addAudit('provision_didi', { name, operatorId, success: false, error: error.message });
-      logger.error(`Bot 回调: 滴滴开通失败 ${name}`, { error: error.message });
+      const reason = formatDidiError(error);
+      this._addAudit('provision_didi', {
+        name, phone, operatorId, success: false, error: error.reason || error.message, requestId: error.requestId
+      });
+      logger.error(`Bot 回调: 滴滴开通失败 ${name}`, { error: error.message, requestId: error.requestId });
+
+      if (this._updateTrackedHire(messageId, pre_hire_id, { status: 'failed', error: reason })) {
+        await this._refreshTrackedCard(messageId);
+      }
 
       return {
-        toast: { type: 'error', content: `❌ ${name} 滴滴开通失败: ${error.message}` }
+        toast: { type: 'error', content: `❌ ${name} 滴滴开通失败: ${reason}` }
       };
     }
   }
@@ -998,7 +1912,7 @@ class BotService {
   /**
    * 批量开通所有滴滴
    */
-  async _handleProvisionAllDidi(data, operatorId) {
+  async _handleProvisionAllDidi(data, operatorId, messageId = null) {
     const { users } = data;
     if (!users || users.length === 0) {
       return { toast: { type: 'warning', content: '没有需要开通的人员' } };
@@ -1010,96 +1924,278 @@ class BotService {
 
     logger.info(`Bot 回调: 批量开通 ${users.length} 人滴滴`, { operator: operatorId });
 
-    // 异步执行
-    this._executeBatchDidiProvision(users, operatorId);
+    const running = this._getRunningBatch(messageId);
+    if (running) return running;
+
+    // 交给任务队列后台执行
+    const job = jobService.enqueue('provision_didi', users, { source: 'bot', operatorId, messageId });
+    await this._startTrackedBatch(messageId, job, users);
 
     return {
-      toast: { type: 'info', content: `⏳ 正在为 ${users.length} 人开通滴滴，完成后会发送结果通知...` }
+      toast: { type: 'info', content: `⏳ 正在为 ${users.length} 人开通滴滴（任务 ${job.id.slice(0, 8)}），完成后会发送结果通知...` }
     };
   }
 
   /**
-   * 异步执行批量邮箱开通
+   * 同一张卡片上已有批量任务在执行时（回调重试或重复点击），返回提示而不是再建一个任务
+   * 每个人的开通在任务内另有幂等保护，未记录的卡片即使重复建任务也不会重复开通
    */
-  async _executeBatchEmailProvision(users, operatorId) {
-    const results = [];
+  _getRunningBatch(messageId) {
+    const batch = messageId && this.sentMessages.get(messageId)?.batch;
+    if (batch?.status !== 'running') return null;
+
+    const done = batch.successful + batch.failed;
+    return { toast: { type: 'info', content: `⏳ 批量任务进行中 (${done}/${batch.total})，请勿重复点击` } };
+  }
+
+  /**
+   * 批量任务开始：原卡片上的相关人员标记为开通中，批量按钮显示进度
+   */
+  async _startTrackedBatch(messageId, job, users) {
+    const entry = messageId && this.sentMessages.get(messageId);
+    if (!entry) return;
 
+    entry.batch = { jobId: job.id, status: 'running', total: job.total, successful: 0, failed: 0 };
     for (const user of users) {
-      try {
-        logger.info(`Bot 批量开通邮箱: ${user.name}`);
-        const result = await emailService.provisionEmailWithRetry(user.id, user.name, user.email || null);
-        results.push({
-          name: user.name,
-          success: true,
-          email: result.email,
-          attempts: result.attempts
-        });
-        logger.success(`Bot 批量邮箱成功: ${user.name} -> ${result.email}`);
-      } catch (error) {
-        results.push({
-          name: user.name,
-          success: false,
-          error: error.message
-        });
-        logger.error(`Bot 批量邮箱失败: ${user.name}`, { error: error.message });
-      }
+      const hire = entry.hires.find(h => h.id === user.id);
+      if (hire) Object.assign(hire, { status: 'provisioning', error: null });
     }
+    this._saveState('sentMessages');
+    await this._refreshTrackedCard(messageId);
+  }
 
-    this._addAudit('provision_all_email', {
-      operatorId,
-      total: users.length,
-      successful: results.filter(r => r.success).length,
-      failed: results.filter(r => !r.success).length
+  /**
+   * 批量任务每完成一人，原地更新原卡片中对应的行和批量进度
+   */
+  async _onJobProgress(job, result) {
+    this._loadState();
+    const messageId = job.meta?.messageId;
+    const entry = job.source === 'bot' && messageId && this.sentMessages.get(messageId);
+    if (!entry) return;
+
+    const hire = entry.hires.find(h => h.id === result.id);
+    if (hire) {
+      Object.assign(hire, result.success
+        ? {
+          status: 'success',
+          provisionedEmail: result.email || null,
+          resultText: this._formatJobResultText(job, result),
+          error: null
+        }
+        : { status: 'failed', error: result.error });
+    }
+
+    entry.batch = { jobId: job.id, status: 'running', total: job.total, successful: job.successful, failed: job.failed };
+    this._saveState('sentMessages');
+    await this._refreshTrackedCard(messageId);
+  }
+
+  /**
+   * 批量任务中单人成功时卡片上显示的结果
+   */
+  _formatJobResultText(job, result) {
+    if (job.type === 'provision_didi') return this._formatDidiResult(result.ruleName, result);
+    if (job.type === 'didi_regulation') return result.resultText;
+    return null;
+  }
+
+  /**
+   * 批量任务结束：原卡片有记录时更新批量按钮为完成状态，否则发送结果卡片
+   * （仅处理由卡片回调发起的任务）
+   */
+  async _onJobCompleted(job) {
+    if (job.source !== 'bot') return;
+    this._loadState();
+
+    this._addAudit(BATCH_AUDIT_ACTIONS[job.type], {
+      operatorId: job.operatorId,
+      jobId: job.id,
+      total: job.total,
+      successful: job.successful,
+      failed: job.failed
     });
 
+    const messageId = job.meta?.messageId;
+    const entry = messageId && this.sentMessages.get(messageId);
+    if (entry) {
+      entry.batch = { jobId: job.id, status: 'completed', total: job.total, successful: job.successful, failed: job.failed };
+      this._saveState('sentMessages');
+      await this._refreshTrackedCard(messageId);
+      return;
+    }
+
     try {
-      await this._sendCard(this._buildEmailProvisionResultCard(results));
+      let card;
+      if (job.type === 'provision_email') {
+        card = this._buildEmailProvisionResultCard(job.results);
+      } else if (job.type === 'didi_regulation') {
+        const failed = job.results.filter(r => !r.success);
+        card = this._buildSimpleCard(
+          failed.length === 0 ? '✅ 滴滴用车制度批量更换完成' : '⚠️ 滴滴用车制度批量更换完成',
+          `成功 **${job.successful}** 人，失败 **${job.failed}** 人${failed.map(r => `\n- ${r.name}: ${r.error}`).join('')}`,
+          failed.length === 0 ? 'green' : 'orange'
+        );
+      } else {
+        card = this._buildDidiProvisionResultCard(job.results);
+      }
+      await this._sendCard(card);
     } catch (error) {
-      logger.error('Bot: 发送邮箱结果卡片失败', { error: error.message });
+      logger.error(`Bot: 发送批量结果卡片失败`, { jobId: job.id, error: error.message });
     }
   }
 
   /**
-   * 异步执行批量滴滴开通
+   * 离职员工滴滴账号：移除 / 停用 / 忽略
    */
-  async _executeBatchDidiProvision(users, operatorId) {
-    const results = [];
+  async _handleDidiOffboard(data, operatorId, messageId = null) {
+    const { employment_id, name, offboard_action } = data;
+    const label = OFFBOARD_ACTIONS[offboard_action] || offboard_action;
+    logger.info(`Bot 回调: 离职滴滴${label} ${name}`, { operator: operatorId });
 
-    for (const user of users) {
-      try {
-        logger.info(`Bot 批量开通滴滴: ${user.name}`);
-        const result = await didiService.provisionMember(user.name, user.phone, user.didi_rule_id || null, {});
-        results.push({
-          name: user.name,
-          success: true,
-          ruleName: user.didi_rule_name || '',
-          alreadyExists: result.alreadyExists
+    try {
+      const entry = await idempotencyService.run('didi_offboard', employment_id, this._cardIdempotencyKey(messageId, 'didi_offboard', employment_id), () =>
+        offboardingService.resolve(employment_id, offboard_action, { operatorId }),
+        { action: offboard_action }
+      );
+      const repeated = entry.alreadyResolved || entry.idempotentReplay;
+
+      if (!repeated) {
+        this._addAudit('didi_offboard', {
+          name, employmentId: employment_id, phone: entry.phone, memberId: entry.memberId,
+          offboardAction: offboard_action, operatorId, success: true
         });
-        logger.success(`Bot 批量滴滴成功: ${user.name}`);
-      } catch (error) {
-        results.push({
-          name: user.name,
-          success: false,
-          error: error.message
+      }
+
+      if (this._updateTrackedHire(messageId, employment_id, {
+        status: 'success',
+        resultText: `已${OFFBOARD_ACTIONS[entry.action]}`,
+        error: null
+      })) {
+        await this._refreshTrackedCard(messageId);
+      }
+
+      return {
+        toast: repeated
+          ? { type: 'info', content: `${name} 已处理（${OFFBOARD_ACTIONS[entry.action] || entry.status}），无需重复操作` }
+          : { type: 'success', content: `✅ ${name} 滴滴账号已${label}` }
+      };
+    } catch (error) {
+      // 重复点击时第一次还在调用滴滴：不记失败，也不改卡片
+      if (error instanceof OffboardingBusyError) {
+        return { toast: { type: 'info', content: error.message } };
+      }
+
+      const entry = offboardingService.getCase(employment_id);
+      const reason = formatDidiError(error);
+      this._addAudit('didi_offboard', {
+        name, employmentId: employment_id, phone: entry?.phone, memberId: entry?.memberId,
+        offboardAction: offboard_action, operatorId, success: false,
+        error: error.reason || error.message, requestId: error.requestId
+      });
+      logger.error(`Bot 回调: 离职滴滴${label}失败 ${name}`, { error: error.message, requestId: error.requestId });
+
+      if (this._updateTrackedHire(messageId, employment_id, { status: 'failed', error: reason })) {
+        await this._refreshTrackedCard(messageId);
+      }
+
+      return {
+        toast: { type: 'error', content: `❌ ${name} ${label}失败: ${reason}` }
+      };
+    }
+  }
+
+  /**
+   * 更换单人滴滴制度
+   * @returns {Promise<Object>} - { success, repeated?, proposal?, error? }
+   */
+  async _applyRegulation(memberId, name, operatorId, messageId) {
+    try {
+      // 同一个人换到不同制度是不同的操作，幂等键带上目标制度
+      const targetIds = regulationSyncService.getProposal(memberId)?.targetIds || [];
+      const targetKey = `${memberId}:${matcherService.buildRegulationIdStr(targetIds)}`;
+      const proposal = await idempotencyService.run('didi_regulation', targetKey, this._cardIdempotencyKey(messageId, 'didi_regulation', targetKey), () =>
+        regulationSyncService.apply(memberId, { operatorId }),
+        { targetIds }
+      );
+      const repeated = proposal.alreadyResolved || proposal.idempotentReplay;
+
+      if (!repeated) {
+        this._addAudit('didi_regulation_update', {
+          name, memberId, phone: proposal.phone, from: proposal.currentNames, ruleName: proposal.targetName,
+          operatorId, success: true
         });
-        logger.error(`Bot 批量滴滴失败: ${user.name}`, { error: error.message });
       }
+      const resultText = proposal.status === 'dismissed' ? '已忽略' : `已更换为 ${proposal.targetName}`;
+      this._updateTrackedHire(messageId, memberId, { status: 'success', resultText, error: null });
+      return { success: true, repeated, proposal };
+    } catch (error) {
+      const reason = formatDidiError(error);
+      this._addAudit('didi_regulation_update', {
+        name, memberId, operatorId, success: false, error: error.reason || error.message, requestId: error.requestId
+      });
+      logger.error(`Bot 回调: 滴滴制度更换失败 ${name}`, { error: error.message, requestId: error.requestId });
+      this._updateTrackedHire(messageId, memberId, { status: 'failed', error: reason });
+      return { success: false, error: reason };
     }
+  }
 
-    this._addAudit('provision_all_didi', {
-      operatorId,
-      total: users.length,
-      successful: results.filter(r => r.success).length,
-      failed: results.filter(r => !r.success).length
-    });
+  async _handleRegulationApply(data, operatorId, messageId = null) {
+    const { member_id, name } = data;
+    logger.info(`Bot 回调: 更换滴滴制度 ${name}`, { operator: operatorId });
+
+    const result = await this._applyRegulation(member_id, name, operatorId, messageId);
+    await this._refreshTrackedCard(messageId);
+
+    if (!result.success) {
+      return { toast: { type: 'error', content: `❌ ${name} 制度更换失败: ${result.error}` } };
+    }
+    return {
+      toast: result.repeated
+        ? { type: 'info', content: `${name} 已处理，无需重复操作` }
+        : { type: 'success', content: `✅ ${name} 制度已更换为 ${result.proposal.targetName}` }
+    };
+  }
 
+  async _handleRegulationDismiss(data, operatorId, messageId = null) {
+    const { member_id, name } = data;
     try {
-      await this._sendCard(this._buildDidiProvisionResultCard(results));
+      const proposal = regulationSyncService.dismiss(member_id, { operatorId });
+      if (!proposal.alreadyResolved) {
+        this._addAudit('didi_regulation_dismiss', { name, memberId: member_id, ruleName: proposal.targetName, operatorId, success: true });
+      }
+      const resultText = proposal.status === 'applied' ? `已更换为 ${proposal.targetName}` : '已忽略';
+      if (this._updateTrackedHire(messageId, member_id, { status: 'success', resultText, error: null })) {
+        await this._refreshTrackedCard(messageId);
+      }
+      return { toast: { type: 'info', content: `已忽略 ${name} 的制度变更` } };
     } catch (error) {
-      logger.error('Bot: 发送滴滴结果卡片失败', { error: error.message });
+      return { toast: { type: 'error', content: `❌ ${name}: ${error.message}` } };
     }
   }
 
+  /**
+   * 批量更换滴滴制度
+   * 飞书卡片回调需在 3 秒内响应，逐人 Member/edit 交给任务队列后台执行，进度更新到原卡片
+   */
+  async _handleRegulationApplyAll(data, operatorId, messageId = null) {
+    const members = data.members || [];
+    if (members.length === 0) {
+      return { toast: { type: 'warning', content: '没有需要更换的人员' } };
+    }
+    logger.info(`Bot 回调: 批量更换滴滴制度 ${members.length} 人`, { operator: operatorId });
+
+    const running = this._getRunningBatch(messageId);
+    if (running) return running;
+
+    const users = members.map(({ member_id, name }) => ({ id: member_id, name }));
+    const job = jobService.enqueue('didi_regulation', users, { source: 'bot', operatorId, messageId });
+    await this._startTrackedBatch(messageId, job, users);
+
+    return {
+      toast: { type: 'info', content: `⏳ 正在为 ${users.length} 人更换制度（任务 ${job.id.slice(0, 8)}），进度会更新到卡片上` }
+    };
+  }
+
   /**
    * 刷新列表
    */
@@ -1131,18 +2227,14 @@ class BotService {
   // ==================== 审计日志 ====================
 
   _addAudit(action, data) {
-    this.auditLog.push({
-      timestamp: new Date().toISOString(),
-      action,
-      ...data
-    });
-    if (this.auditLog.length > 200) {
-      this.auditLog = this.auditLog.slice(-200);
-    }
+    auditService.record(action, { source: 'bot', ...data });
   }
 
-  getAuditLog(count = 50) {
-    return this.auditLog.slice(-count);
+  /**
+   * 查询审计日志（兼容旧接口，过滤条件见 auditService.query）
+   */
+  getAuditLog(count = 50, filters = {}) {
+    return auditService.query({ ...filters, count });
   }
 }
 
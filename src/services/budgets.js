@@ -0,0 +1,147 @@
+import { feishuService } from './feishu.js';
+import { createStore } from './store.js';
+import { logger } from './logger.js';
+
+/**
+ * 飞书部门 -> 滴滴成本中心映射
+ *
+ * 开通滴滴时按员工部门填写 budget_center_id，用车费用记到对应部门：
+ * - 部门没有映射时沿上级部门查找（子部门继承上级的成本中心）
+ * - '*' 表示默认成本中心（所有部门都没有映射时使用）
+ * - 都没有时不填，费用记到公司默认成本中心
+ *
+ * 映射通过 API 维护，部门名称和路径从飞书 CoreHR 读取。
+ */
+
+// 默认成本中心
+const DEFAULT_DEPARTMENT = '*';
+
+class BudgetCenterService {
+  constructor() {
+    this.store = null;
+    this.mapping = {}; // departmentId | '*' -> { budgetCenterId, budgetCenterName, operatorId, updatedAt }
+  }
+
+  /**
+   * 读取最新数据（Web 服务修改后，MCP Server 进程下次读取即生效）
+   */
+  _loadState() {
+    if (!this.store) {
+      this.store = createStore('budget-centers');
+    } else if (!this.store.refresh()) {
+      return;
+    }
+    this.mapping = this.store.get('mapping', {});
+  }
+
+  _save() {
+    this.store.set('mapping', this.mapping);
+  }
+
+  /**
+   * 部门名称和路径（如 "光合 / 技术部 / 后端组"）
+   * @returns {Promise<{ id, name, path }|null>}
+   */
+  async describeDepartment(departmentId) {
+    const chain = await feishuService.getDepartmentChain(departmentId);
+    if (chain.length === 0) return null;
+    return {
+      id: departmentId,
+      name: chain[0].name,
+      path: chain.map(d => d.name).reverse().join(' / ')
+    };
+  }
+
+  /**
+   * 所有映射（附部门名称和路径；飞书查询失败时只返回 ID）
+   */
+  async list() {
+    this._loadState();
+    let departmentMap = {};
+    try {
+      departmentMap = await feishuService.getDepartmentMap();
+    } catch (error) {
+      logger.warn('Budget: 获取飞书部门失败', { error: error.message });
+    }
+
+    return await Promise.all(Object.entries(this.mapping).map(async ([departmentId, entry]) => {
+      const department = departmentId !== DEFAULT_DEPARTMENT && departmentMap[departmentId]
+        ? await this.describeDepartment(departmentId)
+        : null;
+      return {
+        departmentId,
+        departmentName: departmentId === DEFAULT_DEPARTMENT ? '（默认）' : department?.name || null,
+        departmentPath: department?.path || null,
+        ...entry
+      };
+    }));
+  }
+
+  /**
+   * 设置部门的成本中心
+   * @param {string} departmentId - 飞书部门 ID，'*' 表示默认
+   * @param {string} budgetCenterId - 滴滴成本中心 ID
+   * @param {Object} [meta] - { budgetCenterName, operatorId }
+   */
+  set(departmentId, budgetCenterId, meta = {}) {
+    this._loadState();
+    if (!departmentId) {
+      throw new Error('departmentId 不能为空');
+    }
+    if (!budgetCenterId) {
+      throw new Error('budget_center_id 不能为空');
+    }
+
+    this.mapping[departmentId] = {
+      budgetCenterId: String(budgetCenterId),
+      budgetCenterName: meta.budgetCenterName || '',
+      operatorId: meta.operatorId || null,
+      updatedAt: new Date().toISOString()
+    };
+    this._save();
+    return this.mapping[departmentId];
+  }
+
+  /**
+   * 删除映射
+   * @returns {boolean} - 是否存在并已删除
+   */
+  remove(departmentId) {
+    this._loadState();
+    if (!this.mapping[departmentId]) return false;
+    delete this.mapping[departmentId];
+    this._save();
+    return true;
+  }
+
+  /**
+   * 查找员工部门对应的成本中心（本部门 -> 上级部门 -> 默认）
+   * @param {string} departmentId - 飞书部门 ID
+   * @returns {Promise<{ budgetCenterId, departmentId, inherited }|null>}
+   *   departmentId: 命中映射的部门（'*' 为默认）；inherited: 是否继承自上级或默认
+   */
+  async resolve(departmentId) {
+    this._loadState();
+
+    if (departmentId) {
+      const chain = this.mapping[departmentId]
+        ? [{ id: departmentId }]
+        : await feishuService.getDepartmentChain(departmentId);
+      const matched = chain.find(d => this.mapping[d.id]);
+      if (matched) {
+        return {
+          budgetCenterId: this.mapping[matched.id].budgetCenterId,
+          departmentId: matched.id,
+          inherited: matched.id !== departmentId
+        };
+      }
+    }
+
+    const fallback = this.mapping[DEFAULT_DEPARTMENT];
+    return fallback
+      ? { budgetCenterId: fallback.budgetCenterId, departmentId: DEFAULT_DEPARTMENT, inherited: true }
+      : null;
+  }
+}
+
+export const budgetCenterService = new BudgetCenterService();
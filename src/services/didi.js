@@ -1,12 +1,109 @@
 import axios from 'axios';
 import CryptoJS from 'crypto-js';
 import { logger } from './logger.js';
+import { budgetCenterService } from './budgets.js';
+import { didiDirectoryService } from './directory.js';
+import { matcherService } from './matcher.js';
 
 const DIDI_BASE_URL = 'https://api.es.xiaojukeji.com';
 
 // 连续添加员工需间隔 150ms
 const REQUEST_INTERVAL_MS = 160;
 
+// 可重试错误的重试次数和退避上限（1s、2s、4s... 最多 5s）
+const MAX_RETRIES = 2;
+const MAX_BACKOFF_MS = 5000;
+
+/**
+ * 滴滴错误分类
+ * - retryable: 超时、网络错误、HTTP 429/5xx、限流/系统繁忙，退避后重试
+ * - auth_expired: access_token 失效，清空 tokenCache 重新授权后重试一次
+ * - validation: 参数/签名错误，重试无意义，需要修正请求或配置
+ * - duplicate: 数据已存在（如员工已存在），由调用方决定如何处理
+ * - unknown: 未归类的 errno，不重试
+ */
+export const DIDI_ERROR_TYPES = {
+  retryable: '滴滴接口暂时不可用',
+  auth_expired: '滴滴授权已失效',
+  validation: '请求参数不正确',
+  duplicate: '数据已存在',
+  unknown: '滴滴接口返回错误'
+};
+
+// errno -> 分类（参考：https://opendocs.xiaojukeji.com/version2024/10947 公共错误码）
+const ERRNO_TYPES = {
+  401: 'auth_expired',
+  10001: 'validation',   // 参数缺失
+  10002: 'validation',   // 参数格式错误
+  10003: 'retryable',    // 系统繁忙
+  10005: 'retryable',    // 请求过于频繁
+  10007: 'auth_expired', // access_token 无效
+  10008: 'auth_expired', // access_token 过期
+  19999: 'validation',   // 签名错误（检查 DIDI_SIGN_KEY）
+  50202: 'duplicate'     // 员工已存在
+};
+
+/**
+ * 按 errno 分类，未登记的 errno 按 errmsg 关键字兜底
+ */
+export function classifyErrno(errno, errmsg = '') {
+  if (ERRNO_TYPES[errno]) return ERRNO_TYPES[errno];
+  if (/token/i.test(errmsg)) return 'auth_expired';
+  if (/频繁|繁忙|超时|限流|busy|limit|timeout/i.test(errmsg)) return 'retryable';
+  if (/参数|格式|不能为空|invalid|param/i.test(errmsg)) return 'validation';
+  if (/已存在|重复|exist|duplicate/i.test(errmsg)) return 'duplicate';
+  return 'unknown';
+}
+
+/**
+ * 滴滴接口错误（结构化）
+ * errno/errmsg/didiData/requestId 与接口返回一致；reason 是给用户看的原因
+ */
+export class DidiApiError extends Error {
+  constructor({ path, type, errno = null, errmsg = '', didiData = null, requestId = null, httpStatus = null, attempts = 1 }) {
+    const detail = errmsg || (httpStatus ? `HTTP ${httpStatus}` : 'Unknown');
+    super(`Didi API error [${path}]: ${detail}${errno !== null ? ` (errno: ${errno})` : ''}`);
+    this.name = 'DidiApiError';
+    this.path = path;
+    this.type = type;
+    this.errno = errno;
+    this.errmsg = errmsg;
+    this.didiData = didiData;
+    this.requestId = requestId;
+    this.httpStatus = httpStatus;
+    this.attempts = attempts;
+    this.reason = `${DIDI_ERROR_TYPES[type]}：${detail}${attempts > 1 ? `（已重试 ${attempts - 1} 次）` : ''}`;
+  }
+
+  get retryable() {
+    return this.type === 'retryable' || this.type === 'auth_expired';
+  }
+}
+
+/**
+ * 给用户看的错误说明（带 request_id，便于找滴滴排查）
+ */
+export function formatDidiError(error) {
+  const reason = error.reason || error.message;
+  return error.requestId ? `${reason}（request_id: ${error.requestId}）` : reason;
+}
+
+/**
+ * REST / MCP 失败响应中的错误字段
+ * @returns {Object} - { error, error_type?, errno?, request_id? }
+ */
+export function didiErrorFields(error) {
+  if (!(error instanceof DidiApiError)) {
+    return { error: error.message };
+  }
+  return {
+    error: error.reason,
+    error_type: error.type,
+    errno: error.errno,
+    request_id: error.requestId
+  };
+}
+
 class DidiService {
   constructor() {
     // access_token 缓存（有效期 30 分钟）
@@ -128,15 +225,63 @@ class DidiService {
   /**
    * 发起 Didi API 请求
    * 自动注入 access_token, client_id, company_id, timestamp, sign
+   *
+   * 超时、网络错误、限流等可重试错误按指数退避重试（最多 MAX_RETRIES 次）；
+   * access_token 失效时清空缓存重新授权。失败时抛出 DidiApiError。
    */
   async request(method, path, businessParams = {}) {
     if (!this.configured) {
       throw new Error('滴滴企业版未配置，请在 .env 中填写 DIDI_CLIENT_ID、DIDI_CLIENT_SECRET、DIDI_SIGN_KEY、DIDI_COMPANY_ID');
     }
 
+    for (let attempt = 0; ; attempt++) {
+      let error;
+      try {
+        return await this._send(method, path, businessParams, attempt + 1);
+      } catch (err) {
+        if (!(err instanceof DidiApiError)) throw err;
+        error = err;
+      }
+
+      if (!error.retryable || attempt >= MAX_RETRIES) {
+        throw error;
+      }
+
+      if (error.type === 'auth_expired') {
+        // token 失效：重新授权后立即重试
+        this.tokenCache = { token: null, expiresAt: 0 };
+        logger.warn(`Didi: access_token 失效，重新授权 [${path}]`, { errno: error.errno });
+        continue;
+      }
+
+      const delay = Math.min(1000 * Math.pow(2, attempt), MAX_BACKOFF_MS);
+      logger.warn(`Didi: 请求失败，${delay}ms 后重试 [${path}]`, {
+        attempt: attempt + 1, errno: error.errno, status: error.httpStatus, reason: error.errmsg, requestId: error.requestId
+      });
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  /**
+   * 单次请求（签名 + 发送），错误统一转成 DidiApiError
+   */
+  async _send(method, path, businessParams, attempts) {
     await this._throttle();
 
-    const accessToken = await this.getAccessToken();
+    let accessToken;
+    try {
+      accessToken = await this.getAccessToken();
+    } catch (err) {
+      // 授权接口本身超时/不可用时也按可重试处理
+      if (!err.isAxiosError) throw err;
+      throw new DidiApiError({
+        path: '/river/Auth/authorize',
+        type: 'retryable',
+        errmsg: err.message,
+        httpStatus: err.response?.status || null,
+        attempts
+      });
+    }
     const timestamp = Math.floor(Date.now() / 1000);
 
     // 构建完整参数（用于签名和请求）
@@ -177,15 +322,34 @@ class DidiService {
       config.data = requestBody;
     }
 
-    const response = await axios(config);
+    let response;
+    try {
+      response = await axios(config);
+    } catch (err) {
+      const status = err.response?.status;
+      const retryable = !status || status === 429 || status >= 500 || err.code === 'ECONNABORTED';
+      throw new DidiApiError({
+        path,
+        type: status === 401 ? 'auth_expired' : retryable ? 'retryable' : 'unknown',
+        errno: err.response?.data?.errno ?? null,
+        errmsg: err.response?.data?.errmsg || err.message,
+        requestId: err.response?.data?.request_id || null,
+        httpStatus: status || null,
+        attempts
+      });
+    }
 
     if (response.data.errno !== 0) {
-      const err = new Error(`Didi API error [${path}]: ${response.data.errmsg || 'Unknown'} (errno: ${response.data.errno})`);
-      err.errno = response.data.errno;
-      err.errmsg = response.data.errmsg;
-      err.didiData = response.data.data;
-      err.requestId = response.data.request_id;
-      throw err;
+      const { errno, errmsg = '', data, request_id } = response.data;
+      throw new DidiApiError({
+        path,
+        type: classifyErrno(errno, errmsg),
+        errno,
+        errmsg,
+        didiData: data,
+        requestId: request_id || null,
+        attempts
+      });
     }
 
     return response.data;
@@ -218,6 +382,45 @@ class DidiService {
     }));
   }
 
+  // ==================== 成本中心 ====================
+
+  /**
+   * 获取成本中心列表（部门/项目）
+   * GET /river/BudgetCenter/get
+   *
+   * 参考：https://opendocs.xiaojukeji.com/version2024/11171
+   *
+   * @param {Object} [filters]
+   * @param {number} [filters.type] - 1 部门 2 项目
+   * @param {string} [filters.name] - 名称（模糊查询）
+   */
+  async fetchBudgetCenters(filters = {}) {
+    const PAGE_SIZE = 100;
+    const centers = [];
+    let offset = 0;
+    let total = 0;
+
+    do {
+      const params = { offset: String(offset), length: String(PAGE_SIZE) };
+      if (filters.type) params.type = String(filters.type);
+      if (filters.name) params.name = filters.name;
+
+      const result = await this.request('GET', '/river/BudgetCenter/get', params);
+      const records = result.data?.records || [];
+      centers.push(...records.map(c => ({
+        id: String(c.id),
+        name: c.name,
+        type: c.type,            // 1部门 2项目
+        outBudgetId: c.out_budget_id || ''
+      })));
+      total = result.data?.total || 0;
+      offset += PAGE_SIZE;
+      if (records.length < PAGE_SIZE) break;
+    } while (offset < total);
+
+    return centers;
+  }
+
   // ==================== 员工管理 ====================
 
   /**
@@ -276,6 +479,19 @@ class DidiService {
         phone: result.data?.phone
       });
 
+      didiDirectoryService.upsert({
+        id: result.data?.id,
+        phone: cleanPhone,
+        realname: dataObj.realname,
+        email: dataObj.email || '',
+        employeeNumber: dataObj.employee_number || '',
+        residentsname: dataObj.residentsname || '',
+        useCompanyMoney: dataObj.use_company_money,
+        regulationIds: this._parseRegulationIds(dataObj.regulation_id),
+        budgetCenterId: dataObj.budget_center_id,
+        status: 'active'
+      });
+
       return {
         success: true,
         memberId: result.data?.id,
@@ -347,7 +563,7 @@ class DidiService {
         employeeNumber: r.employee_number || '',
         residentsname: r.residentsname || '',
         useCompanyMoney: r.use_company_money,
-        regulationIds: r.regulation_id || [],
+        regulationIds: this._parseRegulationIds(r.regulation_id),
         budgetCenterId: r.budget_center_id,
         status: r.dismiss_time ? 'dismissed' : 'active'
       }))
@@ -355,57 +571,259 @@ class DidiService {
   }
 
   /**
-   * 根据手机号检查员工是否存在
+   * 修改员工信息
+   * POST /river/Member/edit
+   *
+   * 参考：https://opendocs.xiaojukeji.com/version2024/11159
+   *
+   * @param {string} memberId - 员工 ID
+   * @param {Object} data - 要修改的字段（与添加员工相同，如 use_company_money、regulation_id）
+   */
+  async editMember(memberId, data) {
+    if (!memberId) {
+      throw new Error('修改员工失败：memberId 不能为空');
+    }
+
+    logger.info(`Didi: 修改员工 ${memberId}`, data);
+    await this.request('POST', '/river/Member/edit', {
+      member_id: String(memberId),
+      data: JSON.stringify(data)
+    });
+    didiDirectoryService.applyEdit(String(memberId), data);
+    return { success: true, memberId };
+  }
+
+  /**
+   * 删除员工
+   * POST /river/Member/del
+   *
+   * 参考：https://opendocs.xiaojukeji.com/version2024/11161
+   *
+   * @param {string} memberId - 员工 ID
+   */
+  async deleteMember(memberId) {
+    if (!memberId) {
+      throw new Error('删除员工失败：memberId 不能为空');
+    }
+
+    logger.info(`Didi: 删除员工 ${memberId}`);
+    await this.request('POST', '/river/Member/del', {
+      member_id: String(memberId)
+    });
+    didiDirectoryService.remove(String(memberId));
+    return { success: true, memberId };
+  }
+
+  /**
+   * 更换员工的用车制度
+   * @param {string} memberId - 员工 ID
+   * @param {Array<string>} regulationIds - 新的制度 ID（整体替换）
+   */
+  async updateMemberRegulations(memberId, regulationIds) {
+    return await this.editMember(memberId, { regulation_id: regulationIds.filter(Boolean).join('_') });
+  }
+
+  /**
+   * 补全已有员工缺少的工号和邮箱（已有的值不覆盖）
+   * @param {Object} member - getMembers 返回的员工记录
+   * @param {Object} profile - { email, employeeNumber }
+   * @returns {Promise<Object|null>} - 写入的字段，无需补全时返回 null
+   */
+  async fillMissingProfile(member, profile = {}) {
+    const patch = this.missingProfileFields(member, profile);
+    if (!patch) return null;
+
+    await this.editMember(member.id, patch);
+    return patch;
+  }
+
+  /**
+   * 员工缺少、且飞书有值的工号/邮箱字段
+   * @returns {Object|null} - { employee_number?, email? }，无需补全时返回 null
+   */
+  missingProfileFields(member, { email, employeeNumber } = {}) {
+    const patch = {};
+    if (employeeNumber && !member.employeeNumber) patch.employee_number = employeeNumber;
+    if (email && !member.email) patch.email = email;
+    return Object.keys(patch).length > 0 ? patch : null;
+  }
+
+  /**
+   * 停用员工：关闭企业支付（保留账号和历史行程，可随时恢复）
+   * @param {string} memberId - 员工 ID
+   */
+  async disableMember(memberId) {
+    return await this.editMember(memberId, { use_company_money: 0 });
+  }
+
+  /**
+   * 员工的制度 ID 统一为字符串数组（接口可能返回数组或 "id1_id2"）
+   */
+  _parseRegulationIds(value) {
+    if (Array.isArray(value)) return value.map(String);
+    return String(value || '').split(/[_,]/).filter(Boolean);
+  }
+
+  /**
+   * 分页查询全部员工
+   * @param {Object} [filters] - 同 getMembers（不含 offset/length）
+   * @returns {Promise<Array>} - 员工记录
+   */
+  async getAllMembers(filters = {}) {
+    const PAGE_SIZE = 100;
+    const members = [];
+    let offset = 0;
+    let total = 0;
+
+    do {
+      const page = await this.getMembers({ ...filters, offset, length: PAGE_SIZE });
+      members.push(...page.records);
+      total = page.total;
+      offset += PAGE_SIZE;
+      if (page.records.length < PAGE_SIZE) break;
+    } while (offset < total);
+
+    return members;
+  }
+
+  /**
+   * 根据手机号查找员工的在职和离职记录（开通前判断：已存在 / 再入职 / 新增）
+   * 先查缓存，命中时实时确认（缓存可能还是离职/删除前的状态），没有时实时查询；
+   * 在职和离职共用一次 Member/get。查询失败时抛出异常，不能当作"不存在"继续添加
+   * @param {string} phone - 手机号
+   * @returns {Promise<{ active: Object|null, dismissed: Object|null }>}
+   */
+  async findMemberRecords(phone) {
+    const { members } = await didiDirectoryService.lookup({ phone }, null, { live: true });
+    return {
+      active: members.find(m => m.status === 'active') || null,
+      dismissed: members.find(m => m.status === 'dismissed') || null
+    };
+  }
+
+  /**
+   * 根据手机号检查员工是否在职（见 findMemberRecords，查询失败时抛出异常）
    * @param {string} phone - 手机号
-   * @returns {{ exists: boolean, member?: Object }}
+   * @returns {Promise<{ exists: boolean, member: Object|null }>}
    */
   async memberExists(phone) {
+    const { active } = await this.findMemberRecords(phone);
+    return { exists: !!active, member: active };
+  }
+
+  /**
+   * 重新启用离职员工（再入职）
+   * 通过 Member/edit 原地恢复离职账号（开启企业支付 + 新的制度等信息），保留原员工 ID 和历史行程/账单。
+   * 修改后实时查询确认账号已恢复在职；未恢复时抛出异常，原账号保持不变，需要在滴滴管理后台手动处理。
+   *
+   * @param {string} dismissedMemberId - 离职员工 ID
+   * @param {Object} memberData - 同 addMember
+   * @returns {Promise<Object>} - { success, memberId, reactivated: true }
+   */
+  async reactivateMember(dismissedMemberId, memberData) {
+    const memberId = String(dismissedMemberId);
+    logger.info(`Didi: ${memberData.realname} 是离职员工，原地恢复`, { member_id: memberId });
+
+    const data = { use_company_money: memberData.use_company_money ?? 1 };
+    for (const field of ['realname', 'regulation_id', 'email', 'employee_number', 'residentsname', 'budget_center_id']) {
+      if (memberData[field]) data[field] = memberData[field];
+    }
+    await this.editMember(memberId, data);
+
+    const { records } = await this.getMembers({ phone: memberData.phone, status: '1,6' });
+    const restored = records.find(r => String(r.id) === memberId);
+    if (!restored) {
+      throw new Error(`离职员工 ${memberData.realname} 的账号未能恢复为在职（ID: ${memberId}），原账号未改动，请在滴滴管理后台手动恢复`);
+    }
+    didiDirectoryService.upsert({ ...restored, status: 'active' });
+
+    logger.success(`Didi: 离职员工已重新启用 ${memberData.realname}`, { member_id: memberId });
+    return {
+      success: true,
+      memberId,
+      phone: restored.phone,
+      reactivated: true,
+      message: '离职员工已重新启用'
+    };
+  }
+
+  /**
+   * 按部门映射查找成本中心；查询失败不影响开通（费用记到公司默认成本中心）
+   */
+  async _resolveBudgetCenter(name, departmentId) {
     try {
-      const cleanPhone = phone.replace(/^\+86/, '').replace(/\D/g, '');
-      const result = await this.getMembers({ phone: cleanPhone, status: '1,6' });
-      const member = result.records.find(r => r.phone === cleanPhone);
-      return {
-        exists: !!member,
-        member: member || null
-      };
-    } catch {
-      return { exists: false, member: null };
+      const resolved = await budgetCenterService.resolve(departmentId);
+      if (resolved) {
+        logger.info(`Didi: ${name} 使用成本中心 ${resolved.budgetCenterId}`, {
+          departmentId, matchedDepartment: resolved.departmentId, inherited: resolved.inherited
+        });
+      }
+      return resolved?.budgetCenterId || null;
+    } catch (error) {
+      logger.warn(`Didi: ${name} 成本中心查找失败，使用公司默认`, { departmentId, error: error.message });
+      return null;
     }
   }
 
   /**
    * 为新员工添加滴滴账号（高级封装）
-   * 自动处理：已存在检测 + 制度匹配 + 企业支付
+   * 自动处理：已存在检测 + 离职员工重新启用 + 制度匹配 + 企业支付 + 成本中心
    * 
    * @param {string} name - 姓名
    * @param {string} phone - 手机号
-   * @param {string} [regulationId] - 制度ID（多个用_分隔）
+   * @param {Array<string>|string} [regulationIds] - 制度 ID 数组（或用 _ 分隔的字符串）
    * @param {Object} [options] - 额外选项
-   * @param {string} [options.email] - 邮箱
+   * @param {string} [options.email] - 工作邮箱
+   * @param {string} [options.employeeNumber] - 工号
    * @param {string} [options.residentsname] - 常驻地
+   * @param {string} [options.departmentId] - 飞书部门 ID（按部门映射自动填写成本中心）
+   * @param {string} [options.budgetCenterId] - 成本中心 ID（指定时不再按部门查找）
    */
-  async provisionMember(name, phone, regulationId = null, options = {}) {
-    // 先检查是否已存在
-    const { exists, member } = await this.memberExists(phone);
-    if (exists) {
+  async provisionMember(name, phone, regulationIds = null, options = {}) {
+    // 先检查是否已存在（在职、离职一次查出；查询失败直接报错，避免重复创建员工）
+    const { active: member, dismissed } = await this.findMemberRecords(phone);
+    if (member) {
       logger.info(`Didi: ${name} 已存在，跳过添加`, { member_id: member?.id });
+      let profileUpdated = null;
+      try {
+        profileUpdated = await this.fillMissingProfile(member, options);
+      } catch (error) {
+        logger.warn(`Didi: ${name} 补全工号/邮箱失败`, { member_id: member?.id, error: error.message });
+      }
       return {
         success: true,
         alreadyExists: true,
         memberId: member?.id,
+        ...(profileUpdated && { profileUpdated }),
         message: `员工已存在 (ID: ${member?.id})`
       };
     }
 
-    // 添加员工
-    return await this.addMember({
+    const budgetCenterId = options.budgetCenterId || await this._resolveBudgetCenter(name, options.departmentId);
+    const memberData = {
       phone,
       realname: name,
-      regulation_id: regulationId || undefined,
+      regulation_id: matcherService.buildRegulationIdStr(this._parseRegulationIds(regulationIds)) || undefined,
       use_company_money: 1,
       email: options.email || undefined,
-      residentsname: options.residentsname || undefined
-    });
+      employee_number: options.employeeNumber || undefined,
+      residentsname: options.residentsname || undefined,
+      budget_center_id: budgetCenterId || undefined
+    };
+
+    // 再入职：之前离职的账号按新的制度重新启用，而不是当作"已存在"
+    if (dismissed) {
+      const reactivated = await this.reactivateMember(dismissed.id, memberData);
+      return { ...reactivated, budgetCenterId: budgetCenterId || null };
+    }
+
+    // 添加员工
+    let result = await this.addMember(memberData);
+    // 查询与添加之间状态变化（或查询漏掉）时，按接口返回的离职状态兜底
+    if (result.alreadyExists && String(result.status) === '4') {
+      result = await this.reactivateMember(result.memberId, memberData);
+    }
+    return { ...result, budgetCenterId: budgetCenterId || null };
   }
 }
 
@@ -0,0 +1,258 @@
+import { didiService } from './didi.js';
+import { createStore } from './store.js';
+import { logger } from './logger.js';
+
+/**
+ * 滴滴员工目录（本地缓存）
+ *
+ * Member/get 每页最多 100 人，逐人按手机号查询在批量开通、校准时会产生大量请求。
+ * 这里分页拉取全公司的滴滴员工（在职 + 离职）保存在本地，按手机号、邮箱、工号建索引：
+ * - 开通、离职回收、制度校准、Dashboard 先查缓存
+ * - 缓存没有的（如刚在滴滴后台添加的）再实时查询，结果写回缓存
+ * - 本服务自己的添加/修改/删除同步更新缓存
+ *
+ * 通过 DIDI_DIRECTORY_SYNC_ENABLED=true 开启机器人定时全量同步（间隔 DIDI_DIRECTORY_SYNC_HOURS，默认 6 小时）；
+ * 未开启时缓存只随实时查询和本服务的写操作逐步填充。
+ *
+ * 缓存可能落后于滴滴后台（同步间隔内被离职/删除的人），开通和再入职判断用 lookup 的 live 选项实时确认
+ * （不限状态时在职、离职共用一次查询）；列表、对账、Dashboard 标注读缓存即可。
+ * Web 服务和 MCP Server 共用缓存文件，读写前检查文件是否被另一个进程修改过。
+ */
+
+// 同步时分别查询的状态：1 正常、6 未绑定按在职处理，4 离职
+const STATUS_GROUPS = [
+  { status: '1,6', memberStatus: 'active' },
+  { status: '4', memberStatus: 'dismissed' }
+];
+
+class DidiDirectoryService {
+  constructor() {
+    this.store = null;
+    this.members = {}; // memberId -> getMembers 返回的员工记录
+    this.syncedAt = 0;
+    this.indexes = null; // { phone, email, employeeNumber } -> Map(key -> Set(memberId))
+  }
+
+  get enabled() {
+    return didiService.configured && process.env.DIDI_DIRECTORY_SYNC_ENABLED === 'true';
+  }
+
+  /**
+   * 全量同步间隔
+   */
+  get syncIntervalMs() {
+    return (parseFloat(process.env.DIDI_DIRECTORY_SYNC_HOURS) || 6) * 60 * 60 * 1000;
+  }
+
+  /**
+   * 是否需要重新全量同步（从未同步或超过间隔）
+   */
+  get stale() {
+    this._loadState();
+    return Date.now() - this.syncedAt >= this.syncIntervalMs;
+  }
+
+  _loadState() {
+    if (!this.store) {
+      this.store = createStore('didi-directory');
+    } else if (!this.store.refresh()) {
+      return;
+    }
+    this.members = this.store.get('members', {});
+    this.syncedAt = this.store.get('syncedAt', 0);
+    this.indexes = null;
+  }
+
+  _save() {
+    this.indexes = null;
+    this.store.set('members', this.members);
+    this.store.set('syncedAt', this.syncedAt);
+  }
+
+  _index() {
+    this._loadState();
+    if (this.indexes) return this.indexes;
+
+    const indexes = { phone: new Map(), email: new Map(), employeeNumber: new Map() };
+    const add = (map, key, id) => {
+      if (!key) return;
+      if (!map.has(key)) map.set(key, new Set());
+      map.get(key).add(id);
+    };
+    for (const member of Object.values(this.members)) {
+      add(indexes.phone, member.phone, member.id);
+      add(indexes.email, normalizeEmail(member.email), member.id);
+      add(indexes.employeeNumber, member.employeeNumber, member.id);
+    }
+    this.indexes = indexes;
+    return indexes;
+  }
+
+  /**
+   * 分页拉取全公司滴滴员工，整体替换缓存
+   * @returns {Promise<Object>} - { total, active, dismissed, syncedAt }
+   */
+  async sync() {
+    if (!didiService.configured) {
+      throw new Error('滴滴企业版未配置');
+    }
+
+    const members = {};
+    const summary = { total: 0, active: 0, dismissed: 0 };
+    for (const { status, memberStatus } of STATUS_GROUPS) {
+      const records = await didiService.getAllMembers({ status });
+      for (const record of records) {
+        members[record.id] = { ...record, status: memberStatus };
+        summary[memberStatus]++;
+      }
+    }
+
+    this._loadState();
+    this.members = members;
+    this.syncedAt = Date.now();
+    this._save();
+
+    summary.total = Object.keys(members).length;
+    summary.syncedAt = new Date(this.syncedAt).toISOString();
+    logger.info(`DidiDirectory: 同步 ${summary.total} 名滴滴员工`, { active: summary.active, dismissed: summary.dismissed });
+    return summary;
+  }
+
+  /**
+   * 缓存概况
+   */
+  stats() {
+    this._loadState();
+    const members = Object.values(this.members);
+    return {
+      total: members.length,
+      active: members.filter(m => m.status === 'active').length,
+      dismissed: members.filter(m => m.status === 'dismissed').length,
+      syncedAt: this.syncedAt ? new Date(this.syncedAt).toISOString() : null,
+      stale: this.stale
+    };
+  }
+
+  /**
+   * 只查缓存
+   * @param {Object} query - { phone?, email?, employeeNumber? }（按此顺序取第一个有值的条件）
+   * @param {string} [status] - active | dismissed，不传则不过滤
+   * @returns {Object|null} - 员工记录
+   */
+  find(query, status = null) {
+    const { field, key } = lookupKey(query);
+    if (!field) return null;
+    return this._matches(field, key, status)[0] || null;
+  }
+
+  /**
+   * 先查缓存，缓存没有时实时查询滴滴并写回缓存
+   * @param {Object} query - { phone?, email?, employeeNumber? }
+   * @param {string|null} [status] - active | dismissed，null 表示在职和离职都查（一次请求）
+   * @param {Object} [options]
+   * @param {boolean} [options.live] - 缓存命中也实时查询确认（开通、再入职等会写滴滴的判断使用）；
+   *   缓存中该状态下、实时查不到的员工从缓存删除（已被离职或删除，下次查询/同步时按实际状态写回）
+   * @returns {Promise<{ member: Object|null, members: Array, source: 'cache'|'live' }>}
+   *   member 为第一个匹配的员工，members 为全部匹配的员工（不限状态时可能同时有在职和离职记录）
+   */
+  async lookup(query, status = 'active', { live = false } = {}) {
+    const { field, key } = lookupKey(query);
+    if (!field) return { member: null, members: [], source: 'cache' };
+
+    const cached = this._matches(field, key, status);
+    if (cached.length > 0 && !live) return { member: cached[0], members: cached, source: 'cache' };
+
+    const group = status
+      ? STATUS_GROUPS.find(g => g.memberStatus === status) || STATUS_GROUPS[0]
+      : { status: STATUS_GROUPS.map(g => g.status).join(','), memberStatus: null };
+    const filter = { phone: { phone: key }, email: { email: key }, employeeNumber: { employee_number: key } }[field];
+    const result = await didiService.getMembers({ ...filter, status: group.status });
+    const records = result.records.map(r => ({ ...r, status: group.memberStatus || r.status }));
+
+    // 实时查询期间另一个进程可能写过缓存，重新读取后再合并
+    this._loadState();
+    const stale = this._matches(field, key, status).filter(m => !records.some(r => String(r.id) === String(m.id)));
+    if (records.length > 0 || stale.length > 0) {
+      for (const record of records) {
+        this.members[record.id] = { ...this.members[record.id], ...record };
+      }
+      for (const member of stale) {
+        logger.info('DidiDirectory: 缓存中的员工在滴滴已不是该状态，移出缓存', { memberId: member.id, status });
+        delete this.members[member.id];
+      }
+      this._save();
+    }
+
+    const members = records.filter(r => field === 'email'
+      ? normalizeEmail(r.email) === key
+      : r[field] === key);
+    return { member: members[0] || null, members, source: 'live' };
+  }
+
+  _matches(field, key, status = null) {
+    const ids = this._index()[field].get(key) || new Set();
+    return [...ids].map(id => this.members[id]).filter(m => m && (!status || m.status === status));
+  }
+
+  /**
+   * 缓存中的员工（过期时先全量同步）
+   * @param {string} [status] - active | dismissed，不传返回全部
+   * @returns {Promise<Array>}
+   */
+  async list(status = null) {
+    if (this.stale) {
+      await this.sync();
+    }
+    this._loadState();
+    return Object.values(this.members).filter(m => !status || m.status === status);
+  }
+
+  /**
+   * 新增或更新缓存中的员工（与已有记录合并）
+   */
+  upsert(member) {
+    this._loadState();
+    if (!member?.id) return;
+    this.members[member.id] = { ...this.members[member.id], ...member };
+    this._save();
+  }
+
+  /**
+   * 按 Member/edit 的 data 字段更新缓存中的员工（缓存中没有时忽略）
+   */
+  applyEdit(memberId, data) {
+    this._loadState();
+    const member = this.members[memberId];
+    if (!member) return;
+
+    if (data.regulation_id !== undefined) member.regulationIds = didiService._parseRegulationIds(data.regulation_id);
+    if (data.email !== undefined) member.email = data.email;
+    if (data.employee_number !== undefined) member.employeeNumber = data.employee_number;
+    if (data.use_company_money !== undefined) member.useCompanyMoney = data.use_company_money;
+    if (data.budget_center_id !== undefined) member.budgetCenterId = data.budget_center_id;
+    this._save();
+  }
+
+  /**
+   * 从缓存中删除员工
+   */
+  remove(memberId) {
+    this._loadState();
+    if (!this.members[memberId]) return;
+    delete this.members[memberId];
+    this._save();
+  }
+}
+
+function normalizeEmail(email) {
+  return email ? String(email).trim().toLowerCase() : '';
+}
+
+function lookupKey({ phone, email, employeeNumber } = {}) {
+  if (phone) return { field: 'phone', key: String(phone).replace(/^\+86/, '').replace(/\D/g, '') };
+  if (email) return { field: 'email', key: normalizeEmail(email) };
+  if (employeeNumber) return { field: 'employeeNumber', key: String(employeeNumber) };
+  return { field: null, key: null };
+}
+
+export const didiDirectoryService = new DidiDirectoryService();
@@ -1,53 +1,237 @@
 import { pinyin } from 'pinyin-pro';
 import { feishuService } from './feishu.js';
+import { namingPolicy } from './naming.js';
+import { pinyinOverrideService } from './overrides.js';
+import { transliterator } from './transliterate.js';
+import { emailBlocklistService } from './blocklist.js';
+import { emailReservationService } from './reservations.js';
 import { logger } from './logger.js';
 
-const EMAIL_DOMAIN = '@guanghe.tv';
+// 复姓（按两个字拆分姓和名）
+const COMPOUND_SURNAMES = [
+  '欧阳', '司马', '上官', '诸葛', '东方', '皇甫', '尉迟', '公孙', '慕容', '长孙',
+  '宇文', '司徒', '夏侯', '令狐', '端木', '澹台', '南宫', '西门', '独孤', '呼延', '轩辕',
+  '万俟', '单于', '钟离', '闻人', '赫连', '太史', '申屠', '濮阳', '淳于', '百里'
+];
 
-// 有效的后缀数字序列：避开 2 和 4
-const VALID_DIGITS = [1, 3, 5, 6, 7, 8, 9];
+// pinyin-pro 姓氏模式仍读错的多音字姓氏，手工指定读音
+const SURNAME_PINYIN = {
+  '种': ['chong'],
+  '秘': ['bi'],
+  '单于': ['chan', 'yu']
+};
 
-function generateValidSuffixes() {
-  const suffixes = [];
-  // 一位数
-  suffixes.push(...VALID_DIGITS);
-  // 两位数（十位和个位都不含 2 和 4）
-  for (const tens of VALID_DIGITS) {
-    for (const ones of VALID_DIGITS) {
-      suffixes.push(tens * 10 + ones);
-    }
+// 姓名转写方式的可读名称（卡片/接口展示）
+export const NAME_STRATEGY_LABELS = {
+  pinyin: '拼音',
+  pinyin_override: '人工修正拼音',
+  pinyin_segmented: '间隔号姓名拼音',
+  latin: '拉丁字母转写',
+  hangul: '韩文罗马字',
+  cyrillic: '西里尔字母转写',
+  preferred_name: '英文名'
+};
+
+// 这些转写方式无需 IT 复核
+const TRUSTED_STRATEGIES = ['pinyin', 'pinyin_override'];
+
+// 飞书邮箱地址状态：2 已删除（回收站）、5 不存在
+const MAILBOX_STATUS_DELETED = 2;
+const MAILBOX_STATUS_NOT_EXIST = 5;
+
+// 候选邮箱被跳过的原因
+export const SKIP_REASONS = {
+  reserved: '保留名/屏蔽词',
+  reservation_taken: '已被其他人预占（开通中或已分配）',
+  batch_taken: '同批次已分配给其他人',
+  directory_taken: '在职员工已占用',
+  recycle_bin_taken: '离职员工占用（回收站）'
+};
+
+/**
+ * 通讯录占用查询缓存
+ *
+ * 一次批量开通/预演共用一个实例：开始前把所有人的候选邮箱一次性批量查完，
+ * 之后逐人处理时直接读缓存；本批次分配出去或发现被占用的邮箱标记为已占用。
+ */
+class DirectoryCache {
+  constructor() {
+    this.results = new Map(); // 小写邮箱 -> 是否占用
   }
-  return suffixes;
-}
 
-const VALID_SUFFIXES = generateValidSuffixes();
+  /**
+   * 批量查询尚未缓存的邮箱
+   */
+  async prefetch(emails) {
+    const missing = [...new Set(emails.map(e => e.toLowerCase()))].filter(e => !this.results.has(e));
+    if (missing.length === 0) return;
 
-// 获取下一个有效后缀
-function getNextSuffix(currentSuffix) {
-  if (currentSuffix === null || currentSuffix === undefined) {
-    return VALID_SUFFIXES[0]; // 第一个后缀是 1
+    const results = await feishuService.checkEmailsExist(missing);
+    for (const [email, exists] of results) {
+      this.results.set(email, exists);
+    }
   }
-  const currentIndex = VALID_SUFFIXES.indexOf(currentSuffix);
-  if (currentIndex === -1 || currentIndex >= VALID_SUFFIXES.length - 1) {
-    return null; // 没有更多后缀了
+
+  async isTaken(email) {
+    const key = email.toLowerCase();
+    if (!this.results.has(key)) {
+      await this.prefetch([key]);
+    }
+    // 查询失败的邮箱按未占用处理，由写入阶段兜底
+    return this.results.get(key) || false;
+  }
+
+  markTaken(email) {
+    this.results.set(email.toLowerCase(), true);
   }
-  return VALID_SUFFIXES[currentIndex + 1];
 }
 
 class EmailService {
   /**
-   * 将中文名转为拼音（纯本地计算，无 API 调用）
+   * 将姓名转为拼音/罗马字（纯本地计算，无 API 调用）
+   * 姓氏按姓氏读音处理：单(shan)、曾(zeng)、解(xie)、仇(qiu)、区(ou) 等
    */
   generatePinyin(chineseName) {
     if (!chineseName) return '';
+    return this._romanizeName(chineseName, null)?.full || '';
+  }
 
-    // Convert Chinese name to pinyin without tones, lowercase
-    const pinyinResult = pinyin(chineseName, {
-      toneType: 'none',
-      type: 'array'
-    });
+  _familySyllables(family) {
+    if (!family) return [];
+    if (SURNAME_PINYIN[family]) return SURNAME_PINYIN[family];
+    return pinyin(family, { toneType: 'none', type: 'array', surname: 'head' }).map(p => p.toLowerCase());
+  }
 
-    return pinyinResult.join('').toLowerCase();
+  _givenSyllables(given) {
+    if (!given) return [];
+    return pinyin(given, { toneType: 'none', type: 'array' }).map(p => p.toLowerCase());
+  }
+
+  /**
+   * 拆分姓和名（支持常见复姓）
+   * @returns {{ family: string, given: string }}
+   */
+  splitChineseName(chineseName) {
+    const name = (chineseName || '').trim();
+    if (name.length <= 1) return { family: name, given: '' };
+
+    const familyLength = COMPOUND_SURNAMES.some(s => name.startsWith(s)) && name.length > 2 ? 2 : 1;
+    return { family: name.slice(0, familyLength), given: name.slice(familyLength) };
+  }
+
+  /**
+   * 生成命名模板所需的姓名各部分
+   *
+   * 按姓名文字选择转写方式（结果中的 strategy）：
+   *   pinyin_override   人工修正的拼音（按 pre_hire_id 或姓名）
+   *   pinyin            汉字姓名，姓按姓氏读音
+   *   pinyin_segmented  带间隔号的少数民族/外国人汉字译名（迪丽热巴·迪力木拉提），首段为名、末段为姓
+   *   latin / hangul / cyrillic  拉丁字母、韩文、西里尔字母转写
+   *   preferred_name    以上都无法生成时，用英文名 preferred_name
+   *
+   * @param {string} chineseName - 姓名（legal_name）
+   * @param {string} [preferredName] - 英文名
+   * @param {string} [preHireId] - pre_hire_id（用于查找人工修正）
+   */
+  generateNameParts(chineseName, preferredName = '', preHireId = null) {
+    const preferred = namingPolicy.normalizePreferredName(preferredName);
+    let name = this._romanizeName(chineseName, preHireId);
+
+    if (!name?.full && preferred) {
+      // 英文名按点拆分：首段为名、末段为姓（john.smith）
+      const segments = preferred.split('.').filter(Boolean);
+      name = {
+        full: segments.join(''),
+        familyUnits: segments.length > 1 ? segments.slice(-1) : [],
+        givenUnits: segments.length > 1 ? segments.slice(0, -1) : segments,
+        strategy: 'preferred_name'
+      };
+    }
+
+    if (!name?.full) {
+      return { full: '', family: '', given: '', familyInitial: '', givenInitials: '', preferred, strategy: null };
+    }
+
+    const family = name.familyUnits.join('');
+    return {
+      full: name.full,
+      family,
+      given: name.givenUnits.join(''),
+      familyInitial: family.charAt(0),
+      givenInitials: name.givenUnits.map(u => u.charAt(0)).join(''),
+      preferred,
+      strategy: name.strategy
+    };
+  }
+
+  /**
+   * 把姓名转成 { full, familyUnits, givenUnits, strategy }，无法转写时返回 null
+   * givenUnits 的每一项取首字母组成 {givenInitials}
+   */
+  _romanizeName(rawName, preHireId) {
+    const name = (rawName || '').trim();
+
+    const override = pinyinOverrideService.lookup(preHireId, name);
+    if (override) {
+      // 音节数与字数一致时按姓/名拆分，否则第一个音节视为姓
+      const { family } = this.splitChineseName(name);
+      const familyCount = override.length === name.length ? family.length : 1;
+      const familyUnits = [override.slice(0, familyCount).join('')];
+      const givenUnits = override.slice(familyCount);
+      return { full: override.join(''), familyUnits, givenUnits, strategy: 'pinyin_override' };
+    }
+
+    const script = transliterator.detectScript(name);
+    const segments = transliterator.splitSegments(name);
+
+    if (script === 'han' && segments.length === 1) {
+      const { family, given } = this.splitChineseName(name);
+      const familyUnits = [this._familySyllables(family).join('')];
+      const givenUnits = this._givenSyllables(given);
+      return { full: [...familyUnits, ...givenUnits].join(''), familyUnits, givenUnits, strategy: 'pinyin' };
+    }
+
+    if (script === 'han') {
+      const romanized = segments.map(seg => this._givenSyllables(seg).join(''));
+      return {
+        full: romanized.join(''),
+        familyUnits: romanized.slice(-1),
+        givenUnits: this._givenSyllables(segments[0]),
+        strategy: 'pinyin_segmented'
+      };
+    }
+
+    if (script === 'hangul' && segments.length === 1) {
+      // 韩文姓名不写空格时，第一个音节为姓
+      const [surname, ...rest] = [...segments[0]];
+      const familyUnits = [transliterator.romanize(surname, 'hangul', { surname: true })];
+      const givenUnits = rest.map(char => transliterator.romanize(char, 'hangul'));
+      return { full: [...familyUnits, ...givenUnits].join(''), familyUnits, givenUnits, strategy: 'hangul' };
+    }
+
+    if (['latin', 'hangul', 'cyrillic'].includes(script)) {
+      // 按书写顺序：韩文姓在前，拉丁/西里尔字母姓在后
+      const romanized = segments
+        .map((seg, i) => transliterator.romanize(seg, script, { surname: script === 'hangul' && i === 0 }))
+        .filter(Boolean);
+      if (romanized.length === 0) return null;
+
+      const familyFirst = script === 'hangul';
+      const familyUnits = romanized.length > 1 ? (familyFirst ? romanized.slice(0, 1) : romanized.slice(-1)) : [];
+      const givenUnits = romanized.length > 1 ? (familyFirst ? romanized.slice(1) : romanized.slice(0, -1)) : romanized;
+      return { full: romanized.join(''), familyUnits, givenUnits, strategy: script };
+    }
+
+    return null;
+  }
+
+  /**
+   * 按命名策略生成邮箱前缀
+   * @returns {{ localPart: string, template: string|null, strategy: string|null }}
+   */
+  generateLocalPart(chineseName, preferredName = '', preHireId = null) {
+    const parts = this.generateNameParts(chineseName, preferredName, preHireId);
+    return { ...namingPolicy.buildLocalPart(parts), strategy: parts.strategy };
   }
 
   /**
@@ -57,44 +241,182 @@ class EmailService {
   batchGenerateEmailsLocal(users) {
     // 用于同批次去重：记录已分配的邮箱
     const usedEmails = new Set();
+    // 其他批次开通中或已分配给别人的邮箱
+    const reservations = emailReservationService.snapshot();
 
     return users.map(user => {
-      const basePinyin = this.generatePinyin(user.name);
-      if (!basePinyin) {
+      const { localPart, template, strategy } = this.generateLocalPart(user.name, user.preferredName, user.id);
+      if (!localPart) {
+        return {
+          ...user,
+          suggested_email: null,
+          email_note: '无法从姓名生成邮箱，请填写英文名或添加拼音修正'
+        };
+      }
+
+      // 先尝试不带后缀；同批去重：如果已经分配给了前面的人，按后缀顺序往后找
+      const skipped = [];
+      const candidate = this._pickLocalCandidate(localPart, user.id, usedEmails, reservations, skipped);
+      if (!candidate) {
         return {
           ...user,
           suggested_email: null,
-          email_note: '无法生成拼音'
+          email_note: '同批次后缀已用尽',
+          email_skipped: skipped
         };
       }
 
-      // 先尝试不带后缀
-      let email = `${basePinyin}${EMAIL_DOMAIN}`;
-      let suffix = null;
+      usedEmails.add(candidate.email);
 
-      // 同批去重：如果已经分配给了前面的人，递增后缀
-      if (usedEmails.has(email)) {
-        for (const s of VALID_SUFFIXES) {
-          const candidate = `${basePinyin}${s}${EMAIL_DOMAIN}`;
-          if (!usedEmails.has(candidate)) {
-            email = candidate;
-            suffix = s;
-            break;
-          }
+      // 别名只用不带后缀的形式，被占用（同批次、预占、保留名）就不建议
+      const aliases = [];
+      for (const aliasLocalPart of this.aliasLocalParts(user.name, user.preferredName, user.id, candidate.email)) {
+        const alias = this._pickLocalCandidate(aliasLocalPart, user.id, usedEmails, reservations, [], false);
+        if (alias) {
+          usedEmails.add(alias.email);
+          aliases.push(alias.email);
         }
       }
 
-      usedEmails.add(email);
-
       return {
         ...user,
-        suggested_email: email,
-        email_suffix: suffix,
-        email_base_pinyin: basePinyin
+        suggested_email: candidate.email,
+        suggested_aliases: aliases,
+        email_suffix: candidate.suffix,
+        email_base_pinyin: localPart,
+        email_template: template,
+        email_strategy: strategy,
+        email_strategy_label: NAME_STRATEGY_LABELS[strategy],
+        email_needs_review: !TRUSTED_STRATEGIES.includes(strategy),
+        ...(skipped.length > 0 && { email_skipped: skipped })
       };
     });
   }
 
+  /**
+   * 本地挑选第一个可用的候选（不调 API）：跳过同批次已用、其他人预占、保留名/屏蔽词，
+   * 后两者记录到 skipped
+   * @param {boolean} [withSuffixes=true] - false 时只看不带后缀的候选（别名）
+   * @returns {{ email: string, suffix: string|null }|undefined}
+   */
+  _pickLocalCandidate(localPart, preHireId, usedEmails, reservations, skipped, withSuffixes = true) {
+    const candidates = namingPolicy.candidates(localPart);
+    return (withSuffixes ? candidates : candidates.slice(0, 1)).find(c => {
+      if (usedEmails.has(c.email)) return false;
+      const holder = reservations.heldByOther(c.email, preHireId);
+      if (holder) {
+        skipped.push(this._skipEntry(c.email, 'reservation_taken', null, holder));
+        return false;
+      }
+      const rule = emailBlocklistService.match(c.email);
+      if (rule) {
+        skipped.push(this._skipEntry(c.email, 'reserved', rule));
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * 别名前缀（按 EMAIL_ALIAS_TEMPLATE，如英文名 vincent、zhang.wei）
+   * 别名按姓名直接生成、不带后缀；与主邮箱前缀相同或主邮箱就是它加后缀（如 zhang.wei1）的不作为别名
+   * @param {string} primaryEmail - 主邮箱
+   * @returns {Array<string>}
+   */
+  aliasLocalParts(chineseName, preferredName = '', preHireId = null, primaryEmail = '') {
+    const parts = this.generateNameParts(chineseName, preferredName, preHireId);
+    if (!parts.strategy) return [];
+
+    const primaryLocalPart = (primaryEmail || '').split('@')[0].toLowerCase();
+    const localParts = namingPolicy.aliasTemplates
+      .map(template => namingPolicy.renderTemplate(template, parts))
+      .filter(localPart => localPart && !namingPolicy.candidates(localPart)
+        .some(c => c.email.split('@')[0] === primaryLocalPart));
+    return [...new Set(localParts)];
+  }
+
+  /**
+   * 为已开通的用户邮箱添加别名（邮箱需已创建，见 mailService）
+   *
+   * 每个别名模板生成一个不带后缀的别名，占用检查与主邮箱一致：
+   * 1. 其他人预占、保留名/屏蔽词
+   * 2. 通讯录在职员工占用
+   * 3. 邮箱地址状态：已删除（回收站）、公共邮箱、其他用户邮箱或别名都视为占用
+   * 4. 写入别名，失败后复查地址状态
+   * 被占用时跳过该别名（status: 'skipped'），不加后缀——带后缀的别名不比主邮箱好记。
+   * 已经有该模板的别名（含以前加的带后缀别名）时不再添加。
+   *
+   * @param {Object} hire - { id, name, preferredName, workEmail }
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - 只预演，不写入
+   * @returns {Promise<Array>} - [{ email, status: 'added'|'exists'|'planned'|'skipped'|'failed', skipped, error? }]
+   */
+  async provisionAliases(hire, options = {}) {
+    const { id, name, preferredName, workEmail } = hire;
+    const bases = this.aliasLocalParts(name, preferredName, id, workEmail);
+    if (bases.length === 0) return [];
+
+    const existing = new Set((await feishuService.getMailboxAliases(workEmail)).map(a => a.toLowerCase()));
+    const reservations = emailReservationService.snapshot();
+    const directory = this.createDirectoryCache();
+    const results = [];
+
+    const emails = bases.map(base => namingPolicy.formatEmail(base));
+    await directory.prefetch(emails.filter(email => !emailBlocklistService.match(email)));
+    const statuses = await feishuService.getMailboxStatuses(
+      emails.filter(email => !reservations.heldByOther(email, id) && !emailBlocklistService.match(email))
+    );
+
+    for (const [i, email] of emails.entries()) {
+      const already = namingPolicy.candidates(bases[i]).find(c => existing.has(c.email));
+      if (already) {
+        results.push({ email: already.email, status: 'exists', skipped: [] });
+        continue;
+      }
+
+      const skipped = [];
+      const skip = (reason, rule, holder) => {
+        skipped.push(this._skipEntry(email, reason, rule, holder));
+        results.push({ email, status: 'skipped', skipped });
+      };
+
+      const holder = reservations.heldByOther(email, id);
+      const rule = !holder && emailBlocklistService.match(email);
+      const status = statuses.get(email);
+      if (holder) skip('reservation_taken', null, holder);
+      else if (rule) skip('reserved', rule);
+      else if (await directory.isTaken(email)) skip('directory_taken');
+      else if (status === MAILBOX_STATUS_DELETED) skip('recycle_bin_taken');
+      else if (status !== undefined && status !== MAILBOX_STATUS_NOT_EXIST) skip('directory_taken');
+      else if (options.dryRun) results.push({ email, status: 'planned', skipped });
+      else if (!emailReservationService.claim(email, id, name)) {
+        skip('reservation_taken', null, emailReservationService.snapshot().heldByOther(email, id));
+      } else {
+        try {
+          await feishuService.addMailboxAlias(workEmail, email);
+          emailReservationService.confirm(email, id);
+          logger.success(`已为 ${name} 添加邮箱别名 ${email}`);
+          results.push({ email, status: 'added', skipped });
+        } catch (error) {
+          emailReservationService.release(email, id);
+          // 写入失败后复查：地址已被占用（并发或回收站）则跳过该别名；复查失败或查不到状态时按失败报告
+          let recheck;
+          try {
+            recheck = (await feishuService.getMailboxStatuses([email])).get(email);
+          } catch (lookupError) {
+            results.push({ email, status: 'failed', skipped, error: `${error.message}（复查地址状态失败: ${lookupError.message}）` });
+            continue;
+          }
+          if (recheck === MAILBOX_STATUS_DELETED) skip('recycle_bin_taken');
+          else if (recheck !== undefined && recheck !== MAILBOX_STATUS_NOT_EXIST) skip('directory_taken');
+          else results.push({ email, status: 'failed', skipped, error: error.message });
+        }
+      }
+    }
+
+    return results;
+  }
+
   /**
    * 为用户开通邮箱，带完整的去重+自动重试逻辑
    * 
@@ -103,54 +425,129 @@ class EmailService {
    * 2. 通过飞书通讯录 API 检查在职员工占用
    * 3. 尝试写入飞书，如果遇到离职员工占用（回收站），自动重试下一个后缀
    * 
+   * 预演模式（dryRun）只做第 2 步，不写入飞书，返回将要使用的邮箱和被跳过的候选。
+   * 注意：离职员工占用（回收站）只有真正写入时才能发现，预演结果可能与实际开通不同。
+   * 
    * @param {string} preHireId - 待入职人员 ID
    * @param {string} chineseName - 中文姓名
    * @param {string} [preferredEmail] - 前端指定的邮箱（可选）
+   * @param {Object} [options]
+   * @param {string} [options.preferredName] - 英文名（命名模板含 {preferred} 时使用）
+   * @param {boolean} [options.dryRun] - 只预演，不写入飞书
+   * @param {Set<string>} [options.taken] - 同批次已分配给其他人的邮箱（批量预演时使用）
+   * @param {DirectoryCache} [options.directory] - 批量共用的通讯录查询缓存（不传则单独批量查询本人的候选）
+   * @returns {Promise<Object>} - { success, email, attempts, strategy, skipped: [{ email, reason, message }], dryRun? }
    */
-  async provisionEmailWithRetry(preHireId, chineseName, preferredEmail = null) {
-    const basePinyin = this.generatePinyin(chineseName);
-    if (!basePinyin) {
-      throw new Error(`无法生成拼音: ${chineseName}`);
+  async provisionEmailWithRetry(preHireId, chineseName, preferredEmail = null, options = {}) {
+    const { dryRun = false, taken = null } = options;
+    const directory = options.directory || this.createDirectoryCache();
+    const { localPart, strategy } = this.generateLocalPart(chineseName, options.preferredName, preHireId);
+    if (!localPart) {
+      throw new Error(`无法从姓名生成邮箱（请填写英文名或添加拼音修正）: ${chineseName}`);
+    }
+    if (!TRUSTED_STRATEGIES.includes(strategy)) {
+      logger.info(`邮箱前缀使用${NAME_STRATEGY_LABELS[strategy]}生成: ${chineseName} -> ${localPart}`);
     }
 
     // 构建候选邮箱列表
-    const candidates = this._buildCandidateList(basePinyin, preferredEmail);
+    const candidates = this._buildCandidateList(localPart, preferredEmail);
+    const skipped = [];
+    const skip = (email, reason, rule, holder) => skipped.push(this._skipEntry(email, reason, rule, holder));
 
-    // 第一阶段：通过通讯录 API 快速跳过在职员工已占用的邮箱
-    let startIndex = 0;
-    for (let i = 0; i < candidates.length; i++) {
-      const exists = await feishuService.checkEmailExists(candidates[i]);
-      if (!exists) {
-        startIndex = i;
-        break;
+    // 不查接口就能排除的候选：同批次已分配、其他人预占、保留名/屏蔽词
+    const reservations = emailReservationService.snapshot();
+    const skipLocally = (email) => {
+      if (taken?.has(email)) {
+        skip(email, 'batch_taken');
+        return true;
+      }
+      const holder = reservations.heldByOther(email, preHireId);
+      if (holder) {
+        skip(email, 'reservation_taken', null, holder);
+        return true;
       }
-      if (i === candidates.length - 1) {
-        throw new Error(`所有后缀都已被在职员工占用: ${chineseName}`);
+      const rule = emailBlocklistService.match(email);
+      if (rule) {
+        skip(email, 'reserved', rule);
+        return true;
       }
+      return false;
+    };
+
+    // 第一阶段：通过通讯录 API 快速跳过在职员工已占用的邮箱（所有候选一次批量查询）
+    await directory.prefetch(candidates.filter(email => !taken?.has(email) && !emailBlocklistService.match(email)));
+
+    // 从 from 开始找下一个可用候选（本地检查 + 在职员工占用），都不可用时返回 -1
+    const nextAvailable = async (from) => {
+      for (let i = from; i < candidates.length; i++) {
+        if (skipLocally(candidates[i])) continue;
+        if (!(await directory.isTaken(candidates[i]))) return i;
+        skip(candidates[i], 'directory_taken');
+      }
+      return -1;
+    };
+
+    const startIndex = await nextAvailable(0);
+    if (startIndex === -1) {
+      throw new Error(`所有后缀都已被在职员工占用: ${chineseName}`);
+    }
+
+    if (dryRun) {
+      return {
+        success: true,
+        dryRun: true,
+        email: candidates[startIndex],
+        attempts: 0,
+        strategy,
+        skipped
+      };
     }
 
     // 第二阶段：尝试写入飞书，处理离职员工回收站占用
-    for (let i = startIndex; i < candidates.length; i++) {
+    // 回收站占用后换下一个候选时，同样先经过第一阶段的检查
+    let attempt = 0;
+    for (let i = startIndex; i !== -1; i = await nextAvailable(i + 1)) {
       const email = candidates[i];
-      const attempt = i - startIndex + 1;
+
+      // 预占后再写入，其他批次在此期间不会选中这个邮箱
+      if (!emailReservationService.claim(email, preHireId, chineseName)) {
+        skip(email, 'reservation_taken', null, emailReservationService.snapshot().heldByOther(email, preHireId));
+        continue;
+      }
+
+      attempt++;
       logger.info(`尝试开通邮箱 (第${attempt}次): ${email}`);
 
-      const result = await feishuService.updateWorkEmail(preHireId, email);
+      let result;
+      try {
+        result = await feishuService.updateWorkEmail(preHireId, email);
+      } catch (error) {
+        emailReservationService.release(email, preHireId);
+        throw error;
+      }
 
       if (result.success) {
+        emailReservationService.confirm(email, preHireId);
+        directory.markTaken(email);
         return {
           success: true,
           email,
-          attempts: attempt
+          attempts: attempt,
+          strategy,
+          skipped
         };
       }
 
       if (result.isDuplicate) {
         logger.warn(`邮箱 ${email} 被占用（可能是离职员工），尝试下一个...`);
+        skip(email, 'recycle_bin_taken');
+        emailReservationService.release(email, preHireId);
+        directory.markTaken(email);
         continue;
       }
 
       // 其他错误直接抛出
+      emailReservationService.release(email, preHireId);
       throw new Error(`开通邮箱失败: ${result.msg || '未知错误'}`);
     }
 
@@ -158,26 +555,93 @@ class EmailService {
   }
 
   /**
-   * 构建候选邮箱列表
+   * 批量预演开通：逐人按真实开通的检查流程选出邮箱，不写入飞书
+   * 同批次前面的人选中的邮箱，后面的人视为已占用
+   * @param {Array} users - [{ id, name, email?, preferredName? }]
+   * @returns {Promise<Array>} - 每人的预演结果
+   */
+  async previewEmailBatch(users) {
+    const taken = new Set();
+    const directory = this.createDirectoryCache();
+    const results = [];
+
+    await this.prefetchDirectory(users, directory);
+
+    for (const user of users) {
+      try {
+        const result = await this.provisionEmailWithRetry(user.id, user.name, user.email || null, {
+          preferredName: user.preferredName,
+          dryRun: true,
+          taken,
+          directory
+        });
+        taken.add(result.email);
+        results.push({ id: user.id, name: user.name, ...result });
+      } catch (error) {
+        results.push({ id: user.id, name: user.name, success: false, dryRun: true, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  createDirectoryCache() {
+    return new DirectoryCache();
+  }
+
+  /**
+   * 一次性批量查询一批人所有候选邮箱的占用情况，写入缓存
+   * @param {Array} users - [{ id, name, email?, preferredName? }]
+   * @param {DirectoryCache} directory
+   */
+  async prefetchDirectory(users, directory) {
+    const emails = [];
+    for (const user of users) {
+      const { localPart } = this.generateLocalPart(user.name, user.preferredName, user.id);
+      if (!localPart) continue;
+      emails.push(...this._buildCandidateList(localPart, user.email || null)
+        .filter(email => !emailBlocklistService.match(email)));
+    }
+
+    const started = Date.now();
+    await directory.prefetch(emails);
+    logger.info(`通讯录批量查询 ${users.length} 人的候选邮箱`, { emails: emails.length, ms: Date.now() - started });
+  }
+
+  /**
+   * 被跳过的候选记录
+   * @param {string} email - 候选邮箱
+   * @param {string} reason - SKIP_REASONS 的键
+   * @param {Object} [rule] - 命中的保留名/屏蔽词规则
+   * @param {Object} [holder] - 预占该邮箱的人
+   */
+  _skipEntry(email, reason, rule = null, holder = null) {
+    let message = SKIP_REASONS[reason];
+    if (rule) message = `${message}: ${rule.reason || rule.value}`;
+    if (holder) message = `${message}: ${holder.name || holder.preHireId}`;
+    return {
+      email,
+      reason,
+      message,
+      ...(rule && { rule: { id: rule.id, type: rule.type, value: rule.value } }),
+      ...(holder && { heldBy: { preHireId: holder.preHireId, name: holder.name, status: holder.status } })
+    };
+  }
+
+  /**
+   * 构建候选邮箱列表（按命名策略：基础邮箱 + 各后缀邮箱）
    * 如果有 preferredEmail，把它放在最前面
    */
-  _buildCandidateList(basePinyin, preferredEmail) {
+  _buildCandidateList(localPart, preferredEmail) {
     const candidates = [];
 
-    // 基础邮箱（不带后缀）
-    const baseEmail = `${basePinyin}${EMAIL_DOMAIN}`;
-
-    // 如果有指定邮箱且不同于基础邮箱，优先尝试
-    if (preferredEmail && preferredEmail !== baseEmail) {
+    // 如果有指定邮箱，优先尝试
+    if (preferredEmail) {
       candidates.push(preferredEmail);
     }
 
-    // 基础邮箱
-    candidates.push(baseEmail);
-
-    // 所有后缀邮箱
-    for (const suffix of VALID_SUFFIXES) {
-      const email = `${basePinyin}${suffix}${EMAIL_DOMAIN}`;
+    // 基础邮箱 + 所有后缀邮箱
+    for (const { email } of namingPolicy.candidates(localPart)) {
       if (!candidates.includes(email)) {
         candidates.push(email);
       }
@@ -6,6 +6,9 @@ const FEISHU_BASE_URL = 'https://open.feishu.cn/open-apis';
 let locationCache = { data: null, expiresAt: 0 };
 const LOCATION_CACHE_TTL = 30 * 60 * 1000; // 30 分钟
 
+// 部门缓存（与工作地点相同的有效期）
+let departmentCache = { data: null, expiresAt: 0 };
+
 // 飞书人员类型枚举映射 (employee_type_id -> 可读名称)
 export const EMPLOYEE_TYPE_MAP = {
   '7193602309958436385': '正式',
@@ -17,6 +20,12 @@ export const EMPLOYEE_TYPE_MAP = {
 
 export const INTERN_TYPE_ID = '7193602311107724832';
 
+// 通讯录按邮箱查用户、邮箱地址状态查询，每次最多 50 个
+const EMAIL_LOOKUP_BATCH_SIZE = 50;
+
+// 批量查询员工信息，每次最多 100 个
+const EMPLOYEE_BATCH_SIZE = 100;
+
 class FeishuService {
   constructor() {
     this.tokenCache = { token: null, expiresAt: 0 };
@@ -127,6 +136,63 @@ class FeishuService {
     return locationMap;
   }
 
+  /**
+   * 部门 ID -> { id, name, parentId }（带 TTL 缓存）
+   */
+  async getDepartmentMap() {
+    if (departmentCache.data && Date.now() < departmentCache.expiresAt) {
+      return departmentCache.data;
+    }
+
+    const departmentMap = {};
+    let pageToken = '';
+
+    do {
+      const params = { page_size: 100 };
+      if (pageToken) params.page_token = pageToken;
+
+      const result = await this.request('GET', '/corehr/v1/departments', null, params);
+      if (result.code !== 0) {
+        throw new Error(`Failed to list departments: ${result.msg}`);
+      }
+
+      (result.data?.items || []).forEach(dept => {
+        const names = dept.hiberarchy_common?.name || [];
+        departmentMap[dept.id] = {
+          id: dept.id,
+          name: (names.find(n => n.lang === 'zh-CN') || names[0])?.value || dept.id,
+          parentId: dept.hiberarchy_common?.parent_id || null
+        };
+      });
+
+      pageToken = result.data?.page_token || '';
+    } while (pageToken);
+
+    departmentCache = { data: departmentMap, expiresAt: Date.now() + LOCATION_CACHE_TTL };
+    return departmentMap;
+  }
+
+  /**
+   * 部门及其所有上级（从自身到根部门）
+   * @returns {Promise<Array<{ id, name, parentId }>>} - 查不到的部门返回空数组
+   */
+  async getDepartmentChain(departmentId) {
+    return this._departmentChain(await this.getDepartmentMap(), departmentId);
+  }
+
+  _departmentChain(departmentMap, departmentId) {
+    const chain = [];
+    const visited = new Set();
+    let current = departmentMap[departmentId];
+
+    while (current && !visited.has(current.id)) {
+      visited.add(current.id);
+      chain.push(current);
+      current = current.parentId ? departmentMap[current.parentId] : null;
+    }
+    return chain;
+  }
+
   async fetchPreHires(status = 'preboarding') {
     const allIds = [];
     let pageToken = '';
@@ -157,9 +223,14 @@ class FeishuService {
   }
 
   async getEnrichedPreHires(status = 'preboarding', showAll = false) {
-    const [preHireIds, locationMap] = await Promise.all([
+    const [preHireIds, locationMap, departmentMap] = await Promise.all([
       this.fetchPreHires(status),
-      this.getLocationMap()
+      this.getLocationMap(),
+      // 部门名称只用于展示，查询失败不影响列表
+      this.getDepartmentMap().catch(err => {
+        console.warn('Get departments failed:', err.message);
+        return {};
+      })
     ]);
 
     if (preHireIds.length === 0) {
@@ -234,10 +305,13 @@ class FeishuService {
       const offer = hire.offer_info || {};
 
       const name = person.legal_name || person.preferred_name || '';
+      const preferredName = person.preferred_name || '';
       const phone = (person.phone_number || '').replace(/^\+86/, '');
       const locationId = employment.work_location_id;
       const departmentId = employment.department_id;
       const employeeTypeId = employment.employee_type_id || '';
+      const employeeNumber = employment.employee_number || '';
+      const jobLevelId = employment.job_level_id || '';
       const onboardingDate = onboarding.onboarding_date;
       const onboardingStatus = onboarding.onboarding_status;
       const workEmail = offer.work_emails?.[0]?.email || '';
@@ -248,16 +322,23 @@ class FeishuService {
       const emailTaskStatus = emailTask?.task_status || 'unknown';
 
       const cityName = locationMap[locationId] || 'Unknown';
+      const departmentChain = this._departmentChain(departmentMap, departmentId);
       const employeeType = EMPLOYEE_TYPE_MAP[employeeTypeId] || '未知';
       const isIntern = employeeTypeId === INTERN_TYPE_ID;
 
       return {
         id: hire.pre_hire_id,
         name,
+        preferredName,
         phone,
         city: cityName,
         cityId: locationId,
         departmentId,
+        departmentName: departmentChain[0]?.name || '',
+        departmentPath: departmentChain.map(d => d.name).reverse().join(' / '),
+        departmentIds: departmentChain.map(d => d.id),
+        employeeNumber,
+        jobLevelId,
         employeeTypeId,
         employeeType,
         isIntern,
@@ -306,17 +387,309 @@ class FeishuService {
     };
   }
 
-  async checkEmailExists(email) {
-    try {
-      const result = await this.request('POST', '/contact/v3/users/batch_get_id', {
-        emails: [email]
+  // ==================== 在职员工 ====================
+
+  /**
+   * 查询所有在职员工（含手机号、工作地点、部门、职级）
+   * @returns {Promise<Array>} - [{ employmentId, name, phone, employeeNumber, workEmail, city, cityId, departmentId, departmentIds, jobLevelId, employeeTypeId, isIntern }]
+   */
+  async fetchActiveEmployees() {
+    const [locationMap, departmentMap] = await Promise.all([
+      this.getLocationMap(),
+      this.getDepartmentMap().catch(err => {
+        console.warn('Get departments failed:', err.message);
+        return {};
+      })
+    ]);
+    const employees = [];
+    let pageToken = '';
+
+    do {
+      const params = { page_size: 100 };
+      if (pageToken) params.page_token = pageToken;
+
+      const result = await this.request('POST', '/corehr/v2/employees/search', {
+        fields: [
+          'employee_number', 'work_email_list', 'department_id', 'work_location_id', 'employee_type_id', 'job_level_id',
+          'person_info.legal_name', 'person_info.preferred_name', 'person_info.phone_list'
+        ],
+        employment_status: 'hired'
+      }, params);
+
+      if (result.code !== 0) {
+        throw new Error(`Failed to search employees: ${result.msg}`);
+      }
+
+      (result.data?.items || []).forEach(item => {
+        const person = item.person_info || {};
+        const phones = person.phone_list || [];
+        const phone = (phones.find(p => p.is_primary) || phones[0])?.phone_number || '';
+        const emails = item.work_email_list || [];
+        const employeeTypeId = item.employee_type_id || '';
+        employees.push({
+          employmentId: item.employment_id,
+          name: person.legal_name || person.preferred_name || '',
+          phone: phone.replace(/^\+86/, ''),
+          employeeNumber: item.employee_number || '',
+          workEmail: (emails.find(e => e.is_primary) || emails[0])?.email || '',
+          city: locationMap[item.work_location_id] || 'Unknown',
+          cityId: item.work_location_id,
+          departmentId: item.department_id,
+          departmentIds: this._departmentChain(departmentMap, item.department_id).map(d => d.id),
+          jobLevelId: item.job_level_id || '',
+          employeeTypeId,
+          isIntern: employeeTypeId === INTERN_TYPE_ID
+        });
       });
-      
-      const userList = result.data?.user_list || [];
-      return userList.some(u => u.user_id);
-    } catch {
-      return false;
+
+      pageToken = result.data?.has_more ? result.data.page_token : '';
+    } while (pageToken);
+
+    return employees;
+  }
+
+  // ==================== 离职（Offboarding）====================
+
+  /**
+   * 搜索离职信息（按离职日期范围）
+   * @param {string} fromDate - 离职日期下限 YYYY-MM-DD
+   * @param {string} toDate - 离职日期上限 YYYY-MM-DD
+   * @returns {Promise<Array>} - [{ employmentId, offboardingDate, status }]
+   */
+  async fetchOffboardings(fromDate, toDate) {
+    const offboardings = [];
+    let pageToken = '';
+
+    do {
+      const params = { page_size: 100 };
+      if (pageToken) params.page_token = pageToken;
+
+      const result = await this.request('POST', '/corehr/v1/offboardings/search', {
+        offboarding_date_min: fromDate,
+        offboarding_date_max: toDate
+      }, params);
+
+      if (result.code !== 0) {
+        throw new Error(`Failed to search offboardings: ${result.msg}`);
+      }
+
+      (result.data?.items || []).forEach(item => {
+        const employmentId = item.employee_info?.employment_id || item.offboarding_info?.employment_id;
+        if (!employmentId) return;
+        offboardings.push({
+          employmentId,
+          offboardingDate: item.offboarding_info?.offboarding_date || item.employee_info?.offboarding_date || '',
+          status: item.application_info?.status || item.employee_info?.status || ''
+        });
+      });
+
+      pageToken = result.data?.has_more ? result.data.page_token : '';
+    } while (pageToken);
+
+    return offboardings;
+  }
+
+  /**
+   * 批量查询员工姓名和手机号
+   * @param {Array<string>} employmentIds
+   * @returns {Promise<Map<string, { name, phone }>>} - employment_id -> 联系方式
+   */
+  async getEmployeeContacts(employmentIds) {
+    const contacts = new Map();
+
+    for (let i = 0; i < employmentIds.length; i += EMPLOYEE_BATCH_SIZE) {
+      const chunk = employmentIds.slice(i, i + EMPLOYEE_BATCH_SIZE);
+      const result = await this.request('POST', '/corehr/v2/employees/batch_get', {
+        employment_ids: chunk,
+        fields: ['person_info.legal_name', 'person_info.preferred_name', 'person_info.phone_list']
+      });
+
+      if (result.code !== 0) {
+        throw new Error(`Failed to get employees: ${result.msg}`);
+      }
+
+      (result.data?.items || []).forEach(item => {
+        const person = item.person_info || {};
+        const phones = person.phone_list || [];
+        const phone = (phones.find(p => p.is_primary) || phones[0])?.phone_number || '';
+        contacts.set(item.employment_id, {
+          name: person.legal_name || person.preferred_name || '',
+          phone: phone.replace(/^\+86/, '')
+        });
+      });
+    }
+
+    return contacts;
+  }
+
+  // ==================== 邮箱（Mail）====================
+
+  /**
+   * 按手机号查员工 user_id（入职后才有）
+   * @returns {Promise<string|null>}
+   */
+  async getUserIdByPhone(phone) {
+    const mobile = phone.startsWith('+') ? phone : `+86${phone}`;
+    const result = await this.request('POST', '/contact/v3/users/batch_get_id', {
+      mobiles: [mobile]
+    }, { user_id_type: 'user_id' });
+
+    if (result.code !== 0) {
+      throw new Error(`Failed to get user by phone: ${result.msg}`);
+    }
+    return result.data?.user_list?.find(u => u.user_id)?.user_id || null;
+  }
+
+  /**
+   * 查询邮箱地址的状态
+   * @returns {Promise<number|null>} - 1 异常、2 已删除、3 公共邮箱、4 用户邮箱、5 不存在
+   */
+  async getMailboxStatus(email) {
+    const statuses = await this.getMailboxStatuses([email]);
+    return statuses.get(email.toLowerCase()) ?? null;
+  }
+
+  /**
+   * 批量查询邮箱地址状态（每次最多 50 个）
+   * @returns {Promise<Map<string, number>>} - 小写邮箱 -> 状态
+   */
+  async getMailboxStatuses(emails) {
+    const statuses = new Map();
+    const unique = [...new Set(emails.map(e => e.toLowerCase()))];
+
+    for (let i = 0; i < unique.length; i += EMAIL_LOOKUP_BATCH_SIZE) {
+      const result = await this.request('POST', '/mail/v1/users/query', {
+        email_list: unique.slice(i, i + EMAIL_LOOKUP_BATCH_SIZE)
+      });
+
+      if (result.code !== 0) {
+        throw new Error(`Failed to query mailbox: ${result.msg}`);
+      }
+      (result.data?.user_list || []).forEach(u => statuses.set(u.email.toLowerCase(), u.status));
+    }
+
+    return statuses;
+  }
+
+  /**
+   * 为员工分配企业邮箱（创建用户邮箱）
+   */
+  async setEnterpriseEmail(userId, email) {
+    const result = await this.request('PATCH', `/contact/v3/users/${userId}`, {
+      enterprise_email: email
+    }, { user_id_type: 'user_id' });
+
+    if (result.code !== 0) {
+      throw new Error(`Failed to set enterprise email: ${result.msg}`);
+    }
+    return result;
+  }
+
+  /**
+   * 邮件组的所有成员 user_id
+   * @param {string} mailgroupId - 邮件组 ID 或邮件组地址
+   * @returns {Promise<Set<string>>}
+   */
+  async getMailGroupMemberIds(mailgroupId) {
+    const userIds = new Set();
+    let pageToken = '';
+
+    do {
+      const params = { user_id_type: 'user_id', page_size: 200 };
+      if (pageToken) params.page_token = pageToken;
+
+      const result = await this.request('GET', `/mail/v1/mailgroups/${encodeURIComponent(mailgroupId)}/members`, null, params);
+      if (result.code !== 0) {
+        throw new Error(`Failed to list mailgroup members: ${result.msg}`);
+      }
+
+      (result.data?.items || []).forEach(m => m.user_id && userIds.add(m.user_id));
+      pageToken = result.data?.has_more ? result.data.page_token : '';
+    } while (pageToken);
+
+    return userIds;
+  }
+
+  /**
+   * 把员工加入邮件组
+   * @param {string} mailgroupId - 邮件组 ID 或邮件组地址
+   */
+  async addMailGroupMember(mailgroupId, userId) {
+    const result = await this.request('POST', `/mail/v1/mailgroups/${encodeURIComponent(mailgroupId)}/members`, {
+      user_id: userId,
+      type: 'USER'
+    }, { user_id_type: 'user_id' });
+
+    if (result.code !== 0) {
+      throw new Error(`Failed to add mailgroup member: ${result.msg}`);
+    }
+    return result;
+  }
+
+  /**
+   * 用户邮箱的所有别名
+   * @param {string} mailbox - 用户邮箱地址
+   * @returns {Promise<Array<string>>}
+   */
+  async getMailboxAliases(mailbox) {
+    const result = await this.request('GET', `/mail/v1/user_mailboxes/${encodeURIComponent(mailbox)}/aliases`);
+    if (result.code !== 0) {
+      throw new Error(`Failed to list mailbox aliases: ${result.msg}`);
     }
+    return (result.data?.items || []).map(a => a.email_alias).filter(Boolean);
+  }
+
+  /**
+   * 为用户邮箱添加别名
+   * @param {string} mailbox - 用户邮箱地址
+   * @param {string} alias - 别名地址
+   */
+  async addMailboxAlias(mailbox, alias) {
+    const result = await this.request('POST', `/mail/v1/user_mailboxes/${encodeURIComponent(mailbox)}/aliases`, {
+      email_alias: alias
+    });
+    if (result.code !== 0) {
+      throw new Error(`Failed to add mailbox alias: ${result.msg}`);
+    }
+    return result;
+  }
+
+  async checkEmailExists(email) {
+    const results = await this.checkEmailsExist([email]);
+    return results.get(email.toLowerCase()) || false;
+  }
+
+  /**
+   * 批量检查邮箱是否被在职员工占用（batch_get_id 每次最多 50 个）
+   * @param {Array<string>} emails
+   * @returns {Promise<Map<string, boolean>>} - 小写邮箱 -> 是否占用；查询失败的邮箱不在结果中
+   */
+  async checkEmailsExist(emails) {
+    const results = new Map();
+    const unique = [...new Set(emails.map(e => e.toLowerCase()))];
+
+    for (let i = 0; i < unique.length; i += EMAIL_LOOKUP_BATCH_SIZE) {
+      const chunk = unique.slice(i, i + EMAIL_LOOKUP_BATCH_SIZE);
+      try {
+        const result = await this.request('POST', '/contact/v3/users/batch_get_id', {
+          emails: chunk
+        });
+        if (result.code !== 0) {
+          throw new Error(result.msg || `code ${result.code}`);
+        }
+
+        const taken = new Set(
+          (result.data?.user_list || [])
+            .filter(u => u.user_id && u.email)
+            .map(u => u.email.toLowerCase())
+        );
+        chunk.forEach(email => results.set(email, taken.has(email)));
+      } catch (err) {
+        console.warn(`Check emails failed (${chunk.length} emails):`, err.message);
+      }
+    }
+
+    return results;
   }
 
   /**
@@ -355,6 +728,22 @@ class FeishuService {
     }
     return result;
   }
+
+  /**
+   * 更新已发送的消息卡片（卡片需设置 config.update_multi = true）
+   * @param {string} messageId - 消息 ID
+   * @param {object} card - 新的卡片内容
+   */
+  async updateMessageCard(messageId, card) {
+    const result = await this.request('PATCH', `/im/v1/messages/${messageId}`, {
+      content: typeof card === 'string' ? card : JSON.stringify(card)
+    });
+
+    if (result.code !== 0) {
+      throw new Error(`Failed to update message card: ${result.msg}`);
+    }
+    return result;
+  }
 }
 
 export const feishuService = new FeishuService();
@@ -0,0 +1,210 @@
+import crypto from 'crypto';
+import { createStore } from './store.js';
+import { logger } from './logger.js';
+
+/**
+ * 开通操作幂等服务
+ *
+ * 解决飞书卡片回调重试、IT 双击按钮、多个批次同时处理同一个人导致的重复开通：
+ * - 幂等键：调用方传入的同一个键只执行一次，成功结果缓存 24 小时，重复请求直接返回第一次的结果；
+ *   结果旁保存请求内容（人员 + 参数）的哈希，同一个键带着不同的内容再来时抛 IdempotencyConflictError，不回放
+ * - 按人员缓存：同一个人、相同参数的重复请求（执行中或 24 小时内已完成）返回第一次的结果，
+ *   未传幂等键或换了幂等键都适用；参数不同（如换了邮箱）视为新的请求，重新执行并覆盖缓存
+ * - 人员锁：同一个人的开通操作串行执行，不同幂等键也不会并发写同一个 pre_hire_id；
+ *   锁通过共享存储获取（见 store.tryLock），Web 服务和 MCP Server 两个进程之间同样互斥
+ *
+ * 失败的结果不缓存，修正问题后可以直接重试。
+ * REST 和 MCP 是两个进程，共用 idempotency.json，读写前都重新加载文件。
+ */
+
+// 成功结果的缓存时长
+const RESULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+// 人员锁的有效期（持有锁的进程崩溃时超时释放）和等待锁的轮询间隔
+const LOCK_TTL_MS = 10 * 60 * 1000;
+const LOCK_POLL_MS = 200;
+
+/**
+ * 同一个幂等键对应了不同的请求内容
+ */
+export class IdempotencyConflictError extends Error {
+  constructor(key) {
+    super('幂等键已用于内容不同的另一个请求，请换一个幂等键');
+    this.name = 'IdempotencyConflictError';
+    this.key = key;
+    this.status = 409;
+  }
+}
+
+/**
+ * 请求内容的哈希（对象按键排序，字段顺序不同视为相同内容）
+ */
+export function hashPayload(payload) {
+  const normalize = value => {
+    if (Array.isArray(value)) return value.map(normalize);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.keys(value).sort()
+        .filter(k => value[k] !== undefined)
+        .map(k => [k, normalize(value[k])]));
+    }
+    return value;
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(normalize(payload ?? null))).digest('hex');
+}
+
+class IdempotencyService {
+  constructor() {
+    this.store = null;
+    this.results = {};          // key -> { result, payloadHash, createdAt }
+    this.inFlight = new Map();  // key -> { promise, payloadHash }
+    this.locks = new Map();     // lockKey -> Promise（队尾）
+  }
+
+  /**
+   * 重新读取 idempotency.json（另一个进程可能刚写入）
+   */
+  _loadState() {
+    this.store = this.store ? this.store.load() : createStore('idempotency');
+    this.results = this.store.get('results', {});
+  }
+
+  _prune() {
+    const cutoff = Date.now() - RESULT_TTL_MS;
+    for (const [key, entry] of Object.entries(this.results)) {
+      if (entry.createdAt < cutoff) delete this.results[key];
+    }
+  }
+
+  _getCached(key) {
+    this._loadState();
+    const entry = this.results[key];
+    if (!entry || entry.createdAt < Date.now() - RESULT_TTL_MS) return null;
+    return entry;
+  }
+
+  _setCached(key, result, payloadHash) {
+    this._loadState();
+    this._prune();
+    this.results[key] = { result, payloadHash, createdAt: Date.now() };
+    this.store.set('results', this.results);
+  }
+
+  /**
+   * 命中缓存时回放第一次的结果
+   * 内容不同时：带幂等键抛冲突；未传幂等键（按人员缓存）返回 null，重新执行
+   * @param {boolean} explicit - 是否为调用方传入的幂等键
+   * @returns {Object|null}
+   */
+  _replay(key, payloadHash, explicit) {
+    const entry = this._getCached(key);
+    if (!entry) return null;
+    if (entry.payloadHash !== payloadHash) {
+      if (explicit) throw new IdempotencyConflictError(key);
+      return null;
+    }
+    logger.info(`Idempotency: 命中已完成的请求，直接返回第一次的结果`, { key });
+    return { ...entry.result, idempotentReplay: true };
+  }
+
+  /**
+   * 先查幂等键，再查按人员的缓存（同一个人之前由批量任务或其他入口完成的相同请求）
+   */
+  _findReplay(key, lockKey, payloadHash, explicit) {
+    return this._replay(key, payloadHash, explicit) || (explicit ? this._replay(lockKey, payloadHash, false) : null);
+  }
+
+  /**
+   * 获取人员锁，返回释放函数
+   * 进程内按到达顺序排队，再通过共享存储的锁与另一个进程互斥
+   */
+  async _acquire(lockKey) {
+    const previous = this.locks.get(lockKey) || Promise.resolve();
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    const tail = previous.then(() => current);
+    this.locks.set(lockKey, tail);
+
+    const releaseLocal = () => {
+      release();
+      if (this.locks.get(lockKey) === tail) this.locks.delete(lockKey);
+    };
+
+    await previous;
+
+    let unlock;
+    try {
+      this._loadState();
+      while (!(unlock = this.store.tryLock(lockKey, LOCK_TTL_MS))) {
+        await new Promise(resolve => setTimeout(resolve, LOCK_POLL_MS));
+      }
+    } catch (error) {
+      releaseLocal();
+      throw error;
+    }
+
+    return () => {
+      unlock();
+      releaseLocal();
+    };
+  }
+
+  /**
+   * 幂等执行一次开通操作
+   * @param {string} action - 操作类型（如 provision_email、provision_didi）
+   * @param {string} hireKey - 人员标识（邮箱用 pre_hire_id，滴滴用手机号）
+   * @param {string|null} idempotencyKey - 调用方传入的幂等键（可选，不传时按人员 + 参数缓存）
+   * @param {Function} fn - 实际执行的开通函数，抛异常表示失败
+   * @param {Object} [payload] - 请求参数（邮箱、制度等），与 hireKey 一起决定是否为"相同请求"
+   * @returns {Promise<Object>} - fn 的结果；重复请求返回第一次的结果并带 idempotentReplay: true
+   * @throws {IdempotencyConflictError} - 幂等键已用于内容不同的请求
+   */
+  async run(action, hireKey, idempotencyKey, fn, payload = null) {
+    const lockKey = `${action}:${hireKey}`;
+    const explicit = !!idempotencyKey;
+    const key = explicit ? `${action}:key:${idempotencyKey}` : lockKey;
+    const payloadHash = hashPayload({ hireKey, payload });
+
+    const replay = this._findReplay(key, lockKey, payloadHash, explicit);
+    if (replay) return replay;
+
+    const running = this.inFlight.get(key);
+    if (running) {
+      if (running.payloadHash === payloadHash) {
+        logger.info(`Idempotency: 相同请求正在执行，等待其结果`, { key });
+        const result = await running.promise;
+        return { ...result, idempotentReplay: true };
+      }
+      if (explicit) {
+        throw new IdempotencyConflictError(key);
+      }
+      // 同一个人、参数不同：不共享结果，排在人员锁后面执行
+      return await this._runLocked(key, lockKey, fn, payloadHash, explicit);
+    }
+
+    const promise = this._runLocked(key, lockKey, fn, payloadHash, explicit);
+    this.inFlight.set(key, { promise, payloadHash });
+    try {
+      return await promise;
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+
+  async _runLocked(key, lockKey, fn, payloadHash, explicit) {
+    const release = await this._acquire(lockKey);
+    try {
+      // 等锁期间可能已有相同的请求完成（包括另一个进程）
+      const replay = this._findReplay(key, lockKey, payloadHash, explicit);
+      if (replay) return replay;
+
+      const result = await fn();
+      this._setCached(lockKey, result, payloadHash);
+      if (explicit) this._setCached(key, result, payloadHash);
+      return result;
+    } finally {
+      release();
+    }
+  }
+}
+
+export const idempotencyService = new IdempotencyService();
@@ -0,0 +1,359 @@
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import { emailService } from './email.js';
+import { didiService, formatDidiError } from './didi.js';
+import { auditService } from './audit.js';
+import { idempotencyService } from './idempotency.js';
+import { matcherService } from './matcher.js';
+import { regulationSyncService } from './regulations.js';
+import { createStore } from './store.js';
+import { logger } from './logger.js';
+
+/**
+ * 批量开通任务队列
+ *
+ * 所有批量开通（REST、卡片回调、MCP）都作为一个任务入队，后台逐人执行：
+ * - 每个任务有 job ID，逐人记录结果，可通过 GET /api/jobs/:id 轮询或 SSE 订阅
+ * - 任务状态每处理完一人就写盘，进程重启后从第一个未完成的人继续
+ * - 任务串行执行，避免多个批次同时打飞书/滴滴接口
+ *
+ * 事件：
+ *   progress (job, result) - 完成一人
+ *   completed (job)        - 任务结束
+ */
+
+// 保留的已结束任务数量
+const MAX_FINISHED_JOBS = 100;
+
+const FINISHED_STATUSES = ['completed', 'failed'];
+
+// 任务类型 -> 每人一条的审计操作类型（与单人操作一致，默认同任务类型）
+const JOB_AUDIT_ACTIONS = {
+  didi_regulation: 'didi_regulation_update'
+};
+
+/**
+ * 各任务类型的单人执行逻辑（user, context），返回写入 job.results 的结果对象
+ * 抛出的异常会被记录为该人失败，不影响后续人员
+ * 每个人都经过幂等保护：同一个人、相同参数正在开通时等待并共享结果，不会并发重复写入
+ */
+const JOB_HANDLERS = {
+  async provision_email(user, context) {
+    const result = await idempotencyService.run('provision_email', user.id, null, () =>
+      emailService.provisionEmailWithRetry(user.id, user.name, user.email || null, {
+        preferredName: user.preferredName,
+        directory: context.directory
+      }),
+      { name: user.name, email: user.email || null, preferredName: user.preferredName || null }
+    );
+    return {
+      id: user.id,
+      name: user.name,
+      success: true,
+      email: result.email,
+      attempts: result.attempts,
+      ...(result.idempotentReplay && { idempotentReplay: true })
+    };
+  },
+
+  async provision_didi(user) {
+    const ruleIds = user.didi_rule_ids || user.didi_rule_id || null;
+    const options = {
+      email: user.email,
+      employeeNumber: user.employee_number || user.employeeNumber,
+      residentsname: user.residentsname,
+      departmentId: user.department_id || user.departmentId
+    };
+    const result = await idempotencyService.run('provision_didi', user.phone, null, () =>
+      didiService.provisionMember(user.name, user.phone, ruleIds, options),
+      { name: user.name, ruleId: matcherService.buildRegulationIdStr(didiService._parseRegulationIds(ruleIds)), ...options }
+    );
+    return {
+      ...result,
+      id: user.id,
+      name: user.name,
+      phone: user.phone,
+      ruleName: user.didi_rule_name || '',
+      // 已存在的员工视为开通成功
+      success: !!(result.success || result.alreadyExists)
+    };
+  },
+
+  // 制度校准：按建议整体替换滴滴用车制度（user: { id: 滴滴员工 ID, name }）
+  async didi_regulation(user, context) {
+    const targetIds = regulationSyncService.getProposal(user.id)?.targetIds || [];
+    const proposal = await idempotencyService.run('didi_regulation', `${user.id}:${matcherService.buildRegulationIdStr(targetIds)}`, null, () =>
+      regulationSyncService.apply(user.id, { operatorId: context.operatorId }),
+      { targetIds }
+    );
+    return {
+      id: user.id,
+      name: user.name,
+      phone: proposal.phone,
+      success: true,
+      repeated: !!(proposal.alreadyResolved || proposal.idempotentReplay),
+      from: proposal.currentNames,
+      ruleName: proposal.targetName,
+      resultText: proposal.status === 'dismissed' ? '已忽略' : `已更换为 ${proposal.targetName}`
+    };
+  }
+};
+
+/**
+ * 各任务类型的批次级准备逻辑（可选），返回值与 operatorId 一起作为 context 传给每个人的 handler
+ * 进程重启恢复时只为剩余人员重新准备
+ */
+const JOB_CONTEXTS = {
+  // 开始前一次性批量查询所有人候选邮箱的通讯录占用情况，之后逐人读缓存
+  async provision_email(users) {
+    const directory = emailService.createDirectoryCache();
+    await emailService.prefetchDirectory(users, directory);
+    return { directory };
+  }
+};
+
+class JobService extends EventEmitter {
+  constructor(storeName = 'jobs') {
+    super();
+    this.storeName = storeName;
+    this.store = null;
+    this.jobs = new Map();
+    this.running = false;
+  }
+
+  /**
+   * 切换任务存储命名空间（MCP Server 是独立进程，使用自己的队列文件，避免与 Web 服务互相覆盖）
+   * 必须在首次访问任务之前调用
+   */
+  useStore(storeName) {
+    this.storeName = storeName;
+    this.store = null;
+  }
+
+  _loadState() {
+    if (this.store) return;
+    this.store = createStore(this.storeName);
+    this.jobs = new Map(this.store.get('jobs', []).map(job => [job.id, job]));
+  }
+
+  _save() {
+    this._loadState();
+    this.store.set('jobs', [...this.jobs.values()]);
+  }
+
+  /**
+   * 新建批量任务并入队
+   * @param {string} type - provision_email | provision_didi | didi_regulation
+   * @param {Array} users - 待处理人员
+   * @param {Object} [meta] - 任务上下文
+   * @param {string} [meta.source] - 入口：rest | bot | mcp
+   * @param {string} [meta.operatorId] - 操作人
+   * @returns {Object} - 任务快照
+   */
+  enqueue(type, users, meta = {}) {
+    if (!JOB_HANDLERS[type]) {
+      throw new Error(`未知的任务类型: ${type}`);
+    }
+    this._loadState();
+
+    const job = {
+      id: uuidv4(),
+      type,
+      status: 'queued',
+      source: meta.source || 'rest',
+      operatorId: meta.operatorId || null,
+      meta,
+      users,
+      results: [],
+      cursor: 0,
+      total: users.length,
+      successful: 0,
+      failed: 0,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    this._prune();
+    this._save();
+
+    logger.info(`Job: 已创建任务 ${job.id}`, { type, total: job.total, source: job.source });
+    this._drain();
+    return this.getJob(job.id);
+  }
+
+  /**
+   * 恢复重启前未完成的任务（服务启动时调用）
+   */
+  resume() {
+    this._loadState();
+    const pending = [...this.jobs.values()].filter(job => !FINISHED_STATUSES.includes(job.status));
+    if (pending.length > 0) {
+      logger.info(`Job: 恢复 ${pending.length} 个未完成任务`, {
+        jobs: pending.map(job => ({ id: job.id, cursor: job.cursor, total: job.total }))
+      });
+      this._drain();
+    }
+  }
+
+  /**
+   * 获取任务快照（不含原始人员列表）
+   */
+  getJob(jobId) {
+    this._loadState();
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+    const { users, ...snapshot } = job;
+    return snapshot;
+  }
+
+  /**
+   * 最近的任务（新的在前）
+   */
+  listJobs(count = 20) {
+    this._loadState();
+    return [...this.jobs.values()]
+      .slice(-count)
+      .reverse()
+      .map(job => this.getJob(job.id));
+  }
+
+  /**
+   * 等待任务结束
+   * @returns {Promise<Object>} - 结束时的任务快照
+   */
+  waitFor(jobId) {
+    const job = this.getJob(jobId);
+    if (!job) return Promise.reject(new Error(`任务不存在: ${jobId}`));
+    if (FINISHED_STATUSES.includes(job.status)) return Promise.resolve(job);
+
+    return new Promise(resolve => {
+      const onCompleted = (finished) => {
+        if (finished.id !== jobId) return;
+        this.off('completed', onCompleted);
+        resolve(finished);
+      };
+      this.on('completed', onCompleted);
+    });
+  }
+
+  isFinished(job) {
+    return FINISHED_STATUSES.includes(job.status);
+  }
+
+  // ==================== 执行 ====================
+
+  async _drain() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      let job;
+      while ((job = [...this.jobs.values()].find(j => !FINISHED_STATUSES.includes(j.status)))) {
+        await this._run(job);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async _run(job) {
+    const handler = JOB_HANDLERS[job.type];
+    job.status = 'running';
+    job.startedAt = job.startedAt || new Date().toISOString();
+    this._save();
+
+    logger.info(`Job: 开始执行 ${job.id}`, { type: job.type, from: job.cursor, total: job.total });
+
+    try {
+      const context = {
+        operatorId: job.operatorId,
+        ...(JOB_CONTEXTS[job.type] ? await JOB_CONTEXTS[job.type](job.users.slice(job.cursor)) : {})
+      };
+
+      while (job.cursor < job.users.length) {
+        const user = job.users[job.cursor];
+        let result;
+
+        try {
+          result = await handler(user, context);
+        } catch (error) {
+          result = {
+            id: user.id, name: user.name, phone: user.phone, success: false,
+            error: formatDidiError(error),
+            ...(error.requestId && { requestId: error.requestId })
+          };
+          logger.error(`Job: ${user.name} 处理失败`, { jobId: job.id, error: error.message });
+        }
+
+        this._audit(job, user, result);
+
+        job.results[job.cursor] = result;
+        job.cursor++;
+        if (result.success) job.successful++;
+        else job.failed++;
+        this._save();
+
+        this.emit('progress', this.getJob(job.id), result);
+      }
+
+      job.status = 'completed';
+    } catch (error) {
+      // 只有写盘等基础设施异常会走到这里
+      job.status = 'failed';
+      job.error = error.message;
+      logger.error(`Job: 任务 ${job.id} 异常终止`, { error: error.message });
+    }
+
+    job.finishedAt = new Date().toISOString();
+    this._save();
+
+    logger.success(`Job: 任务 ${job.id} 结束`, {
+      type: job.type, successful: job.successful, failed: job.failed
+    });
+    this.emit('completed', this.getJob(job.id));
+  }
+
+  _audit(job, user, result) {
+    // 重复点击等已处理过的制度更换不再记录
+    if (result.repeated) return;
+
+    const entry = {
+      source: job.source,
+      operatorId: job.operatorId,
+      name: user.name,
+      jobId: job.id,
+      batch: true,
+      success: result.success
+    };
+    if (job.type === 'provision_email') {
+      entry.preHireId = user.id;
+      if (result.email) entry.email = result.email;
+    } else if (job.type === 'didi_regulation') {
+      entry.memberId = user.id;
+      if (result.phone) entry.phone = result.phone;
+      if (result.from) entry.from = result.from;
+      if (result.ruleName) entry.ruleName = result.ruleName;
+    } else {
+      entry.phone = user.phone;
+      entry.ruleId = matcherService.buildRegulationIdStr(didiService._parseRegulationIds(user.didi_rule_ids || user.didi_rule_id)) || undefined;
+      if (result.alreadyExists) entry.alreadyExists = true;
+      if (result.reactivated) entry.reactivated = true;
+    }
+    if (result.error) entry.error = result.error;
+    if (result.requestId) entry.requestId = result.requestId;
+
+    auditService.record(JOB_AUDIT_ACTIONS[job.type] || job.type, entry);
+  }
+
+  _prune() {
+    const finished = [...this.jobs.values()].filter(job => FINISHED_STATUSES.includes(job.status));
+    const excess = finished.length - MAX_FINISHED_JOBS;
+    for (let i = 0; i < excess; i++) {
+      this.jobs.delete(finished[i].id);
+    }
+  }
+}
+
+export const jobService = new JobService();
@@ -0,0 +1,209 @@
+import { feishuService } from './feishu.js';
+import { emailService } from './email.js';
+import { createStore } from './store.js';
+import { logger } from './logger.js';
+
+/**
+ * 邮箱开通（Mailbox + 部门邮件组）
+ *
+ * 邮箱建议/写入只是把地址写进待入职人员的 offer 信息；员工入职（飞书账号创建）后，
+ * 这里负责真正把邮箱开出来：
+ * 1. 按手机号找到员工 user_id（账号还没创建时返回 pending，下次再试）
+ * 2. 邮箱不是用户邮箱时，为员工分配企业邮箱
+ * 3. 按部门加入邮件组（部门 -> 邮件组映射可通过 API 维护，'*' 表示所有人都加入）
+ * 4. 添加邮箱别名（英文名、姓.名等，见 emailService.provisionAliases）
+ *
+ * 通过 MAIL_PROVISION_ENABLED=true 开启机器人自动处理；处理完的人记录在本地，不会重复处理。
+ */
+
+// 飞书邮箱地址状态：4 = 用户邮箱
+const MAILBOX_STATUS_USER = 4;
+
+// 所有部门都加入的邮件组
+const ALL_DEPARTMENTS = '*';
+
+class MailService {
+  constructor() {
+    this.store = null;
+    this.groupMap = {};   // departmentId | '*' -> [邮件组 ID 或地址]
+    this.completed = {};  // pre_hire_id -> { email, finishedAt }
+    this.lastErrors = {}; // pre_hire_id -> 上次失败原因（用于避免重复通知同一个错误）
+  }
+
+  get enabled() {
+    return process.env.MAIL_PROVISION_ENABLED === 'true';
+  }
+
+  /**
+   * 读取最新状态（邮件组映射可能由另一进程修改，文件变化后重新加载）
+   */
+  _loadState() {
+    if (!this.store) {
+      this.store = createStore('mail');
+    } else if (!this.store.refresh()) {
+      return;
+    }
+    this.groupMap = this.store.get('groupMap', {});
+    this.completed = this.store.get('completed', {});
+    this.lastErrors = this.store.get('lastErrors', {});
+  }
+
+  // ==================== 部门邮件组映射 ====================
+
+  getGroupMap() {
+    this._loadState();
+    return this.groupMap;
+  }
+
+  /**
+   * 设置某个部门的邮件组（空数组表示删除映射）
+   * @param {string} departmentId - 飞书部门 ID，'*' 表示所有部门
+   * @param {Array<string>} mailgroups - 邮件组 ID 或地址
+   */
+  setDepartmentGroups(departmentId, mailgroups) {
+    this._loadState();
+    if (!departmentId) {
+      throw new Error('departmentId 不能为空');
+    }
+    if (!Array.isArray(mailgroups)) {
+      throw new Error('mailgroups 必须是数组');
+    }
+
+    const groups = [...new Set(mailgroups.map(g => String(g).trim()).filter(Boolean))];
+    if (groups.length > 0) {
+      this.groupMap[departmentId] = groups;
+    } else {
+      delete this.groupMap[departmentId];
+    }
+    this.store.set('groupMap', this.groupMap);
+    return groups;
+  }
+
+  /**
+   * 某个部门需要加入的邮件组
+   */
+  groupsForDepartment(departmentId) {
+    this._loadState();
+    return [...new Set([
+      ...(this.groupMap[ALL_DEPARTMENTS] || []),
+      ...((departmentId && this.groupMap[departmentId]) || [])
+    ])];
+  }
+
+  // ==================== 开通 ====================
+
+  /**
+   * 是否已处理完（邮箱和邮件组都成功）
+   */
+  isCompleted(preHireId) {
+    this._loadState();
+    return !!this.completed[preHireId];
+  }
+
+  /**
+   * 为已入职员工开通邮箱并加入部门邮件组
+   * @param {Object} hire - { id, name, preferredName, phone, workEmail, departmentId }
+   * @returns {Promise<Object>} - { success, pending?, repeated?, email, mailbox: 'exists'|'created', groups: [{ id, status, error? }], aliases: [{ email, status, error? }], error? }
+   *   repeated: 与上次失败原因相同（自动重试时不必再次通知）
+   */
+  async provisionMailbox(hire) {
+    const result = await this._provision(hire);
+
+    this._loadState();
+    if (result.success) {
+      this.completed[hire.id] = { email: result.email, finishedAt: new Date().toISOString() };
+      delete this.lastErrors[hire.id];
+      this.store.set('completed', this.completed);
+    } else if (!result.pending) {
+      result.repeated = this.lastErrors[hire.id] === result.error;
+      this.lastErrors[hire.id] = result.error;
+    }
+    this.store.set('lastErrors', this.lastErrors);
+
+    return result;
+  }
+
+  async _provision(hire) {
+    const { id, name, phone, workEmail, departmentId } = hire;
+    const base = { id, name, email: workEmail || null };
+
+    if (!workEmail) {
+      return { ...base, success: false, error: '尚未分配工作邮箱' };
+    }
+    if (!phone) {
+      return { ...base, success: false, error: '没有手机号，无法查找员工账号' };
+    }
+
+    let userId;
+    try {
+      userId = await feishuService.getUserIdByPhone(phone);
+    } catch (error) {
+      return { ...base, success: false, error: error.message };
+    }
+    if (!userId) {
+      return { ...base, success: false, pending: true, error: '员工账号尚未创建' };
+    }
+
+    let mailbox;
+    try {
+      const status = await feishuService.getMailboxStatus(workEmail);
+      if (status === MAILBOX_STATUS_USER) {
+        mailbox = 'exists';
+      } else {
+        await feishuService.setEnterpriseEmail(userId, workEmail);
+        mailbox = 'created';
+        logger.success(`Mail: 已为 ${name} 创建邮箱 ${workEmail}`);
+      }
+    } catch (error) {
+      logger.error(`Mail: ${name} 邮箱创建失败`, { email: workEmail, error: error.message });
+      return { ...base, userId, success: false, error: `邮箱创建失败: ${error.message}` };
+    }
+
+    const groups = [];
+    for (const groupId of this.groupsForDepartment(departmentId)) {
+      try {
+        const members = await feishuService.getMailGroupMemberIds(groupId);
+        if (members.has(userId)) {
+          groups.push({ id: groupId, status: 'exists' });
+        } else {
+          await feishuService.addMailGroupMember(groupId, userId);
+          groups.push({ id: groupId, status: 'added' });
+        }
+      } catch (error) {
+        logger.error(`Mail: ${name} 加入邮件组 ${groupId} 失败`, { error: error.message });
+        groups.push({ id: groupId, status: 'failed', error: error.message });
+      }
+    }
+
+    let aliases;
+    try {
+      aliases = await emailService.provisionAliases(hire);
+    } catch (error) {
+      logger.error(`Mail: ${name} 添加别名失败`, { error: error.message });
+      aliases = [{ email: null, status: 'failed', error: error.message }];
+    }
+
+    const errors = [];
+    const failedGroups = groups.filter(g => g.status === 'failed');
+    if (failedGroups.length > 0) {
+      errors.push(`加入邮件组失败: ${failedGroups.map(g => g.id).join('、')}`);
+    }
+    const failedAliases = aliases.filter(a => a.status === 'failed');
+    if (failedAliases.length > 0) {
+      errors.push(`添加别名失败: ${failedAliases.map(a => a.error).join('；')}`);
+    }
+    const success = errors.length === 0;
+
+    return {
+      ...base,
+      userId,
+      success,
+      mailbox,
+      groups,
+      aliases,
+      ...(!success && { error: errors.join('；') })
+    };
+  }
+}
+
+export const mailService = new MailService();
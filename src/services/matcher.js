@@ -1,17 +1,94 @@
+import { regulationRuleService } from './rules.js';
+import { logger } from './logger.js';
+
 /**
  * 用车制度匹配服务
  * 
- * 根据员工所在城市自动匹配滴滴用车制度
+ * 1. 先按声明式映射规则（城市/工作地点、人员类型、部门、职级 -> 制度 ID，见 rules.js）匹配
+ * 2. 没有命中时，根据员工所在城市按制度名称推断（matchRule）
+ *
+ * 每次匹配都带上依据（reason）和可信度（confidence），回退得到的制度只是猜测，
+ * 开通卡片和 Dashboard 会标出低可信度的匹配，一键批量开通时跳过，需要人工确认后单独开通。
  * 制度数据结构参考：https://opendocs.xiaojukeji.com/version2024/11313
  */
+
+// 匹配依据 -> { 显示文字, 可信度 }
+export const MATCH_REASONS = {
+  mapping_rule: { label: '映射规则', confidence: 'high' },
+  city_overtime: { label: '城市加班用车', confidence: 'high' },
+  city_business: { label: '城市商务出行', confidence: 'medium' },
+  city_substring: { label: '制度名称包含城市', confidence: 'medium' },
+  beijing_fallback: { label: '回退到北京加班用车', confidence: 'low' },
+  first_active_fallback: { label: '回退到第一个可用制度', confidence: 'low' }
+};
+
+// 可信度 -> 显示文字
+export const MATCH_CONFIDENCE = {
+  high: '高',
+  medium: '中',
+  low: '低'
+};
+
 class MatcherService {
   /**
-   * 根据城市名匹配用车制度
+   * 根据员工信息匹配用车制度（可能是多个，如销售同时需要加班用车和商务出行）
+   * @param {Object} profile - 员工信息 { city, cityId, employeeTypeId, departmentId, departmentIds?, jobLevelId }
+   * @param {Array} allRules - 所有可用的制度列表
+   * @returns {Array} - 匹配到的制度（没有匹配时为空数组）
+   */
+  matchRegulations(profile, allRules) {
+    return this.explainRegulations(profile, allRules).rules;
+  }
+
+  /**
+   * 匹配用车制度并说明依据
+   * @param {Object} profile - 同 matchRegulations
+   * @param {Array} allRules - 所有可用的制度列表
+   * @returns {{ rules: Array, reason: string|null, confidence: string|null, mappingRuleId?: string, mappingRuleNote?: string }}
+   *   reason 见 MATCH_REASONS；没有匹配时 reason、confidence 为 null
+   */
+  explainRegulations(profile, allRules) {
+    const activeRules = (allRules || []).filter(r => r.status === '1' || r.status === 1);
+
+    for (const mapping of regulationRuleService.matchAll(profile)) {
+      // 映射规则的制度全部分配（已停用或被删除的跳过）
+      const rules = mapping.regulationIds
+        .map(id => activeRules.find(r => String(r.id) === id))
+        .filter(Boolean);
+      if (rules.length > 0) {
+        return {
+          rules,
+          reason: 'mapping_rule',
+          confidence: MATCH_REASONS.mapping_rule.confidence,
+          mappingRuleId: mapping.id,
+          mappingRuleNote: mapping.note || ''
+        };
+      }
+      logger.warn('Matcher: 映射规则中的制度都不可用，跳过', { ruleId: mapping.id, regulationIds: mapping.regulationIds });
+    }
+
+    const fallback = this.explainRule(profile?.city, allRules);
+    if (!fallback) {
+      return { rules: [], reason: null, confidence: null };
+    }
+    return { rules: [fallback.rule], reason: fallback.reason, confidence: MATCH_REASONS[fallback.reason].confidence };
+  }
+
+  /**
+   * 根据城市名匹配用车制度（按制度名称推断，映射规则都没有命中时使用）
    * @param {string} cityName - 员工所在城市（如 "北京"、"Wuhan"）
    * @param {Array} allRules - 所有可用的制度列表
    * @returns {Object|null} - 匹配到的制度，或回退到默认制度
    */
   matchRule(cityName, allRules) {
+    return this.explainRule(cityName, allRules)?.rule || null;
+  }
+
+  /**
+   * 同 matchRule，同时返回匹配依据
+   * @returns {{ rule: Object, reason: string }|null} - reason 见 MATCH_REASONS
+   */
+  explainRule(cityName, allRules) {
     if (!allRules || allRules.length === 0) {
       return null;
     }
@@ -22,10 +99,17 @@ class MatcherService {
       return null;
     }
 
+    // 回退：北京的"加班用车"场景(sceneType=3)制度，没有时取第一个可用制度
+    const fallback = () => {
+      const beijing = activeRules.find(r => r.name.includes('北京') && String(r.sceneType) === '3');
+      return beijing
+        ? { rule: beijing, reason: 'beijing_fallback' }
+        : { rule: activeRules[0], reason: 'first_active_fallback' };
+    };
+
     if (!cityName || cityName === 'Unknown') {
-      // 无城市信息，尝试回退到"加班用车"场景(sceneType=3)的北京制度
-      const fallback = activeRules.find(r => r.name.includes('北京') && String(r.sceneType) === '3');
-      return fallback || activeRules[0];
+      // 无城市信息
+      return fallback();
     }
 
     const normalizedCity = cityName.toLowerCase().trim();
@@ -39,7 +123,7 @@ class MatcherService {
     if (overtimeCandidates.length > 0) {
       // 优先选"城市-加班用车"这种标准名称
       const standard = overtimeCandidates.find(r => r.name.match(/^.+-加班用车$/));
-      return standard || overtimeCandidates.sort((a, b) => a.name.length - b.name.length)[0];
+      return { rule: standard || overtimeCandidates.sort((a, b) => a.name.length - b.name.length)[0], reason: 'city_overtime' };
     }
 
     // 次优先：制度名包含城市名，且是商务出行（sceneType=1）
@@ -47,36 +131,69 @@ class MatcherService {
       const ruleName = (rule.name || '').toLowerCase();
       return ruleName.includes(normalizedCity) && String(rule.sceneType) === '1';
     });
-    if (businessMatch) return businessMatch;
+    if (businessMatch) return { rule: businessMatch, reason: 'city_business' };
 
     // 再次：制度名包含城市名（任意场景）
     const anyMatch = activeRules.find(rule => {
       return (rule.name || '').toLowerCase().includes(normalizedCity);
     });
-    if (anyMatch) return anyMatch;
+    if (anyMatch) return { rule: anyMatch, reason: 'city_substring' };
 
     // 回退到北京-加班用车
-    const fallback = activeRules.find(r => r.name.includes('北京') && String(r.sceneType) === '3');
-    return fallback || activeRules[0];
+    return fallback();
   }
 
   /**
    * 批量匹配制度
-   * @param {Array} users - 用户列表（需有 city 字段）
+   * @param {Array} users - 用户列表（city、cityId、employeeTypeId、departmentId、jobLevelId 等，见 matchRegulations）
    * @param {Array} allRules - 所有可用的制度列表
-   * @returns {Array} - 每个用户增加 suggested_didi_rule_id 和 suggested_didi_rule_name
+   * @returns {Array} - 每个用户增加：
+   *   suggested_didi_rule_ids / suggested_didi_rule_names - 匹配到的制度 ID / 名称数组
+   *   suggested_didi_rule_id - 制度 ID 字符串（多个用 _ 分隔，可直接用于开通）
+   *   suggested_didi_rule_name - 制度名称（多个用顿号分隔）
+   *   didi_match_reason / didi_match_reason_label - 匹配依据（见 MATCH_REASONS）及显示文字
+   *   didi_match_confidence - 可信度 high | medium | low（没有匹配时为 null）
+   *   didi_match_note - 匹配说明（依据 + 可信度，见 describeMatch）
+   *   didi_rule_needs_review - 低可信度的回退匹配，需要人工确认（一键批量开通时跳过）
    */
   batchMatchRules(users, allRules) {
     return users.map(user => {
-      const matchedRule = this.matchRule(user.city, allRules);
+      const match = this.explainRegulations(user, allRules);
+      const ids = match.rules.map(r => String(r.id));
       return {
         ...user,
-        suggested_didi_rule_id: matchedRule?.id || null,
-        suggested_didi_rule_name: matchedRule?.name || null
+        suggested_didi_rule_ids: ids,
+        suggested_didi_rule_names: match.rules.map(r => r.name),
+        suggested_didi_rule_id: this.buildRegulationIdStr(ids) || null,
+        suggested_didi_rule_name: match.rules.map(r => r.name).join('、') || null,
+        didi_match_reason: match.reason,
+        didi_match_reason_label: match.reason ? MATCH_REASONS[match.reason].label : null,
+        didi_match_confidence: match.confidence,
+        didi_match_note: this.describeMatch(match, user.city),
+        didi_rule_needs_review: match.confidence === 'low'
       };
     });
   }
 
+  /**
+   * 匹配依据的说明文字（如 "城市加班用车（可信度：高）"）
+   * @param {Object} match - explainRegulations 的返回值
+   * @param {string} [cityName] - 员工所在城市，回退时说明原因
+   * @returns {string|null}
+   */
+  describeMatch(match, cityName) {
+    if (!match?.reason) return null;
+    const { label } = MATCH_REASONS[match.reason];
+    const city = cityName && cityName !== 'Unknown' ? cityName : null;
+    let detail = '';
+    if (match.reason === 'mapping_rule' && match.mappingRuleNote) {
+      detail = `「${match.mappingRuleNote}」`;
+    } else if (match.confidence === 'low') {
+      detail = city ? `，没有找到${city}的制度` : '，没有城市信息';
+    }
+    return `${label}${detail}（可信度：${MATCH_CONFIDENCE[match.confidence]}）`;
+  }
+
   /**
    * 根据 ID 查找制度
    */
@@ -90,7 +207,7 @@ class MatcherService {
    * @returns {string} - "id1_id2_id3"
    */
   buildRegulationIdStr(ruleIds) {
-    return ruleIds.filter(Boolean).join('_');
+    return [...new Set(ruleIds.filter(Boolean).map(String))].join('_');
   }
 }
 
@@ -0,0 +1,153 @@
+/**
+ * 邮箱命名策略
+ *
+ * 决定邮箱前缀怎么拼、用什么域名、重名时追加什么后缀。
+ * 所有配置从环境变量动态读取（修改 .env 重启即可生效）：
+ *
+ *   EMAIL_DOMAIN            域名（默认 guanghe.tv）
+ *   EMAIL_TEMPLATE          前缀模板，按顺序尝试，多个用 | 分隔，变量缺失时尝试下一个（默认 {full}）
+ *   EMAIL_SUFFIX_ALPHABET   重名后缀可用的字符（默认 1356789，即避开 2 和 4）
+ *   EMAIL_SUFFIX_SEPARATOR  前缀和后缀之间的分隔符（默认无，如 zhangwei3）
+ *   EMAIL_ALIAS_TEMPLATE    别名模板，多个用 | 分隔，每个模板生成一个别名（默认 {preferred}|{family}.{given}）
+ *
+ * 模板变量：
+ *   {full}          全名拼音            张伟明 -> zhangweiming
+ *   {family}        姓的拼音            张伟明 -> zhang
+ *   {given}         名的拼音            张伟明 -> weiming
+ *   {familyInitial} 姓的首字母          张伟明 -> z
+ *   {givenInitials} 名的每个字的首字母  张伟明 -> wm
+ *   {preferred}     英文名 preferred_name（只保留字母、数字和点）
+ *
+ * 示例：{given}.{family} -> weiming.zhang，{family}{givenInitials} -> zhangwm，
+ *      {preferred}|{full} -> 有英文名用英文名，否则用全拼
+ */
+
+const DEFAULT_DOMAIN = 'guanghe.tv';
+const DEFAULT_TEMPLATE = '{full}';
+const DEFAULT_SUFFIX_ALPHABET = '1356789';
+const DEFAULT_ALIAS_TEMPLATE = '{preferred}|{family}.{given}';
+
+// 兜底模板：配置的模板都缺变量时使用
+const FALLBACK_TEMPLATE = '{full}';
+
+class NamingPolicy {
+  get domain() {
+    return (process.env.EMAIL_DOMAIN || DEFAULT_DOMAIN).replace(/^@/, '').toLowerCase();
+  }
+
+  get templates() {
+    return (process.env.EMAIL_TEMPLATE || DEFAULT_TEMPLATE)
+      .split('|')
+      .map(t => t.trim())
+      .filter(Boolean);
+  }
+
+  get aliasTemplates() {
+    const value = process.env.EMAIL_ALIAS_TEMPLATE ?? DEFAULT_ALIAS_TEMPLATE;
+    return value.split('|').map(t => t.trim()).filter(Boolean);
+  }
+
+  get suffixAlphabet() {
+    const alphabet = process.env.EMAIL_SUFFIX_ALPHABET || DEFAULT_SUFFIX_ALPHABET;
+    return [...new Set(alphabet.split(''))];
+  }
+
+  get suffixSeparator() {
+    return process.env.EMAIL_SUFFIX_SEPARATOR || '';
+  }
+
+  /**
+   * 重名后缀序列：先一位，再两位（两位的首位不为 0）
+   * 默认字母表下为 1,3,5,...,9,11,13,...,99，与原来的"跳过 2 和 4"规则一致
+   * @returns {Array<string>}
+   */
+  get suffixes() {
+    const alphabet = this.suffixAlphabet;
+    const suffixes = [...alphabet];
+    for (const first of alphabet) {
+      if (first === '0') continue;
+      for (const second of alphabet) {
+        suffixes.push(`${first}${second}`);
+      }
+    }
+    return suffixes;
+  }
+
+  /**
+   * 规范化英文名：转小写，空格转点，去掉其他字符
+   */
+  normalizePreferredName(preferredName) {
+    if (!preferredName) return '';
+    return preferredName
+      .toLowerCase()
+      .trim()
+      .replace(/\s+/g, '.')
+      .replace(/[^a-z0-9.]/g, '')
+      .replace(/\.{2,}/g, '.')
+      .replace(/^\.|\.$/g, '');
+  }
+
+  /**
+   * 用模板生成邮箱前缀（不含后缀和域名）
+   * @param {Object} parts - 姓名各部分 { full, family, given, familyInitial, givenInitials, preferred }
+   * @returns {{ localPart: string, template: string|null }} - 所有模板都无法生成时 localPart 为空
+   */
+  buildLocalPart(parts) {
+    for (const template of [...this.templates, FALLBACK_TEMPLATE]) {
+      const localPart = this.renderTemplate(template, parts);
+      if (localPart) {
+        return { localPart, template };
+      }
+    }
+    return { localPart: '', template: null };
+  }
+
+  /**
+   * 用单个模板生成前缀，模板中有变量缺失时返回空字符串
+   */
+  renderTemplate(template, parts) {
+    let missing = false;
+    const localPart = template.replace(/\{(\w+)\}/g, (_, key) => {
+      const value = parts[key];
+      if (!value) missing = true;
+      return value || '';
+    });
+    return missing ? '' : localPart.toLowerCase();
+  }
+
+  /**
+   * 拼接完整邮箱
+   * @param {string} localPart - 前缀
+   * @param {string|null} [suffix] - 重名后缀
+   */
+  formatEmail(localPart, suffix = null) {
+    const local = suffix ? `${localPart}${this.suffixSeparator}${suffix}` : localPart;
+    return `${local}@${this.domain}`;
+  }
+
+  /**
+   * 候选邮箱序列：不带后缀的在前，然后按后缀顺序
+   * @returns {Array<{ email: string, suffix: string|null }>}
+   */
+  candidates(localPart) {
+    return [
+      { email: this.formatEmail(localPart), suffix: null },
+      ...this.suffixes.map(suffix => ({ email: this.formatEmail(localPart, suffix), suffix }))
+    ];
+  }
+
+  /**
+   * 当前策略的可读描述（用于卡片/接口展示）
+   */
+  describe() {
+    return {
+      domain: this.domain,
+      templates: this.templates,
+      aliasTemplates: this.aliasTemplates,
+      suffixAlphabet: this.suffixAlphabet.join(''),
+      suffixSeparator: this.suffixSeparator
+    };
+  }
+}
+
+export const namingPolicy = new NamingPolicy();
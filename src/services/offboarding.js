@@ -0,0 +1,235 @@
+import { feishuService } from './feishu.js';
+import { didiService, formatDidiError } from './didi.js';
+import { didiDirectoryService } from './directory.js';
+import { createStore } from './store.js';
+import { logger } from './logger.js';
+
+/**
+ * 离职员工滴滴账号回收
+ *
+ * 1. 从飞书 CoreHR 离职信息中找出最近离职（离职日期已到）的员工
+ * 2. 按手机号在滴滴员工目录中查找仍在职（正常/未绑定）的账号（缓存没有时实时查询）
+ * 3. 生成待处理记录，由 IT 在机器人卡片上确认：移除账号 / 停用企业支付 / 忽略
+ *
+ * 每个离职员工只检测一次（按 employment_id 记录在本地），失败的可在卡片上重试。
+ */
+
+// 处理方式 -> 卡片/接口上显示的文字
+export const OFFBOARD_ACTIONS = {
+  remove: '移除',
+  disable: '停用企业支付',
+  ignore: '忽略'
+};
+
+// 已处理完的状态（不会再次处理）
+const RESOLVED_STATUSES = ['removed', 'disabled', 'ignored', 'no_account'];
+
+const ACTION_STATUS = { remove: 'removed', disable: 'disabled', ignore: 'ignored' };
+
+// 处理中的记录超过这个时间仍未完成（进程中途退出），允许重新处理
+const PROCESSING_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * 记录正在处理中（另一次点击或另一进程已调用滴滴接口，尚未返回）
+ */
+export class OffboardingBusyError extends Error {
+  constructor(entry) {
+    super(`${entry.name || entry.employmentId} 正在处理中，请稍后刷新查看结果`);
+    this.name = 'OffboardingBusyError';
+    this.employmentId = entry.employmentId;
+    this.status = 409;
+  }
+}
+
+class OffboardingService {
+  constructor() {
+    this.store = null;
+    this.cases = {}; // employment_id -> { employmentId, name, phone, offboardingDate, memberId, status, error, detectedAt, action, operatorId, resolvedAt }
+  }
+
+  /**
+   * 机器人是否自动检测（DIDI_OFFBOARDING_ENABLED=true 且滴滴已配置）
+   */
+  get enabled() {
+    return didiService.configured && process.env.DIDI_OFFBOARDING_ENABLED === 'true';
+  }
+
+  /**
+   * 每次检测往前查多少天的离职记录
+   */
+  get lookbackDays() {
+    return parseInt(process.env.DIDI_OFFBOARDING_LOOKBACK_DAYS, 10) || 30;
+  }
+
+  /**
+   * 读取最新记录（另一进程处理或检测后，这里下次读取即可看到）
+   */
+  _loadState() {
+    if (!this.store) {
+      this.store = createStore('offboarding');
+    } else if (!this.store.refresh()) {
+      return;
+    }
+    this.cases = this.store.get('cases', {});
+  }
+
+  _save() {
+    this.store.set('cases', this.cases);
+  }
+
+  /**
+   * 所有记录（可按状态过滤），最近离职的在前
+   * @param {string} [status] - pending | processing | failed | removed | disabled | ignored | no_account
+   */
+  listCases(status = null) {
+    this._loadState();
+    return Object.values(this.cases)
+      .filter(c => !status || c.status === status)
+      .sort((a, b) => (b.offboardingDate || '').localeCompare(a.offboardingDate || ''));
+  }
+
+  getCase(employmentId) {
+    this._loadState();
+    return this.cases[employmentId] || null;
+  }
+
+  /**
+   * 检测新的离职员工并查找其滴滴账号
+   * @returns {Promise<Array>} - 本次新增的待处理记录（有滴滴账号的）
+   */
+  async detect() {
+    this._loadState();
+    if (!didiService.configured) {
+      throw new Error('滴滴企业版未配置');
+    }
+
+    const today = new Date().toISOString().slice(0, 10);
+    const from = new Date(Date.now() - this.lookbackDays * 86400000).toISOString().slice(0, 10);
+
+    const offboardings = (await feishuService.fetchOffboardings(from, today))
+      .filter(o => o.offboardingDate && o.offboardingDate <= today && !this.cases[o.employmentId]);
+    if (offboardings.length === 0) return [];
+
+    const contacts = await feishuService.getEmployeeContacts(offboardings.map(o => o.employmentId));
+    const found = {};
+
+    for (const offboarding of offboardings) {
+      const { name = '', phone = '' } = contacts.get(offboarding.employmentId) || {};
+      const base = {
+        employmentId: offboarding.employmentId,
+        name,
+        phone,
+        offboardingDate: offboarding.offboardingDate,
+        detectedAt: new Date().toISOString()
+      };
+
+      if (!phone) {
+        logger.warn(`Offboarding: ${name || offboarding.employmentId} 没有手机号，无法查找滴滴账号`);
+        continue;
+      }
+
+      let member;
+      try {
+        ({ member } = await didiDirectoryService.lookup({ phone }, 'active'));
+      } catch (error) {
+        // 查询失败不记录，下次检测时重试
+        logger.error(`Offboarding: 查询 ${name} 的滴滴账号失败`, { error: error.message });
+        continue;
+      }
+
+      if (!member) {
+        found[offboarding.employmentId] = { ...base, memberId: null, status: 'no_account' };
+        continue;
+      }
+
+      const entry = {
+        ...base,
+        memberId: member.id,
+        memberName: member.realname,
+        status: 'pending',
+        error: null
+      };
+      found[offboarding.employmentId] = entry;
+    }
+
+    // 查询期间其他进程可能已写入记录：重新读取后只补充还没有的
+    this._loadState();
+    const detected = [];
+    for (const [employmentId, entry] of Object.entries(found)) {
+      if (this.cases[employmentId]) continue;
+      this.cases[employmentId] = entry;
+      if (entry.status === 'pending') detected.push(entry);
+    }
+    this._save();
+    if (detected.length > 0) {
+      logger.info(`Offboarding: 发现 ${detected.length} 名离职员工仍有滴滴账号`);
+    }
+    return detected;
+  }
+
+  /**
+   * 按 IT 的确认处理离职员工的滴滴账号
+   * @param {string} employmentId
+   * @param {'remove'|'disable'|'ignore'} action
+   * @param {Object} [meta] - { operatorId }
+   * @returns {Promise<Object>} - 处理后的记录（已处理过的带 alreadyResolved: true）
+   * @throws {OffboardingBusyError} - 记录正在处理中（不会再次调用滴滴）
+   * @throws 滴滴接口失败时抛出（记录标记为 failed，可再次处理）
+   */
+  async resolve(employmentId, action, meta = {}) {
+    this._loadState();
+    if (!OFFBOARD_ACTIONS[action]) {
+      throw new Error(`action 只能是 ${Object.keys(OFFBOARD_ACTIONS).join(' / ')}`);
+    }
+
+    const entry = this.cases[employmentId];
+    if (!entry) {
+      throw new Error(`未找到离职记录: ${employmentId}`);
+    }
+    if (RESOLVED_STATUSES.includes(entry.status)) {
+      return { ...entry, alreadyResolved: true };
+    }
+    if (entry.status === 'processing' && Date.now() - Date.parse(entry.processingAt) < PROCESSING_TIMEOUT_MS) {
+      throw new OffboardingBusyError(entry);
+    }
+
+    const resolution = {
+      action,
+      operatorId: meta.operatorId || null,
+      resolvedAt: new Date().toISOString()
+    };
+    // 调用滴滴前先落盘 processing，重复点击或另一进程看到后不会再调用一次
+    Object.assign(entry, { status: 'processing', processingAt: resolution.resolvedAt });
+    this._save();
+
+    try {
+      if (action === 'remove') {
+        await didiService.deleteMember(entry.memberId);
+      } else if (action === 'disable') {
+        await didiService.disableMember(entry.memberId);
+      }
+    } catch (error) {
+      const failed = this._finish(employmentId, entry, { ...resolution, status: 'failed', error: formatDidiError(error) });
+      logger.error(`Offboarding: ${failed.name} 滴滴账号${OFFBOARD_ACTIONS[action]}失败`, { error: error.message });
+      throw error;
+    }
+
+    const resolved = this._finish(employmentId, entry, { ...resolution, status: ACTION_STATUS[action], error: null });
+    logger.success(`Offboarding: ${resolved.name} 滴滴账号已${OFFBOARD_ACTIONS[action]}`);
+    return { ...resolved };
+  }
+
+  /**
+   * 滴滴调用结束后写回结果：先重新读取，避免覆盖调用期间另一进程写入的记录
+   */
+  _finish(employmentId, entry, fields) {
+    this._loadState();
+    const latest = this.cases[employmentId] || (this.cases[employmentId] = entry);
+    Object.assign(latest, fields);
+    delete latest.processingAt;
+    this._save();
+    return latest;
+  }
+}
+
+export const offboardingService = new OffboardingService();
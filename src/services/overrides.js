@@ -0,0 +1,114 @@
+import { createStore } from './store.js';
+
+/**
+ * 拼音人工修正表
+ *
+ * 多音字、生僻字导致拼音不对时，由 IT 按 pre_hire_id 或姓名指定正确读音。
+ * 本地建议邮箱和实际开通都会优先使用这里的拼音（pre_hire_id 优先于姓名）。
+ *
+ * 拼音格式：每个字一个音节，空格分隔，如 单田芳 -> "shan tian fang"
+ */
+class PinyinOverrideService {
+  constructor() {
+    this.store = null;
+    this.overrides = {}; // "id:<pre_hire_id>" | "name:<姓名>" -> { pinyin, note, operatorId, updatedAt }
+  }
+
+  /**
+   * 读取最新数据（Web 服务修改后，MCP Server 进程下次读取即生效）
+   */
+  _loadState() {
+    if (!this.store) {
+      this.store = createStore('pinyin-overrides');
+    } else if (!this.store.refresh()) {
+      return;
+    }
+    this.overrides = this.store.get('overrides', {});
+  }
+
+  _save() {
+    this.store.set('overrides', this.overrides);
+  }
+
+  _key({ preHireId, name }) {
+    if (preHireId) return `id:${preHireId}`;
+    if (name) return `name:${name.trim()}`;
+    throw new Error('pre_hire_id 或 name 至少填写一个');
+  }
+
+  /**
+   * 规范化拼音输入：小写、去声调（符号或数字）、ü 写作 v、多余空白合并
+   * @returns {Array<string>} - 音节数组
+   */
+  parseSyllables(pinyinText) {
+    return String(pinyinText || '')
+      .toLowerCase()
+      .replace(/[üǖǘǚǜ]/g, 'v')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f0-9]/g, '')
+      .split(/[\s,，'’-]+/)
+      .map(s => s.replace(/[^a-z]/g, ''))
+      .filter(Boolean);
+  }
+
+  /**
+   * 查找某人的修正拼音（pre_hire_id 优先于姓名）
+   * @returns {Array<string>|null} - 音节数组
+   */
+  lookup(preHireId, name) {
+    this._loadState();
+    const entry = (preHireId && this.overrides[`id:${preHireId}`])
+      || (name && this.overrides[`name:${name.trim()}`]);
+    return entry ? this.parseSyllables(entry.pinyin) : null;
+  }
+
+  list() {
+    this._loadState();
+    return Object.entries(this.overrides).map(([key, entry]) => {
+      const [type, ...rest] = key.split(':');
+      return {
+        [type === 'id' ? 'pre_hire_id' : 'name']: rest.join(':'),
+        ...entry
+      };
+    });
+  }
+
+  /**
+   * 新增或更新修正
+   * @param {Object} target - { preHireId } 或 { name }
+   * @param {string} pinyinText - 拼音，如 "shan tian fang"
+   * @param {Object} [meta] - { note, operatorId }
+   */
+  set(target, pinyinText, meta = {}) {
+    this._loadState();
+    const syllables = this.parseSyllables(pinyinText);
+    if (syllables.length === 0) {
+      throw new Error('pinyin 不能为空');
+    }
+
+    const key = this._key(target);
+    this.overrides[key] = {
+      pinyin: syllables.join(' '),
+      note: meta.note || '',
+      operatorId: meta.operatorId || null,
+      updatedAt: new Date().toISOString()
+    };
+    this._save();
+    return this.overrides[key];
+  }
+
+  /**
+   * 删除修正
+   * @returns {boolean} - 是否存在并已删除
+   */
+  remove(target) {
+    this._loadState();
+    const key = this._key(target);
+    if (!this.overrides[key]) return false;
+    delete this.overrides[key];
+    this._save();
+    return true;
+  }
+}
+
+export const pinyinOverrideService = new PinyinOverrideService();
@@ -0,0 +1,72 @@
+import { feishuService } from './feishu.js';
+import { didiService } from './didi.js';
+import { didiDirectoryService } from './directory.js';
+import { logger } from './logger.js';
+
+/**
+ * 滴滴员工工号/邮箱补全
+ *
+ * 早期开通的滴滴员工只有手机号、姓名和制度，财务无法把滴滴账单和 HR 记录对上。
+ * 这里按手机号把滴滴员工和飞书在职员工对应起来，补全缺少的工号（employee_number）和工作邮箱。
+ * 已有的值不覆盖；新开通的员工在 provisionMember 中直接带上这两个字段。
+ */
+class DidiProfileService {
+  /**
+   * 补全所有滴滴员工缺少的工号和邮箱
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - 只列出需要补全的员工，不写入滴滴
+   * @returns {Promise<Object>} - { total, unmatched, complete, updated: [...], failed: [...], dryRun }
+   */
+  async backfill({ dryRun = false } = {}) {
+    if (!didiService.configured) {
+      throw new Error('滴滴企业版未配置');
+    }
+
+    const [employees, members] = await Promise.all([
+      feishuService.fetchActiveEmployees(),
+      didiDirectoryService.list('active')
+    ]);
+    const employeesByPhone = new Map(employees.filter(e => e.phone).map(e => [e.phone, e]));
+
+    const summary = { total: members.length, unmatched: 0, complete: 0, updated: [], failed: [], dryRun };
+
+    for (const member of members) {
+      const employee = employeesByPhone.get(member.phone);
+      if (!employee) {
+        summary.unmatched++;
+        continue;
+      }
+
+      const profile = { email: employee.workEmail, employeeNumber: employee.employeeNumber };
+      const patch = didiService.missingProfileFields(member, profile);
+      if (!patch) {
+        summary.complete++;
+        continue;
+      }
+
+      const entry = { memberId: member.id, name: member.realname, phone: member.phone, fields: patch };
+      if (dryRun) {
+        summary.updated.push(entry);
+        continue;
+      }
+
+      try {
+        await didiService.fillMissingProfile(member, profile);
+        summary.updated.push(entry);
+      } catch (error) {
+        logger.error(`DidiProfile: ${member.realname} 补全失败`, { error: error.message });
+        summary.failed.push({ ...entry, error: error.message });
+      }
+    }
+
+    logger.info(`DidiProfile: ${dryRun ? '预演' : '补全'}完成`, {
+      total: summary.total,
+      updated: summary.updated.length,
+      failed: summary.failed.length,
+      unmatched: summary.unmatched
+    });
+    return summary;
+  }
+}
+
+export const didiProfileService = new DidiProfileService();
@@ -0,0 +1,149 @@
+import { feishuService } from './feishu.js';
+import { didiService } from './didi.js';
+import { didiDirectoryService } from './directory.js';
+import { matcherService } from './matcher.js';
+import { createStore } from './store.js';
+import { logger } from './logger.js';
+
+/**
+ * 飞书 ↔ 滴滴对账
+ *
+ * 把飞书 CoreHR 在职员工和滴滴在职员工（员工目录缓存）按手机号、工号对应起来，列出三类差异：
+ * - missing_in_didi: 在职员工没有滴滴账号（实习生默认不开通，不计入）
+ * - not_employee: 滴滴在职账号在飞书找不到对应的在职员工（离职未回收、外部人员等）
+ * - regulation_mismatch: 用车制度与按飞书工作地点匹配的制度不一致
+ *
+ * 通过 GET /api/reconcile、MCP reconcile_didi 查看；DIDI_RECONCILE_ENABLED=true 时机器人每周推送一次汇总卡片。
+ */
+
+// 差异类型 -> 显示文字
+export const RECONCILE_CATEGORIES = {
+  missing_in_didi: '未开通滴滴',
+  not_employee: '非在职员工',
+  regulation_mismatch: '制度与城市不符'
+};
+
+// 每周推送一次
+const REPORT_INTERVAL_MS = 7 * 24 * 60 * 60 * 1000;
+
+class ReconcileService {
+  constructor() {
+    this.store = null;
+    this.lastReportAt = 0;
+  }
+
+  get enabled() {
+    return didiService.configured && process.env.DIDI_RECONCILE_ENABLED === 'true';
+  }
+
+  /**
+   * 距离上次推送是否已满一周
+   */
+  get due() {
+    this._loadState();
+    return Date.now() - this.lastReportAt >= REPORT_INTERVAL_MS;
+  }
+
+  _loadState() {
+    if (this.store) return;
+    this.store = createStore('reconcile');
+    this.lastReportAt = this.store.get('lastReportAt', 0);
+  }
+
+  /**
+   * 记录本次推送时间（机器人发送卡片后调用）
+   */
+  markReported() {
+    this._loadState();
+    this.lastReportAt = Date.now();
+    this.store.set('lastReportAt', this.lastReportAt);
+  }
+
+  /**
+   * 生成对账报告
+   * @returns {Promise<Object>} - { generatedAt, summary, missing_in_didi: [...], not_employee: [...], regulation_mismatch: [...] }
+   */
+  async run() {
+    if (!didiService.configured) {
+      throw new Error('滴滴企业版未配置');
+    }
+
+    const [employees, members, rules] = await Promise.all([
+      feishuService.fetchActiveEmployees(),
+      didiDirectoryService.list('active'),
+      didiService.fetchRegulations()
+    ]);
+
+    const ruleNames = new Map(rules.map(r => [String(r.id), r.name]));
+    const byPhone = new Map(employees.filter(e => e.phone).map(e => [e.phone, e]));
+    const byEmployeeNumber = new Map(employees.filter(e => e.employeeNumber).map(e => [e.employeeNumber, e]));
+
+    const report = { missing_in_didi: [], not_employee: [], regulation_mismatch: [] };
+    const matchedEmployees = new Set();
+
+    for (const member of members) {
+      let employee = member.phone && byPhone.get(member.phone);
+      let matchedBy = 'phone';
+      if (!employee && member.employeeNumber) {
+        employee = byEmployeeNumber.get(member.employeeNumber);
+        matchedBy = 'employee_number';
+      }
+
+      if (!employee) {
+        report.not_employee.push({
+          memberId: String(member.id),
+          name: member.realname,
+          phone: member.phone,
+          employeeNumber: member.employeeNumber || null,
+          email: member.email || null,
+          regulationNames: member.regulationIds.map(id => ruleNames.get(id) || id)
+        });
+        continue;
+      }
+
+      matchedEmployees.add(employee.employmentId);
+      // 实习生不走制度匹配
+      if (employee.isIntern) continue;
+
+      const expected = matcherService.matchRegulations(employee, rules);
+      if (expected.some(rule => !member.regulationIds.includes(String(rule.id)))) {
+        report.regulation_mismatch.push({
+          memberId: String(member.id),
+          employmentId: employee.employmentId,
+          name: employee.name,
+          phone: member.phone,
+          city: employee.city,
+          matchedBy,
+          currentIds: member.regulationIds,
+          currentNames: member.regulationIds.map(id => ruleNames.get(id) || id),
+          expectedIds: expected.map(rule => String(rule.id)),
+          expectedNames: expected.map(rule => rule.name)
+        });
+      }
+    }
+
+    for (const employee of employees) {
+      if (matchedEmployees.has(employee.employmentId) || employee.isIntern) continue;
+      report.missing_in_didi.push({
+        employmentId: employee.employmentId,
+        name: employee.name,
+        phone: employee.phone || null,
+        employeeNumber: employee.employeeNumber || null,
+        city: employee.city,
+        departmentId: employee.departmentId || null
+      });
+    }
+
+    const summary = {
+      employees: employees.length,
+      members: members.length,
+      matched: matchedEmployees.size,
+      ...Object.fromEntries(Object.keys(RECONCILE_CATEGORIES).map(key => [key, report[key].length]))
+    };
+
+    logger.info('Reconcile: 对账完成', summary);
+    return { generatedAt: new Date().toISOString(), summary, ...report };
+  }
+}
+
+export const reconcileService = new ReconcileService();
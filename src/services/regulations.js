@@ -0,0 +1,215 @@
+import { feishuService } from './feishu.js';
+import { didiService, formatDidiError } from './didi.js';
+import { matcherService } from './matcher.js';
+import { didiDirectoryService } from './directory.js';
+import { createStore } from './store.js';
+import { logger } from './logger.js';
+
+/**
+ * 滴滴用车制度校准（员工调动城市后更换制度）
+ *
+ * 员工从武汉调到北京后，滴滴里的制度还是武汉的。这里定期对比：
+ * 1. 滴滴在职员工的 regulationIds（读员工目录缓存，见 directory.js）
+ * 2. 按其飞书当前工作地点等信息用 matcherService.matchRegulations 匹配出的制度（可能多个）
+ * 员工缺少匹配的制度时生成变更建议，由 IT 在机器人卡片上确认后调用 Member/edit 更换（整体替换为匹配的制度，可能是多个）。
+ *
+ * 通过 DIDI_REGULATION_SYNC_ENABLED=true 开启机器人每日自动校准；
+ * 被忽略的建议在匹配结果变化前不会再次提出。
+ */
+
+// 自动校准间隔
+const SCAN_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+class RegulationSyncService {
+  constructor() {
+    this.store = null;
+    this.proposals = {}; // memberId -> { memberId, name, phone, city, currentIds, currentNames, targetIds, targetName, status, error, detectedAt, operatorId, resolvedAt }
+    this.lastScanAt = 0;
+  }
+
+  get enabled() {
+    return didiService.configured && process.env.DIDI_REGULATION_SYNC_ENABLED === 'true';
+  }
+
+  /**
+   * 距离上次校准是否已超过间隔
+   */
+  get due() {
+    this._loadState();
+    return Date.now() - this.lastScanAt >= SCAN_INTERVAL_MS;
+  }
+
+  /**
+   * 读取最新建议（Web 服务和 MCP Server 共用同一份文件，对方写入后重新加载）
+   */
+  _loadState() {
+    if (!this.store) {
+      this.store = createStore('regulation-sync');
+    } else if (!this.store.refresh()) {
+      return;
+    }
+    this.proposals = this.store.get('proposals', {});
+    // 旧版本的建议只有一个目标制度
+    for (const proposal of Object.values(this.proposals)) {
+      if (!proposal.targetIds) proposal.targetIds = [proposal.targetId];
+    }
+    this.lastScanAt = this.store.get('lastScanAt', 0);
+  }
+
+  _save() {
+    this.store.set('proposals', this.proposals);
+    this.store.set('lastScanAt', this.lastScanAt);
+  }
+
+  /**
+   * 变更建议（可按状态过滤）
+   * @param {string} [status] - pending | applied | failed | dismissed
+   */
+  listProposals(status = null) {
+    this._loadState();
+    return Object.values(this.proposals).filter(p => !status || p.status === status);
+  }
+
+  getProposal(memberId) {
+    this._loadState();
+    return this.proposals[memberId] || null;
+  }
+
+  /**
+   * 对比滴滴在职员工的制度与飞书工作地点
+   * @returns {Promise<Array>} - 本次新增或变化的待处理建议
+   */
+  async scan() {
+    this._loadState();
+    if (!didiService.configured) {
+      throw new Error('滴滴企业版未配置');
+    }
+
+    const [rules, employees, members] = await Promise.all([
+      didiService.fetchRegulations(),
+      feishuService.fetchActiveEmployees(),
+      didiDirectoryService.list('active')
+    ]);
+    // 查询期间另一进程可能已处理过建议，以最新记录为准
+    this._loadState();
+
+    const ruleNames = new Map(rules.map(r => [String(r.id), r.name]));
+    const employeesByPhone = new Map(employees.filter(e => e.phone).map(e => [e.phone, e]));
+    const proposed = [];
+    const mismatched = new Set();
+
+    for (const member of members) {
+      const employee = employeesByPhone.get(member.phone);
+      // 飞书查不到（非员工）或实习生（不走制度匹配）的跳过
+      if (!employee || employee.isIntern) continue;
+
+      const targets = matcherService.matchRegulations(employee, rules);
+      const targetIds = targets.map(t => String(t.id));
+      if (targetIds.length === 0 || targetIds.every(id => member.regulationIds.includes(id))) continue;
+
+      const memberId = String(member.id);
+      mismatched.add(memberId);
+      const existing = this.proposals[memberId];
+      // 同一个建议已在处理中或被忽略，不重复提出
+      if (existing && matcherService.buildRegulationIdStr(existing.targetIds) === matcherService.buildRegulationIdStr(targetIds)
+        && ['pending', 'dismissed', 'failed'].includes(existing.status)) {
+        continue;
+      }
+
+      const proposal = {
+        memberId,
+        name: member.realname || employee.name,
+        phone: member.phone,
+        city: employee.city,
+        currentIds: member.regulationIds,
+        currentNames: member.regulationIds.map(id => ruleNames.get(id) || id),
+        targetIds,
+        targetName: targets.map(t => t.name).join('、'),
+        status: 'pending',
+        error: null,
+        detectedAt: new Date().toISOString()
+      };
+      this.proposals[memberId] = proposal;
+      proposed.push(proposal);
+    }
+
+    // 已经一致的（如在滴滴后台手动改过）不再保留待处理建议
+    for (const [memberId, proposal] of Object.entries(this.proposals)) {
+      if (proposal.status === 'pending' && !mismatched.has(memberId)) {
+        delete this.proposals[memberId];
+      }
+    }
+
+    this.lastScanAt = Date.now();
+    this._save();
+    logger.info(`RegulationSync: 校准 ${members.length} 名滴滴员工，新增 ${proposed.length} 条制度变更建议`);
+    return proposed;
+  }
+
+  /**
+   * 按建议更换制度
+   * @param {string} memberId
+   * @param {Object} [meta] - { operatorId }
+   * @returns {Promise<Object>} - 更新后的建议（已处理过的带 alreadyResolved: true）
+   * @throws 滴滴接口失败时抛出（建议标记为 failed，可再次处理）
+   */
+  async apply(memberId, meta = {}) {
+    const proposal = this._getProposal(memberId);
+    if (proposal.status === 'applied' || proposal.status === 'dismissed') {
+      return { ...proposal, alreadyResolved: true };
+    }
+
+    const resolution = { operatorId: meta.operatorId || null, resolvedAt: new Date().toISOString() };
+    try {
+      await didiService.updateMemberRegulations(memberId, proposal.targetIds);
+    } catch (error) {
+      const failed = this._finish(memberId, proposal, { ...resolution, status: 'failed', error: formatDidiError(error) });
+      logger.error(`RegulationSync: ${failed.name} 更换制度失败`, { error: error.message });
+      throw error;
+    }
+
+    const applied = this._finish(memberId, proposal, { ...resolution, status: 'applied', error: null });
+    logger.success(`RegulationSync: ${applied.name} 制度已更换为 ${applied.targetName}`);
+    return { ...applied };
+  }
+
+  /**
+   * 忽略建议（匹配结果变化前不再提出）
+   */
+  dismiss(memberId, meta = {}) {
+    const proposal = this._getProposal(memberId);
+    if (proposal.status === 'applied' || proposal.status === 'dismissed') {
+      return { ...proposal, alreadyResolved: true };
+    }
+
+    Object.assign(proposal, {
+      status: 'dismissed',
+      operatorId: meta.operatorId || null,
+      resolvedAt: new Date().toISOString()
+    });
+    this._save();
+    return { ...proposal };
+  }
+
+  /**
+   * 滴滴调用结束后写回结果：先重新读取，避免覆盖调用期间另一进程写入的建议
+   */
+  _finish(memberId, proposal, fields) {
+    this._loadState();
+    const latest = this.proposals[memberId] || (this.proposals[memberId] = proposal);
+    Object.assign(latest, fields);
+    this._save();
+    return latest;
+  }
+
+  _getProposal(memberId) {
+    this._loadState();
+    const proposal = this.proposals[memberId];
+    if (!proposal) {
+      throw new Error(`未找到制度变更建议: ${memberId}`);
+    }
+    return proposal;
+  }
+}
+
+export const regulationSyncService = new RegulationSyncService();
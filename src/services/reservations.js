@@ -0,0 +1,140 @@
+import { createStore } from './store.js';
+import { logger } from './logger.js';
+
+/**
+ * 邮箱预占台账
+ *
+ * 防止不同批次（Dashboard、机器人卡片、MCP）同时给两个人分配同一个邮箱：
+ * - 写入飞书前先预占候选邮箱（provisioning），写入失败立即释放
+ * - 写入成功后转为已分配（assigned）并保留一段时间：待入职人员的邮箱在入职前
+ *   查不到通讯录，靠台账让后续的建议邮箱和开通跳过它
+ * - 每次读写前重新加载文件，Web 服务和 MCP Server 两个进程共用同一份台账
+ */
+
+// 开通中的预占有效期（进程崩溃时自动失效）
+const PROVISIONING_TTL_MS = 15 * 60 * 1000;
+// 已分配邮箱的保留期（覆盖 offer 到入职的时间）
+const ASSIGNED_TTL_MS = 90 * 24 * 60 * 60 * 1000;
+
+class EmailReservationService {
+  constructor() {
+    this.store = null;
+  }
+
+  /**
+   * 读取最新台账（包含其他进程的写入）
+   * @returns {Object} - 小写邮箱 -> { preHireId, name, status, claimedAt, expiresAt }
+   */
+  _load() {
+    if (!this.store) {
+      this.store = createStore('email-reservations');
+    } else {
+      this.store.load();
+    }
+    return this.store.get('reservations', {});
+  }
+
+  _save(reservations) {
+    const now = Date.now();
+    for (const [email, entry] of Object.entries(reservations)) {
+      if (entry.expiresAt < now) delete reservations[email];
+    }
+    this.store.set('reservations', reservations);
+  }
+
+  _active(entry) {
+    return entry && entry.expiresAt >= Date.now() ? entry : null;
+  }
+
+  /**
+   * 当前所有有效预占的快照（批量判断时只读一次文件）
+   * @returns {{ heldByOther: (email: string, preHireId: string) => Object|null }}
+   */
+  snapshot() {
+    const reservations = this._load();
+    return {
+      // 邮箱被其他人预占时返回其预占记录（自己的预占不算）
+      heldByOther: (email, preHireId) => {
+        const entry = this._active(reservations[email.toLowerCase()]);
+        return entry && entry.preHireId !== preHireId ? entry : null;
+      }
+    };
+  }
+
+  /**
+   * 写入飞书前预占邮箱
+   * @returns {boolean} - 是否预占成功（已被其他人预占时返回 false）
+   */
+  claim(email, preHireId, name) {
+    const reservations = this._load();
+    const key = email.toLowerCase();
+    const existing = this._active(reservations[key]);
+    if (existing && existing.preHireId !== preHireId) {
+      return false;
+    }
+
+    const now = Date.now();
+    reservations[key] = {
+      preHireId,
+      name,
+      status: 'provisioning',
+      claimedAt: new Date(now).toISOString(),
+      expiresAt: now + PROVISIONING_TTL_MS
+    };
+    this._save(reservations);
+    return true;
+  }
+
+  /**
+   * 写入成功：转为已分配，并释放此人其他开通中的预占（已分配的邮箱和别名保留）
+   */
+  confirm(email, preHireId) {
+    const reservations = this._load();
+    const key = email.toLowerCase();
+
+    for (const [other, entry] of Object.entries(reservations)) {
+      if (other !== key && entry.preHireId === preHireId && entry.status === 'provisioning') {
+        delete reservations[other];
+      }
+    }
+
+    const entry = reservations[key];
+    if (entry && entry.preHireId === preHireId) {
+      entry.status = 'assigned';
+      entry.expiresAt = Date.now() + ASSIGNED_TTL_MS;
+    }
+    this._save(reservations);
+  }
+
+  /**
+   * 释放预占（只释放自己的）
+   * @param {string} email
+   * @param {string|null} [preHireId] - 不传时强制释放（管理员操作）
+   * @returns {boolean} - 是否存在并已释放
+   */
+  release(email, preHireId = null) {
+    const reservations = this._load();
+    const key = email.toLowerCase();
+    const entry = reservations[key];
+    if (!entry || (preHireId && entry.preHireId !== preHireId)) return false;
+
+    delete reservations[key];
+    this._save(reservations);
+    if (!preHireId) {
+      logger.info(`Reservation: 已手动释放 ${key}`, { preHireId: entry.preHireId, name: entry.name });
+    }
+    return true;
+  }
+
+  /**
+   * 当前有效的预占
+   */
+  list() {
+    const reservations = this._load();
+    return Object.entries(reservations)
+      .filter(([, entry]) => this._active(entry))
+      .map(([email, entry]) => ({ email, ...entry, expiresAt: new Date(entry.expiresAt).toISOString() }));
+  }
+}
+
+export const emailReservationService = new EmailReservationService();
@@ -0,0 +1,165 @@
+import { v4 as uuidv4 } from 'uuid';
+import { createStore } from './store.js';
+
+/**
+ * 滴滴用车制度映射规则（声明式）
+ *
+ * 每条规则由若干条件和要分配的制度 ID 组成，条件都满足时命中：
+ * - city: 工作地点名称（不区分大小写）
+ * - locationId: 飞书工作地点 ID
+ * - employeeTypeId: 人员类型 ID
+ * - departmentId: 飞书部门 ID（上级部门的规则对子部门同样生效）
+ * - jobLevelId: 职级 ID
+ * 条件可以是单个值或数组（任一匹配即可），不填表示不限。
+ *
+ * 多条规则命中时按 priority 从高到低取，priority 相同时条件多的（更具体的）优先。
+ * 规则都没有命中时，matcherService 回退到按制度名称推断（见 matcher.js）。
+ */
+
+// 条件字段
+export const RULE_CONDITIONS = ['city', 'locationId', 'employeeTypeId', 'departmentId', 'jobLevelId'];
+
+class RegulationRuleService {
+  constructor() {
+    this.store = null;
+    this.rules = []; // [{ id, priority, city, locationId, employeeTypeId, departmentId, jobLevelId, regulationIds, note, operatorId, createdAt, updatedAt }]
+  }
+
+  /**
+   * 读取最新数据（Web 服务修改后，MCP Server 进程下次读取即生效）
+   */
+  _loadState() {
+    if (!this.store) {
+      this.store = createStore('regulation-rules');
+    } else if (!this.store.refresh()) {
+      return;
+    }
+    this.rules = this.store.get('rules', []);
+  }
+
+  _save() {
+    this.store.set('rules', this.rules);
+  }
+
+  /**
+   * 所有规则（按匹配顺序）
+   */
+  list() {
+    this._loadState();
+    return this._sorted(this.rules);
+  }
+
+  get(id) {
+    this._loadState();
+    return this.rules.find(r => r.id === id) || null;
+  }
+
+  /**
+   * 新增规则
+   * @param {Object} rule - { priority?, city?, locationId?, employeeTypeId?, departmentId?, jobLevelId?, regulationIds, note? }
+   * @param {Object} [meta] - { operatorId }
+   */
+  add(rule, meta = {}) {
+    this._loadState();
+    const now = new Date().toISOString();
+    const entry = {
+      id: uuidv4(),
+      ...this._normalize(rule),
+      operatorId: meta.operatorId || null,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.rules.push(entry);
+    this._save();
+    return entry;
+  }
+
+  /**
+   * 修改规则（整体替换条件和制度）
+   * @returns {Object|null} - 修改后的规则，不存在时返回 null
+   */
+  update(id, rule, meta = {}) {
+    this._loadState();
+    const index = this.rules.findIndex(r => r.id === id);
+    if (index === -1) return null;
+
+    this.rules[index] = {
+      ...this.rules[index],
+      ...this._normalize(rule),
+      operatorId: meta.operatorId || null,
+      updatedAt: new Date().toISOString()
+    };
+    this._save();
+    return this.rules[index];
+  }
+
+  /**
+   * 删除规则
+   * @returns {Object|null} - 被删除的规则
+   */
+  remove(id) {
+    this._loadState();
+    const index = this.rules.findIndex(r => r.id === id);
+    if (index === -1) return null;
+    const [entry] = this.rules.splice(index, 1);
+    this._save();
+    return entry;
+  }
+
+  /**
+   * 员工命中的规则（按匹配顺序）
+   * @param {Object} profile - { city, cityId, employeeTypeId, departmentId, departmentIds?, jobLevelId }
+   * @returns {Array}
+   */
+  matchAll(profile = {}) {
+    this._loadState();
+    const departments = new Set([profile.departmentId, ...(profile.departmentIds || [])].filter(Boolean).map(String));
+    const values = {
+      city: [String(profile.city || '').trim().toLowerCase()],
+      locationId: [String(profile.cityId || '')],
+      employeeTypeId: [String(profile.employeeTypeId || '')],
+      departmentId: [...departments],
+      jobLevelId: [String(profile.jobLevelId || '')]
+    };
+
+    return this._sorted(this.rules.filter(rule => RULE_CONDITIONS.every(field => {
+      const expected = rule[field] || [];
+      if (expected.length === 0) return true;
+      const candidates = field === 'city' ? expected.map(v => v.toLowerCase()) : expected;
+      return values[field].some(v => v && candidates.includes(v));
+    })));
+  }
+
+  _sorted(rules) {
+    const specificity = rule => RULE_CONDITIONS.filter(field => rule[field]?.length > 0).length;
+    return [...rules].sort((a, b) =>
+      (b.priority - a.priority) || (specificity(b) - specificity(a)) || a.createdAt.localeCompare(b.createdAt)
+    );
+  }
+
+  _normalize(rule = {}) {
+    const toList = value => {
+      if (value === undefined || value === null || value === '') return [];
+      return [...new Set((Array.isArray(value) ? value : [value]).map(v => String(v).trim()).filter(Boolean))];
+    };
+
+    const regulationIds = toList(rule.regulationIds);
+    if (regulationIds.length === 0) {
+      throw new Error('regulation_ids 不能为空');
+    }
+
+    const priority = rule.priority === undefined || rule.priority === null || rule.priority === '' ? 0 : Number(rule.priority);
+    if (!Number.isFinite(priority)) {
+      throw new Error('priority 必须是数字');
+    }
+
+    return {
+      priority,
+      ...Object.fromEntries(RULE_CONDITIONS.map(field => [field, toList(rule[field])])),
+      regulationIds,
+      note: rule.note || ''
+    };
+  }
+}
+
+export const regulationRuleService = new RegulationRuleService();
@@ -0,0 +1,208 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+/**
+ * 本地持久化存储
+ *
+ * 每个命名空间对应 DATA_DIR 下的一个 JSON 文件（默认 ./data/<name>.json），
+ * 每次 set 都同步写盘（先写临时文件再 rename，进程崩溃也不会留下半截文件）。
+ *
+ * 通过 STATE_STORE 环境变量切换实现：
+ *   file（默认）- JSON 文件存储
+ *   memory     - 纯内存存储（重启丢失，用于调试）
+ *
+ * tryLock 提供跨进程互斥锁（Web 服务和 MCP Server 共用 DATA_DIR），
+ * 文件存储用 DATA_DIR/locks 下的锁文件实现。
+ */
+
+const DEFAULT_DATA_DIR = 'data';
+
+export function getDataDir() {
+  return path.resolve(process.env.DATA_DIR || DEFAULT_DATA_DIR);
+}
+
+/**
+ * 纯内存存储
+ */
+class MemoryStore {
+  constructor(name) {
+    this.name = name;
+    this.data = {};
+    this.locks = new Map(); // key -> { expiresAt }
+  }
+
+  load() {
+    return this;
+  }
+
+  /**
+   * 存储被其他进程修改过时重新读取
+   * @returns {boolean} - 是否重新读取了
+   */
+  refresh() {
+    return false;
+  }
+
+  get(key, fallback = null) {
+    return key in this.data ? this.data[key] : fallback;
+  }
+
+  set(key, value) {
+    this.data[key] = value;
+  }
+
+  delete(key) {
+    delete this.data[key];
+  }
+
+  /**
+   * 尝试获取互斥锁（不等待）
+   * @param {string} key - 锁名
+   * @param {number} ttlMs - 锁的有效期，持有者崩溃没有释放时超时自动失效
+   * @returns {Function|null} - 释放函数；锁已被占用时返回 null
+   */
+  tryLock(key, ttlMs) {
+    const held = this.locks.get(key);
+    if (held && held.expiresAt > Date.now()) return null;
+
+    const lock = { expiresAt: Date.now() + ttlMs };
+    this.locks.set(key, lock);
+    return () => {
+      if (this.locks.get(key) === lock) this.locks.delete(key);
+    };
+  }
+}
+
+/**
+ * JSON 文件存储（write-through）
+ */
+class JsonFileStore extends MemoryStore {
+  constructor(name) {
+    super(name);
+    this.filePath = path.join(getDataDir(), `${name}.json`);
+  }
+
+  load() {
+    this.version = this._fileVersion();
+    try {
+      if (fs.existsSync(this.filePath)) {
+        this.data = JSON.parse(fs.readFileSync(this.filePath, 'utf8')) || {};
+      }
+    } catch (err) {
+      logger.error(`Store: 读取 ${this.filePath} 失败，使用空状态`, { error: err.message });
+      this.data = {};
+    }
+    return this;
+  }
+
+  /**
+   * 文件的修改时间和大小变了（Web 服务和 MCP Server 共用 DATA_DIR）才重新读取，
+   * 比每次都 load 便宜，适合读多写少的配置和缓存
+   */
+  refresh() {
+    if (this._fileVersion() === this.version) return false;
+    this.load();
+    return true;
+  }
+
+  _fileVersion() {
+    try {
+      const stat = fs.statSync(this.filePath);
+      return `${stat.mtimeMs}:${stat.size}`;
+    } catch {
+      return null;
+    }
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    this._flush();
+  }
+
+  delete(key) {
+    super.delete(key);
+    this._flush();
+  }
+
+  _flush() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2));
+      fs.renameSync(tmpPath, this.filePath);
+      this.version = this._fileVersion();
+    } catch (err) {
+      logger.error(`Store: 写入 ${this.filePath} 失败`, { error: err.message });
+    }
+  }
+
+  /**
+   * 跨进程互斥锁：以排他方式（wx）创建 DATA_DIR/locks 下的锁文件，创建成功即持有；
+   * 锁文件超过 ttlMs 未释放（持有进程崩溃）时删除，下次重试即可获取
+   */
+  tryLock(key, ttlMs) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    const lockPath = path.join(getDataDir(), 'locks', `${this.name}-${hash}.lock`);
+    const token = `${process.pid}:${crypto.randomUUID()}`;
+
+    fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+    try {
+      fs.writeFileSync(lockPath, JSON.stringify({ key, token, expiresAt: Date.now() + ttlMs }), { flag: 'wx' });
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      if (this._lockExpired(lockPath, ttlMs)) {
+        logger.warn(`Store: 锁已超时，释放 ${key}`, { lockPath });
+        fs.rmSync(lockPath, { force: true });
+      }
+      return null;
+    }
+
+    return () => {
+      // 只删除自己的锁（超时后可能已被其他进程重新获取）
+      if (this._readLock(lockPath)?.token === token) fs.rmSync(lockPath, { force: true });
+    };
+  }
+
+  _readLock(lockPath) {
+    try {
+      return JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  _lockExpired(lockPath, ttlMs) {
+    const lock = this._readLock(lockPath);
+    if (lock?.expiresAt) return lock.expiresAt < Date.now();
+    // 内容不完整（刚创建还没写完或已损坏）时按修改时间判断
+    try {
+      return fs.statSync(lockPath).mtimeMs + ttlMs < Date.now();
+    } catch {
+      return false;
+    }
+  }
+}
+
+const STORE_DRIVERS = {
+  file: JsonFileStore,
+  memory: MemoryStore
+};
+
+/**
+ * 当前是否使用纯内存存储（其他需要落盘的模块据此跳过写文件）
+ */
+export function isMemoryStore() {
+  return process.env.STATE_STORE === 'memory';
+}
+
+/**
+ * 创建并加载一个命名空间的存储
+ * @param {string} name - 命名空间（对应文件名）
+ * @returns {MemoryStore|JsonFileStore}
+ */
+export function createStore(name) {
+  const driver = STORE_DRIVERS[process.env.STATE_STORE] || JsonFileStore;
+  return new driver(name).load();
+}
@@ -0,0 +1,121 @@
+/**
+ * 非汉字姓名的文字识别与转写（用于邮箱前缀）
+ *
+ * 支持：
+ *   latin     拉丁字母（去掉变音符号，ß -> ss、æ -> ae 等）
+ *   hangul    韩文（按国语罗马字，常见姓氏用习惯拼法，如 김 -> kim、이 -> lee）
+ *   cyrillic  西里尔字母（俄语/乌克兰语常用转写）
+ * 其他文字返回空，由调用方回退到英文名 preferred_name
+ */
+
+// 姓名中的分隔符：空格、各种间隔号、点（连字符和撇号视为名字的一部分）
+const NAME_SEPARATORS = /[\s·•・‧．.]+/;
+
+const LATIN_SPECIAL = {
+  'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'đ': 'd', 'ð': 'd', 'þ': 'th', 'ł': 'l', 'ı': 'i'
+};
+
+// 韩文音节拆分：初声 19 个、中声 21 个、终声 28 个（含无终声）
+const HANGUL_INITIALS = ['g', 'kk', 'n', 'd', 'tt', 'r', 'm', 'b', 'pp', 's', 'ss', '', 'j', 'jj', 'ch', 'k', 't', 'p', 'h'];
+const HANGUL_MEDIALS = ['a', 'ae', 'ya', 'yae', 'eo', 'e', 'yeo', 'ye', 'o', 'wa', 'wae', 'oe', 'yo', 'u', 'wo', 'we', 'wi', 'yu', 'eu', 'ui', 'i'];
+const HANGUL_FINALS = ['', 'k', 'k', 'k', 'n', 'n', 'n', 't', 'l', 'k', 'm', 'l', 'l', 'l', 'p', 'l', 'm', 'p', 'p', 't', 't', 'ng', 't', 't', 'k', 't', 'p', 't'];
+
+// 韩国常见姓氏的习惯拼法（护照上通常这样写）
+const HANGUL_SURNAMES = {
+  '김': 'kim', '이': 'lee', '박': 'park', '최': 'choi', '정': 'jung', '강': 'kang', '조': 'cho',
+  '윤': 'yoon', '임': 'lim', '오': 'oh', '신': 'shin', '권': 'kwon', '안': 'ahn', '유': 'yoo',
+  '노': 'noh', '심': 'shim', '곽': 'kwak', '성': 'sung', '주': 'joo', '우': 'woo', '구': 'koo',
+  '문': 'moon', '류': 'ryu', '고': 'ko'
+};
+
+const CYRILLIC = {
+  'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ё': 'e', 'ж': 'zh', 'з': 'z',
+  'и': 'i', 'й': 'y', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o', 'п': 'p', 'р': 'r',
+  'с': 's', 'т': 't', 'у': 'u', 'ф': 'f', 'х': 'kh', 'ц': 'ts', 'ч': 'ch', 'ш': 'sh', 'щ': 'shch',
+  'ъ': '', 'ы': 'y', 'ь': '', 'э': 'e', 'ю': 'yu', 'я': 'ya',
+  'і': 'i', 'ї': 'yi', 'є': 'ye', 'ґ': 'g'
+};
+
+const SCRIPTS = {
+  han: /\p{Script=Han}/u,
+  latin: /\p{Script=Latin}/u,
+  hangul: /\p{Script=Hangul}/u,
+  cyrillic: /\p{Script=Cyrillic}/u
+};
+
+class Transliterator {
+  /**
+   * 按分隔符拆分姓名（间隔号、空格等）
+   * @returns {Array<string>}
+   */
+  splitSegments(name) {
+    return String(name || '').split(NAME_SEPARATORS).filter(Boolean);
+  }
+
+  /**
+   * 识别姓名使用的文字
+   * @returns {'han'|'latin'|'hangul'|'cyrillic'|'mixed'|'unknown'|'empty'}
+   */
+  detectScript(name) {
+    const chars = [...this.splitSegments(name).join('')];
+    if (chars.length === 0) return 'empty';
+
+    const found = new Set();
+    for (const char of chars) {
+      const script = Object.keys(SCRIPTS).find(key => SCRIPTS[key].test(char));
+      // 数字和标点（连字符、撇号）不影响文字判断
+      if (!script && /[\d\p{P}]/u.test(char)) continue;
+      found.add(script || 'unknown');
+    }
+
+    if (found.size === 0) return 'unknown';
+    if (found.size > 1) return 'mixed';
+    return [...found][0];
+  }
+
+  /**
+   * 转写一个姓名片段为 ASCII 小写字母
+   * @param {string} segment - 不含分隔符的片段
+   * @param {string} script - latin | hangul | cyrillic
+   * @param {Object} [options]
+   * @param {boolean} [options.surname] - 韩文姓氏使用习惯拼法
+   */
+  romanize(segment, script, options = {}) {
+    if (script === 'latin') return this._foldLatin(segment);
+    if (script === 'cyrillic') return this._transliterateCyrillic(segment);
+    if (script === 'hangul') return this._romanizeHangul(segment, options);
+    return '';
+  }
+
+  _foldLatin(text) {
+    return [...text.toLowerCase()]
+      .map(char => LATIN_SPECIAL[char] ?? char)
+      .join('')
+      .normalize('NFD')
+      .replace(/[^a-z0-9]/g, '');
+  }
+
+  _transliterateCyrillic(text) {
+    return [...text.toLowerCase()]
+      .map(char => CYRILLIC[char] ?? '')
+      .join('');
+  }
+
+  _romanizeHangul(text, { surname = false } = {}) {
+    return [...text].map((char, index) => {
+      if (surname && index === 0 && HANGUL_SURNAMES[char]) {
+        return HANGUL_SURNAMES[char];
+      }
+
+      const code = char.charCodeAt(0) - 0xAC00;
+      if (code < 0 || code > 11171) return '';
+
+      const initial = Math.floor(code / 588);
+      const medial = Math.floor((code % 588) / 28);
+      const final = code % 28;
+      return HANGUL_INITIALS[initial] + HANGUL_MEDIALS[medial] + HANGUL_FINALS[final];
+    }).join('');
+  }
+}
+
+export const transliterator = new Transliterator();
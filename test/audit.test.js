@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { useTempDataDir } from './helpers.js';
+import { auditService } from '../src/services/audit.js';
+
+useTempDataDir();
+
+test('importLegacy：旧记录追加到文件末尾，不覆盖另一进程同时追加的记录，查询时按时间排在前面', () => {
+  auditService.record('provision_email', { source: 'rest', name: '张三' });
+  auditService.query();
+
+  const legacy = [
+    { timestamp: '2024-01-01T00:00:00.000Z', action: 'provision_didi', name: '李四' },
+    { timestamp: '2024-01-02T00:00:00.000Z', action: 'provision_email', name: '王五' }
+  ];
+  // 导入前 MCP Server 进程追加了一条，本进程还没读到
+  fs.appendFileSync(auditService.filePath, JSON.stringify({
+    timestamp: new Date().toISOString(), action: 'provision_email', source: 'mcp', name: '赵六'
+  }) + '\n');
+
+  assert.equal(auditService.importLegacy(legacy), 2);
+  assert.equal(auditService.importLegacy(legacy), 0);
+
+  const entries = auditService.query();
+  assert.deepEqual(entries.map(e => e.name), ['李四', '王五', '张三', '赵六']);
+  assert.equal(entries[0].legacy, true);
+  assert.equal(entries[0].source, 'bot');
+  assert.deepEqual(auditService.query({ count: 1 }).map(e => e.name), ['赵六']);
+});
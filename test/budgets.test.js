@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempDataDir } from './helpers.js';
+import { budgetCenterService } from '../src/services/budgets.js';
+import { feishuService } from '../src/services/feishu.js';
+
+useTempDataDir();
+
+// 光合 > 技术部 > 后端组；光合 > 市场部
+const departments = {
+  'od-root': { id: 'od-root', name: '光合', parentId: null },
+  'od-tech': { id: 'od-tech', name: '技术部', parentId: 'od-root' },
+  'od-backend': { id: 'od-backend', name: '后端组', parentId: 'od-tech' },
+  'od-market': { id: 'od-market', name: '市场部', parentId: 'od-root' }
+};
+
+test('resolve：本部门 -> 上级部门 -> 默认', async t => {
+  t.mock.method(feishuService, 'getDepartmentMap', async () => departments);
+
+  assert.equal(await budgetCenterService.resolve('od-backend'), null);
+
+  budgetCenterService.set('od-tech', 'bc-tech');
+  assert.deepEqual(await budgetCenterService.resolve('od-tech'), { budgetCenterId: 'bc-tech', departmentId: 'od-tech', inherited: false });
+  assert.deepEqual(await budgetCenterService.resolve('od-backend'), { budgetCenterId: 'bc-tech', departmentId: 'od-tech', inherited: true });
+  assert.equal(await budgetCenterService.resolve('od-market'), null);
+
+  budgetCenterService.set('*', 'bc-default');
+  assert.deepEqual(await budgetCenterService.resolve('od-market'), { budgetCenterId: 'bc-default', departmentId: '*', inherited: true });
+  assert.deepEqual(await budgetCenterService.resolve(null), { budgetCenterId: 'bc-default', departmentId: '*', inherited: true });
+
+  // 子部门自己的映射优先于上级
+  budgetCenterService.set('od-backend', 'bc-backend');
+  assert.deepEqual(await budgetCenterService.resolve('od-backend'), { budgetCenterId: 'bc-backend', departmentId: 'od-backend', inherited: false });
+
+  assert.equal(budgetCenterService.remove('od-backend'), true);
+  assert.equal((await budgetCenterService.resolve('od-backend')).budgetCenterId, 'bc-tech');
+});
+
+test('resolve：飞书里找不到的部门使用默认', async t => {
+  t.mock.method(feishuService, 'getDepartmentMap', async () => departments);
+  assert.equal((await budgetCenterService.resolve('od-deleted')).departmentId, '*');
+});
+
+test('describeDepartment：部门路径从根到本部门', async t => {
+  t.mock.method(feishuService, 'getDepartmentMap', async () => departments);
+  assert.deepEqual(await budgetCenterService.describeDepartment('od-backend'), {
+    id: 'od-backend', name: '后端组', path: '光合 / 技术部 / 后端组'
+  });
+});
+
+test('set：部门和成本中心必填', () => {
+  assert.throws(() => budgetCenterService.set('', 'bc-1'), /departmentId 不能为空/);
+  assert.throws(() => budgetCenterService.set('od-tech', ''), /budget_center_id 不能为空/);
+});
@@ -0,0 +1,133 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempDataDir } from './helpers.js';
+import { didiService, classifyErrno, DidiApiError, formatDidiError } from '../src/services/didi.js';
+
+useTempDataDir();
+
+beforeEach(() => {
+  process.env.DIDI_CLIENT_ID = 'client';
+  process.env.DIDI_CLIENT_SECRET = 'secret';
+  process.env.DIDI_SIGN_KEY = 'sign';
+  process.env.DIDI_COMPANY_ID = 'company';
+});
+
+/**
+ * 让 _send 按顺序抛出给定的错误（之后返回成功），并记录退避等待时长（不真正等待）
+ */
+function mockSend(t, errors) {
+  const calls = [];
+  const delays = [];
+  t.mock.method(didiService, '_send', async (method, path, params, attempts) => {
+    calls.push(attempts);
+    const error = errors[calls.length - 1];
+    if (error) throw new DidiApiError({ path, attempts, ...error });
+    return { errno: 0, data: { ok: true } };
+  });
+  t.mock.method(globalThis, 'setTimeout', (fn, ms) => {
+    delays.push(ms);
+    fn();
+  });
+  return { calls, delays };
+}
+
+test('classifyErrno：登记的 errno 优先，其余按 errmsg 关键字兜底', () => {
+  assert.equal(classifyErrno(10003), 'retryable');
+  assert.equal(classifyErrno(10005), 'retryable');
+  assert.equal(classifyErrno(10008), 'auth_expired');
+  assert.equal(classifyErrno(401), 'auth_expired');
+  assert.equal(classifyErrno(10001, '系统繁忙'), 'validation');
+  assert.equal(classifyErrno(19999), 'validation');
+  assert.equal(classifyErrno(50202), 'duplicate');
+
+  assert.equal(classifyErrno(123, 'access_token invalid'), 'auth_expired');
+  assert.equal(classifyErrno(123, '请求过于频繁'), 'retryable');
+  assert.equal(classifyErrno(123, 'Request Timeout'), 'retryable');
+  assert.equal(classifyErrno(123, '手机号格式不正确'), 'validation');
+  assert.equal(classifyErrno(123, '员工已存在'), 'duplicate');
+  assert.equal(classifyErrno(123, '未知错误'), 'unknown');
+  assert.equal(classifyErrno(123), 'unknown');
+});
+
+test('DidiApiError：只有 retryable 和 auth_expired 可重试，原因带重试次数和 request_id', () => {
+  const error = new DidiApiError({ path: '/river/Member/add', type: 'retryable', errno: 10003, errmsg: '系统繁忙', requestId: 'req-1', attempts: 3 });
+  assert.equal(error.retryable, true);
+  assert.equal(error.reason, '滴滴接口暂时不可用：系统繁忙（已重试 2 次）');
+  assert.equal(formatDidiError(error), '滴滴接口暂时不可用：系统繁忙（已重试 2 次）（request_id: req-1）');
+
+  assert.equal(new DidiApiError({ path: '/x', type: 'auth_expired' }).retryable, true);
+  assert.equal(new DidiApiError({ path: '/x', type: 'validation' }).retryable, false);
+  assert.equal(new DidiApiError({ path: '/x', type: 'duplicate' }).retryable, false);
+});
+
+test('可重试错误按指数退避重试，最多 2 次', async t => {
+  const { calls, delays } = mockSend(t, [
+    { type: 'retryable', errno: 10003, errmsg: '系统繁忙' },
+    { type: 'retryable', httpStatus: 502 },
+    { type: 'retryable', errno: 10005, errmsg: '请求过于频繁' }
+  ]);
+
+  await assert.rejects(didiService.request('POST', '/river/Member/add'), error => {
+    assert.equal(error.errno, 10005);
+    assert.equal(error.attempts, 3);
+    return true;
+  });
+  assert.deepEqual(calls, [1, 2, 3]);
+  assert.deepEqual(delays, [1000, 2000]);
+});
+
+test('重试后成功时返回结果', async t => {
+  const { calls } = mockSend(t, [{ type: 'retryable', errno: 10003, errmsg: '系统繁忙' }]);
+
+  const result = await didiService.request('GET', '/river/Regulation/get');
+  assert.deepEqual(result.data, { ok: true });
+  assert.equal(calls.length, 2);
+});
+
+test('access_token 失效时清空缓存立即重试，不退避', async t => {
+  didiService.tokenCache = { token: 'stale', expiresAt: Date.now() + 60000 };
+  const { calls, delays } = mockSend(t, [{ type: 'auth_expired', errno: 10008, errmsg: 'access_token expired' }]);
+
+  await didiService.request('GET', '/river/Member/get');
+  assert.equal(calls.length, 2);
+  assert.deepEqual(delays, []);
+  assert.equal(didiService.tokenCache.token, null);
+});
+
+test('参数错误、数据已存在不重试', async t => {
+  for (const type of ['validation', 'duplicate', 'unknown']) {
+    const { calls } = mockSend(t, [{ type, errno: 1 }]);
+    await assert.rejects(didiService.request('POST', '/river/Member/add'), { type });
+    assert.equal(calls.length, 1, type);
+    t.mock.restoreAll();
+  }
+});
+
+test('未配置时不发请求', async t => {
+  delete process.env.DIDI_CLIENT_ID;
+  const { calls } = mockSend(t, []);
+  await assert.rejects(didiService.request('GET', '/river/Member/get'), /滴滴企业版未配置/);
+  assert.equal(calls.length, 0);
+});
+
+test('开通前在职、离职记录共用一次实时查询，查询失败时不继续添加', async t => {
+  const queries = [];
+  const added = [];
+  t.mock.method(didiService, '_resolveBudgetCenter', async () => null);
+  t.mock.method(didiService, 'addMember', async data => {
+    added.push(data.phone);
+    return { success: true, memberId: 'new', phone: data.phone };
+  });
+  t.mock.method(didiService, 'getMembers', async filters => {
+    queries.push(filters);
+    if (filters.phone === '13800000002') throw new DidiApiError({ path: '/river/Member/get', type: 'retryable', errmsg: '系统繁忙' });
+    return { total: 0, records: [] };
+  });
+
+  const result = await didiService.provisionMember('张伟', '13800000001', ['r1']);
+  assert.equal(result.memberId, 'new');
+  assert.deepEqual(queries.map(q => q.status), ['1,6,4']);
+
+  await assert.rejects(didiService.provisionMember('李娜', '13800000002', ['r1']), /系统繁忙/);
+  assert.deepEqual(added, ['13800000001']);
+});
@@ -0,0 +1,145 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempDataDir } from './helpers.js';
+import { emailService } from '../src/services/email.js';
+import { emailBlocklistService } from '../src/services/blocklist.js';
+import { emailReservationService } from '../src/services/reservations.js';
+import { pinyinOverrideService } from '../src/services/overrides.js';
+import { feishuService } from '../src/services/feishu.js';
+
+useTempDataDir();
+
+test('generateLocalPart：姓名转拼音，复姓和多音字姓氏按姓氏读音', () => {
+  const cases = [
+    ['张伟', 'zhangwei'],
+    ['欧阳娜娜', 'ouyangnana'],
+    ['曾小贤', 'zengxiaoxian'],
+    ['单田芳', 'shantianfang'],
+    ['解晓东', 'xiexiaodong']
+  ];
+  for (const [name, localPart] of cases) {
+    assert.deepEqual(emailService.generateLocalPart(name), { localPart, template: '{full}', strategy: 'pinyin' }, name);
+  }
+
+  const parts = emailService.generateNameParts('欧阳娜娜');
+  assert.equal(parts.family, 'ouyang');
+  assert.equal(parts.given, 'nana');
+  assert.equal(parts.givenInitials, 'nn');
+});
+
+test('generateLocalPart：拼音修正优先于自动转换', () => {
+  pinyinOverrideService.set({ name: '单于晨' }, 'chan yu chen');
+  assert.equal(emailService.generateLocalPart('单于晨').localPart, 'chanyuchen');
+  assert.equal(emailService.generateLocalPart('单于晨').strategy, 'pinyin_override');
+});
+
+test('generateLocalPart：非汉字姓名按文字转写，无法转写时用英文名', () => {
+  const cases = [
+    ['John Smith', 'johnsmith', 'latin'],
+    ['Zoë Müller', 'zoemuller', 'latin'],
+    ['김민수', 'kimminsu', 'hangul'],
+    ['Иван Петров', 'ivanpetrov', 'cyrillic']
+  ];
+  for (const [name, localPart, strategy] of cases) {
+    const result = emailService.generateLocalPart(name);
+    assert.deepEqual([result.localPart, result.strategy], [localPart, strategy], name);
+  }
+
+  assert.deepEqual(emailService.generateLocalPart('🙂', 'vincent.li'), { localPart: 'vincentli', template: '{full}', strategy: 'preferred_name' });
+  assert.deepEqual(emailService.generateLocalPart('🙂'), { localPart: '', template: null, strategy: null });
+});
+
+test('batchGenerateEmailsLocal：同批次重名按后缀顺延', () => {
+  const [first, second] = emailService.batchGenerateEmailsLocal([
+    { id: 'h1', name: '李娜' },
+    { id: 'h2', name: '李娜' }
+  ]);
+  assert.equal(first.suggested_email, 'lina@guanghe.tv');
+  assert.equal(first.email_suffix, null);
+  assert.equal(second.suggested_email, 'lina1@guanghe.tv');
+  assert.equal(second.email_suffix, '1');
+  assert.equal(second.email_base_pinyin, 'lina');
+});
+
+test('batchGenerateEmailsLocal：命中保留名/屏蔽词的候选跳过并记录原因', () => {
+  emailBlocklistService.add({ type: 'exact', value: 'wangfang', reason: '高管专用' });
+
+  const [user] = emailService.batchGenerateEmailsLocal([{ id: 'h3', name: '王芳' }]);
+  assert.equal(user.suggested_email, 'wangfang1@guanghe.tv');
+  assert.equal(user.email_skipped.length, 1);
+  assert.equal(user.email_skipped[0].email, 'wangfang@guanghe.tv');
+  assert.equal(user.email_skipped[0].reason, 'reserved');
+
+  // 内置的职能邮箱保留名
+  assert.equal(emailBlocklistService.match('admin@guanghe.tv').reason, '职能邮箱保留名');
+  assert.equal(emailBlocklistService.match('sb2'), emailBlocklistService.match('sb'));
+  assert.equal(emailBlocklistService.match('sunbin'), null);
+});
+
+test('batchGenerateEmailsLocal：其他人预占的邮箱跳过', () => {
+  assert.equal(emailReservationService.claim('zhaolei@guanghe.tv', 'other-hire', '赵磊'), true);
+
+  const [user] = emailService.batchGenerateEmailsLocal([{ id: 'h4', name: '赵磊' }]);
+  assert.equal(user.suggested_email, 'zhaolei1@guanghe.tv');
+  assert.equal(user.email_skipped[0].reason, 'reservation_taken');
+});
+
+test('别名只用不带后缀的形式，被占用时跳过而不是加后缀', () => {
+  const [first, second] = emailService.batchGenerateEmailsLocal([
+    { id: 'h5', name: '张伟', preferredName: 'Vincent' },
+    { id: 'h6', name: '张伟', preferredName: 'Vincent' }
+  ]);
+  assert.equal(first.suggested_email, 'zhangwei@guanghe.tv');
+  assert.deepEqual(first.suggested_aliases, ['vincent@guanghe.tv', 'zhang.wei@guanghe.tv']);
+  assert.equal(second.suggested_email, 'zhangwei1@guanghe.tv');
+  assert.deepEqual(second.suggested_aliases, []);
+
+  // 主邮箱本身是某个别名加后缀时，该别名不再建议
+  assert.deepEqual(emailService.aliasLocalParts('张伟', 'Vincent', 'h6', 'zhang.wei1@guanghe.tv'), ['vincent']);
+});
+
+test('provisionEmailWithRetry：回收站占用后换候选时同样跳过在职员工占用的邮箱', async (t) => {
+  const occupied = new Set(['liuyang1@guanghe.tv']);
+  const directory = {
+    prefetch: async () => {},
+    isTaken: async email => occupied.has(email),
+    markTaken: email => occupied.add(email)
+  };
+  const written = [];
+  t.mock.method(feishuService, 'updateWorkEmail', async (id, email) => {
+    written.push(email);
+    return email === 'liuyang@guanghe.tv' ? { success: false, isDuplicate: true } : { success: true };
+  });
+
+  const result = await emailService.provisionEmailWithRetry('h7', '刘洋', null, { directory });
+  assert.equal(result.email, 'liuyang3@guanghe.tv');
+  assert.deepEqual(written, ['liuyang@guanghe.tv', 'liuyang3@guanghe.tv']);
+  assert.deepEqual(result.skipped.map(s => [s.email, s.reason]), [
+    ['liuyang@guanghe.tv', 'recycle_bin_taken'],
+    ['liuyang1@guanghe.tv', 'directory_taken']
+  ]);
+});
+
+test('provisionAliases：写入失败后复查失败或查不到地址状态时报告失败，而不是当作已占用', async (t) => {
+  t.mock.method(feishuService, 'getMailboxAliases', async () => []);
+  t.mock.method(feishuService, 'checkEmailsExist', async emails => new Map(emails.map(e => [e, false])));
+  let lookups = 0;
+  t.mock.method(feishuService, 'getMailboxStatuses', async () => {
+    lookups++;
+    if (lookups === 2) throw new Error('接口超时');
+    return new Map();
+  });
+  t.mock.method(feishuService, 'addMailboxAlias', async () => {
+    throw new Error('写入别名失败');
+  });
+
+  const results = await emailService.provisionAliases({
+    id: 'h8', name: '张伟', preferredName: 'Vincent', workEmail: 'zhangwei@guanghe.tv'
+  });
+  assert.deepEqual(results.map(r => [r.email, r.status]), [
+    ['vincent@guanghe.tv', 'failed'],
+    ['zhang.wei@guanghe.tv', 'failed']
+  ]);
+  assert.match(results[0].error, /写入别名失败.*接口超时/);
+  assert.equal(results[1].error, '写入别名失败');
+});
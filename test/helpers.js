@@ -0,0 +1,15 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { after } from 'node:test';
+
+/**
+ * 测试用的临时 DATA_DIR（每个测试文件一个，结束后删除）
+ * 各服务首次读写时才创建存储，在调用服务方法前设置即可
+ */
+export function useTempDataDir() {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'onboarding-hub-test-'));
+  process.env.DATA_DIR = dataDir;
+  after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  return dataDir;
+}
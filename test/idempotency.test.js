@@ -0,0 +1,148 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempDataDir } from './helpers.js';
+import { idempotencyService, IdempotencyConflictError, hashPayload } from '../src/services/idempotency.js';
+import { createStore } from '../src/services/store.js';
+
+useTempDataDir();
+
+test('相同幂等键、相同内容只执行一次，之后回放第一次的结果', async () => {
+  let calls = 0;
+  const fn = async () => ({ success: true, email: `zhangwei${++calls}@example.com` });
+
+  const first = await idempotencyService.run('provision_email', 'hire-1', 'key-1', fn, { name: '张伟' });
+  const second = await idempotencyService.run('provision_email', 'hire-1', 'key-1', fn, { name: '张伟' });
+
+  assert.equal(calls, 1);
+  assert.equal(first.email, 'zhangwei1@example.com');
+  assert.equal(first.idempotentReplay, undefined);
+  assert.equal(second.email, 'zhangwei1@example.com');
+  assert.equal(second.idempotentReplay, true);
+});
+
+test('相同幂等键、不同内容抛 409 冲突，不回放', async () => {
+  await idempotencyService.run('provision_email', 'hire-2', 'key-2', async () => ({ success: true }), { email: 'a@example.com' });
+
+  await assert.rejects(
+    idempotencyService.run('provision_email', 'hire-2', 'key-2', async () => ({ success: true }), { email: 'b@example.com' }),
+    error => error instanceof IdempotencyConflictError && error.status === 409
+  );
+  await assert.rejects(
+    idempotencyService.run('provision_email', 'hire-3', 'key-2', async () => ({ success: true }), { email: 'a@example.com' }),
+    IdempotencyConflictError
+  );
+});
+
+test('内容哈希与字段顺序无关', () => {
+  assert.equal(hashPayload({ a: 1, b: [{ c: 2, d: 3 }] }), hashPayload({ b: [{ d: 3, c: 2 }], a: 1 }));
+  assert.notEqual(hashPayload({ a: 1 }), hashPayload({ a: 2 }));
+});
+
+test('失败的结果不缓存，修正后可以用同一个键重试', async () => {
+  await assert.rejects(
+    idempotencyService.run('provision_didi', '13800000000', 'key-3', async () => { throw new Error('boom'); }, { ruleId: 'r1' }),
+    /boom/
+  );
+  const result = await idempotencyService.run('provision_didi', '13800000000', 'key-3', async () => ({ success: true }), { ruleId: 'r1' });
+  assert.equal(result.success, true);
+  assert.equal(result.idempotentReplay, undefined);
+});
+
+test('未传幂等键时按人员缓存：执行中的相同请求共享结果，完成后重复请求回放', async () => {
+  let calls = 0;
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  const fn = async () => {
+    calls++;
+    await gate;
+    return { success: true, calls };
+  };
+
+  const first = idempotencyService.run('provision_email', 'hire-4', null, fn, { name: '李娜' });
+  const second = idempotencyService.run('provision_email', 'hire-4', null, fn, { name: '李娜' });
+  release();
+  const [a, b] = await Promise.all([first, second]);
+
+  assert.equal(calls, 1);
+  assert.equal(a.idempotentReplay, undefined);
+  assert.equal(b.idempotentReplay, true);
+
+  const third = await idempotencyService.run('provision_email', 'hire-4', null, fn, { name: '李娜' });
+  assert.equal(calls, 1);
+  assert.equal(third.idempotentReplay, true);
+
+  // 换了幂等键（如另一张卡片上的按钮），同一个人、相同参数仍然回放
+  const fourth = await idempotencyService.run('provision_email', 'hire-4', 'card:m2:provision_email:hire-4', fn, { name: '李娜' });
+  assert.equal(calls, 1);
+  assert.equal(fourth.idempotentReplay, true);
+});
+
+test('未传幂等键、同一个人参数不同时排队执行，不共享结果', async () => {
+  const order = [];
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+
+  const first = idempotencyService.run('provision_email', 'hire-5', null, async () => {
+    order.push('a:start');
+    await gate;
+    order.push('a:end');
+    return { email: 'a@example.com' };
+  }, { email: 'a@example.com' });
+  const second = idempotencyService.run('provision_email', 'hire-5', null, async () => {
+    order.push('b');
+    return { email: 'b@example.com' };
+  }, { email: 'b@example.com' });
+
+  release();
+  const [a, b] = await Promise.all([first, second]);
+  assert.deepEqual(order, ['a:start', 'a:end', 'b']);
+  assert.equal(a.email, 'a@example.com');
+  assert.equal(b.email, 'b@example.com');
+  assert.equal(b.idempotentReplay, undefined);
+
+  // 之后按最新的参数缓存
+  const again = await idempotencyService.run('provision_email', 'hire-5', null, async () => ({ email: 'c@example.com' }), { email: 'b@example.com' });
+  assert.equal(again.email, 'b@example.com');
+  assert.equal(again.idempotentReplay, true);
+});
+
+test('人员锁跨进程互斥：另一个进程持有锁时等待释放，释放后回放其结果', async () => {
+  // 模拟另一个进程：独立的存储实例持有同一个人员锁，完成后写入结果
+  const other = createStore('idempotency');
+  const unlock = other.tryLock('provision_didi:13900000000', 60000);
+  assert.ok(unlock);
+  assert.equal(createStore('idempotency').tryLock('provision_didi:13900000000', 60000), null);
+
+  let calls = 0;
+  const pending = idempotencyService.run('provision_didi', '13900000000', null, async () => {
+    calls++;
+    return { success: true };
+  }, { ruleId: 'r1' });
+
+  await new Promise(resolve => setTimeout(resolve, 300));
+  assert.equal(calls, 0);
+
+  other.load();
+  other.set('results', {
+    ...other.get('results', {}),
+    'provision_didi:13900000000': {
+      result: { success: true, memberId: 'from-other-process' },
+      payloadHash: hashPayload({ hireKey: '13900000000', payload: { ruleId: 'r1' } }),
+      createdAt: Date.now()
+    }
+  });
+  unlock();
+
+  const result = await pending;
+  assert.equal(calls, 0);
+  assert.equal(result.memberId, 'from-other-process');
+  assert.equal(result.idempotentReplay, true);
+});
+
+test('锁超时后可以重新获取', async () => {
+  const store = createStore('idempotency');
+  assert.ok(store.tryLock('stale', 1));
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert.equal(store.tryLock('stale', 1), null); // 发现超时，删除旧锁
+  assert.ok(store.tryLock('stale', 1000));
+});
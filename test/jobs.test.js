@@ -0,0 +1,115 @@
+import fs from 'fs';
+import path from 'path';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempDataDir } from './helpers.js';
+import { jobService } from '../src/services/jobs.js';
+import { didiService } from '../src/services/didi.js';
+import { auditService } from '../src/services/audit.js';
+import { regulationSyncService } from '../src/services/regulations.js';
+
+const dataDir = useTempDataDir();
+
+const users = [
+  { id: 'h1', name: '张伟', phone: '13800000001', didi_rule_ids: ['r1'] },
+  { id: 'h2', name: '李娜', phone: '13800000002', didi_rule_ids: 'r1,r2' },
+  { id: 'h3', name: '王芳', phone: '13800000003', didi_rule_ids: 'r3_r3' }
+];
+
+// 重启前已处理完第一个人、正在执行中的任务
+fs.writeFileSync(path.join(dataDir, 'jobs.json'), JSON.stringify({
+  jobs: [{
+    id: 'job-1',
+    type: 'provision_didi',
+    status: 'running',
+    source: 'bot',
+    operatorId: 'ou_it',
+    meta: { source: 'bot', operatorId: 'ou_it' },
+    users,
+    results: [{ id: 'h1', name: '张伟', phone: '13800000001', success: true }],
+    cursor: 1,
+    total: 3,
+    successful: 1,
+    failed: 0,
+    createdAt: new Date().toISOString(),
+    startedAt: new Date().toISOString(),
+    finishedAt: null
+  }]
+}));
+
+test('重启后从第一个未完成的人继续，逐人记录审计', async t => {
+  const provisioned = [];
+  t.mock.method(didiService, 'provisionMember', async (name, phone, ruleIds) => {
+    provisioned.push({ name, ruleIds });
+    if (phone === '13800000003') throw new Error('手机号格式错误');
+    return { success: true, memberId: `m-${phone}`, phone };
+  });
+
+  jobService.resume();
+  const job = await jobService.waitFor('job-1');
+
+  assert.deepEqual(provisioned.map(p => p.name), ['李娜', '王芳']);
+  assert.equal(job.status, 'completed');
+  assert.equal(job.cursor, 3);
+  assert.equal(job.successful, 2);
+  assert.equal(job.failed, 1);
+  assert.equal(job.results[2].error, '手机号格式错误');
+
+  const entries = auditService.query({ action: 'provision_didi' });
+  assert.deepEqual(entries.map(e => e.name), ['李娜', '王芳']);
+  assert.equal(entries[0].jobId, 'job-1');
+  assert.equal(entries[0].operatorId, 'ou_it');
+  assert.equal(entries[0].batch, true);
+  assert.equal(entries[1].success, false);
+});
+
+test('新任务入队后执行完毕，结束状态写盘', async t => {
+  t.mock.method(didiService, 'provisionMember', async (name, phone) => ({ success: false, alreadyExists: true, phone }));
+
+  const { id } = jobService.enqueue('provision_didi', [users[0]], { source: 'rest', operatorId: 'ou_rest' });
+  const job = await jobService.waitFor(id);
+
+  assert.equal(job.status, 'completed');
+  assert.equal(job.successful, 1);
+  const saved = JSON.parse(fs.readFileSync(path.join(dataDir, 'jobs.json'), 'utf8')).jobs.find(j => j.id === id);
+  assert.equal(saved.status, 'completed');
+  assert.equal(auditService.query({ action: 'provision_didi', source: 'rest' })[0].alreadyExists, true);
+});
+
+test('制度更换任务按单人操作记审计，已处理过的不重复记录', async t => {
+  t.mock.method(regulationSyncService, 'getProposal', () => ({ targetIds: ['r2'] }));
+  t.mock.method(regulationSyncService, 'apply', async memberId => ({
+    phone: '13800000009',
+    currentNames: ['北京-加班用车'],
+    targetName: '上海-加班用车',
+    status: 'applied',
+    alreadyResolved: memberId === 'm2'
+  }));
+
+  const { id } = jobService.enqueue('didi_regulation', [{ id: 'm1', name: '赵六' }, { id: 'm2', name: '钱七' }], { source: 'bot', operatorId: 'ou_it' });
+  const job = await jobService.waitFor(id);
+
+  assert.equal(job.successful, 2);
+  const entries = auditService.query({ action: 'didi_regulation_update' });
+  assert.deepEqual(entries.map(e => e.memberId), ['m1']);
+  assert.deepEqual(entries[0].from, ['北京-加班用车']);
+  assert.equal(entries[0].ruleName, '上海-加班用车');
+});
+
+test('批量开通滴滴的审计按规范化后的制度 ID 记录', async t => {
+  t.mock.method(didiService, 'provisionMember', async (name, phone) => ({ success: true, memberId: `m-${phone}`, phone }));
+
+  const { id } = jobService.enqueue('provision_didi', [
+    { id: 'h7', name: '孙八', phone: '13800000007', didi_rule_ids: 'r1,r2' },
+    { id: 'h8', name: '周九', phone: '13800000008', didi_rule_ids: ['r3', 'r3'] },
+    { id: 'h9', name: '吴十', phone: '13800000010', didi_rule_id: 'r4_r5' }
+  ], { source: 'mcp' });
+  await jobService.waitFor(id);
+
+  const entries = auditService.query({ action: 'provision_didi', source: 'mcp' });
+  assert.deepEqual(entries.map(e => e.ruleId), ['r1_r2', 'r3', 'r4_r5']);
+});
+
+test('未知任务类型直接报错', () => {
+  assert.throws(() => jobService.enqueue('unknown', []), /未知的任务类型/);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempDataDir } from './helpers.js';
+import { matcherService } from '../src/services/matcher.js';
+import { regulationRuleService } from '../src/services/rules.js';
+
+useTempDataDir();
+
+const regulations = [
+  { id: 1, name: '北京-加班用车', sceneType: '3', status: '1' },
+  { id: 2, name: '上海-加班用车', sceneType: '3', status: '1' },
+  { id: 3, name: '上海-直播用车（实习生早班）', sceneType: '3', status: '1' },
+  { id: 4, name: '深圳商务出行', sceneType: '1', status: '1' },
+  { id: 5, name: '杭州专车', sceneType: '2', status: '1' },
+  { id: 6, name: '销售-商务出行', sceneType: '1', status: '1' },
+  { id: 7, name: '已停用制度', sceneType: '3', status: '0' }
+];
+
+test('explainRegulations：映射规则命中时全部分配，跳过停用的制度', () => {
+  const rule = regulationRuleService.add({ departmentId: 'od-sales', regulationIds: ['2', '6', '7'], note: '销售双制度' });
+
+  const match = matcherService.explainRegulations({ city: '上海', departmentId: 'od-sales' }, regulations);
+  assert.deepEqual(match.rules.map(r => r.id), [2, 6]);
+  assert.equal(match.reason, 'mapping_rule');
+  assert.equal(match.confidence, 'high');
+  assert.equal(match.mappingRuleId, rule.id);
+  assert.equal(matcherService.describeMatch(match, '上海'), '映射规则「销售双制度」（可信度：高）');
+  regulationRuleService.remove(rule.id);
+});
+
+test('explainRegulations：映射规则的制度都不可用时回退到名称推断', () => {
+  const rule = regulationRuleService.add({ city: '上海', regulationIds: ['7', '99'] });
+
+  const match = matcherService.explainRegulations({ city: '上海' }, regulations);
+  assert.deepEqual(match.rules.map(r => r.id), [2]);
+  assert.equal(match.reason, 'city_overtime');
+  regulationRuleService.remove(rule.id);
+});
+
+test('explainRegulations：按制度名称推断的依据和可信度', () => {
+  const cases = [
+    ['上海', 2, 'city_overtime', 'high'],
+    ['深圳', 4, 'city_business', 'medium'],
+    ['杭州', 5, 'city_substring', 'medium'],
+    ['成都', 1, 'beijing_fallback', 'low'],
+    ['Unknown', 1, 'beijing_fallback', 'low']
+  ];
+  for (const [city, id, reason, confidence] of cases) {
+    const match = matcherService.explainRegulations({ city }, regulations);
+    assert.deepEqual([match.rules[0].id, match.reason, match.confidence], [id, reason, confidence], city);
+  }
+
+  const withoutBeijing = regulations.filter(r => r.id !== 1);
+  const match = matcherService.explainRegulations({ city: '成都' }, withoutBeijing);
+  assert.deepEqual([match.rules[0].id, match.reason, match.confidence], [2, 'first_active_fallback', 'low']);
+  assert.equal(matcherService.describeMatch(match, '成都'), '回退到第一个可用制度，没有找到成都的制度（可信度：低）');
+});
+
+test('explainRegulations：没有可用制度时不匹配', () => {
+  assert.deepEqual(matcherService.explainRegulations({ city: '上海' }, []), { rules: [], reason: null, confidence: null });
+  assert.equal(matcherService.explainRegulations({ city: '上海' }, [regulations[6]]).reason, null);
+});
+
+test('batchMatchRules：低可信度的匹配标记需要确认', () => {
+  const [user] = matcherService.batchMatchRules([{ id: 'h1', city: '成都' }], regulations);
+  assert.equal(user.suggested_didi_rule_id, '1');
+  assert.equal(user.didi_match_reason_label, '回退到北京加班用车');
+  assert.equal(user.didi_rule_needs_review, true);
+});
@@ -0,0 +1,57 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempDataDir } from './helpers.js';
+import { offboardingService, OffboardingBusyError } from '../src/services/offboarding.js';
+import { didiService } from '../src/services/didi.js';
+
+useTempDataDir();
+
+beforeEach(() => {
+  offboardingService._loadState();
+  offboardingService.cases = {
+    e1: { employmentId: 'e1', name: '张三', phone: '13800000000', memberId: 'm1', status: 'pending', error: null }
+  };
+  offboardingService._save();
+});
+
+test('resolve：滴滴调用未返回时重复处理抛 OffboardingBusyError，只调用一次滴滴', async (t) => {
+  let finish;
+  const deleteMember = t.mock.method(didiService, 'deleteMember', () => new Promise(resolve => { finish = resolve; }));
+
+  const first = offboardingService.resolve('e1', 'remove', { operatorId: 'ou_1' });
+  assert.equal(offboardingService.getCase('e1').status, 'processing');
+  await assert.rejects(offboardingService.resolve('e1', 'remove'), OffboardingBusyError);
+
+  finish();
+  const entry = await first;
+  assert.equal(entry.status, 'removed');
+  assert.equal(entry.processingAt, undefined);
+  assert.equal(deleteMember.mock.callCount(), 1);
+  assert.equal((await offboardingService.resolve('e1', 'remove')).alreadyResolved, true);
+});
+
+test('resolve：滴滴失败后记录为 failed，可再次处理', async (t) => {
+  let calls = 0;
+  t.mock.method(didiService, 'disableMember', async () => {
+    if (++calls === 1) throw new Error('网络错误');
+  });
+
+  await assert.rejects(offboardingService.resolve('e1', 'disable'), /网络错误/);
+  assert.equal(offboardingService.getCase('e1').status, 'failed');
+
+  const entry = await offboardingService.resolve('e1', 'disable');
+  assert.equal(entry.status, 'disabled');
+  assert.equal(calls, 2);
+});
+
+test('resolve：处理中超过超时时间（进程中途退出）可重新处理', async (t) => {
+  Object.assign(offboardingService.cases.e1, {
+    status: 'processing',
+    processingAt: new Date(Date.now() - 60 * 60 * 1000).toISOString()
+  });
+  offboardingService._save();
+  t.mock.method(didiService, 'deleteMember', async () => {});
+
+  const entry = await offboardingService.resolve('e1', 'remove');
+  assert.equal(entry.status, 'removed');
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempDataDir } from './helpers.js';
+import { regulationRuleService } from '../src/services/rules.js';
+
+useTempDataDir();
+
+test('matchAll：priority 高的优先，相同时条件多的（更具体的）优先', () => {
+  const general = regulationRuleService.add({ city: '上海', regulationIds: ['2'] });
+  const specific = regulationRuleService.add({ city: '上海', employeeTypeId: 'intern', regulationIds: ['3'] });
+  const urgent = regulationRuleService.add({ city: '上海', employeeTypeId: 'intern', priority: 10, regulationIds: ['6'], note: '实习销售' });
+
+  const ids = regulationRuleService.matchAll({ city: '上海', employeeTypeId: 'intern' }).map(r => r.id);
+  assert.deepEqual(ids, [urgent.id, specific.id, general.id]);
+
+  // 条件不满足的规则不命中
+  assert.deepEqual(regulationRuleService.matchAll({ city: '上海', employeeTypeId: 'fulltime' }).map(r => r.id), [general.id]);
+  regulationRuleService.remove(urgent.id);
+  regulationRuleService.remove(specific.id);
+  regulationRuleService.remove(general.id);
+});
+
+test('matchAll：上级部门的规则对子部门生效', () => {
+  const rule = regulationRuleService.add({ departmentId: 'od-sales', regulationIds: ['6'] });
+
+  assert.deepEqual(regulationRuleService.matchAll({ departmentId: 'od-sales-east', departmentIds: ['od-sales-east', 'od-sales', 'od-root'] }).map(r => r.id), [rule.id]);
+  assert.deepEqual(regulationRuleService.matchAll({ departmentId: 'od-sales' }).map(r => r.id), [rule.id]);
+  assert.deepEqual(regulationRuleService.matchAll({ departmentId: 'od-hr', departmentIds: ['od-hr', 'od-root'] }), []);
+  regulationRuleService.remove(rule.id);
+});
+
+test('matchAll：数组条件任一匹配即可，城市不区分大小写', () => {
+  const rule = regulationRuleService.add({ city: ['Shanghai', '杭州'], jobLevelId: 'p5', regulationIds: ['2'] });
+
+  assert.equal(regulationRuleService.matchAll({ city: 'shanghai', jobLevelId: 'p5' }).length, 1);
+  assert.equal(regulationRuleService.matchAll({ city: '杭州', jobLevelId: 'p5' }).length, 1);
+  assert.equal(regulationRuleService.matchAll({ city: '杭州', jobLevelId: 'p6' }).length, 0);
+  regulationRuleService.remove(rule.id);
+});
+
+test('add：制度 ID 为空或 priority 不是数字时报错', () => {
+  assert.throws(() => regulationRuleService.add({ city: '北京' }), /regulation_ids 不能为空/);
+  assert.throws(() => regulationRuleService.add({ regulationIds: ['1'], priority: 'high' }), /priority 必须是数字/);
+});
+